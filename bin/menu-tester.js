@@ -2,33 +2,55 @@
 
 const { Command } = require('commander');
 const chalk = require('chalk');
+const readline = require('readline');
 require('dotenv').config();
 
 const MenuTester = require('../src/MenuTester');
 const { loadConfig, validateConfig } = require('../src/utils/config');
 const { logger } = require('../src/utils/logger');
 const RouteManager = require('../src/utils/routeManager');
+const SessionManager = require('../src/utils/sessionManager');
+const { printExecutionPlan } = require('../src/utils/executionPlan');
+const { parseShard } = require('../src/utils/shard');
 const StaticWebServer = require('../src/utils/webServer');
+const Scheduler = require('../src/core/Scheduler');
 
 const program = new Command();
 
 program
   .name('menu-tester')
   .description('基于路由清单的菜单回归测试 CLI 工具')
-  .version('1.0.0');    
+  .version('1.0.0')
+  // 根命令的旧版选项（--config、--output 等）只在子命令名之前解析，避免抢走子命令的同名选项
+  .enablePositionalOptions();
 
 // 主测试命令
 program
   .command('test')
   .description('运行菜单测试')
   .option('-C, --config <path>', '配置文件路径', 'hik-config.json')
+  .option('-p, --profile <name>', '使用配置文件 profiles 中的指定环境')
+  .option('-w, --workers <number>', '并发执行的浏览器 context 数量')
+  .option('-b, --browsers <names>', '要运行的浏览器引擎（逗号分隔：chromium,firefox,webkit）')
+  .option('-r, --resume <sessionId>', '恢复中断的会话（会话ID 或 latest）')
+  .option('--shard <k/n>', '只运行第 k 个分片（共 n 个），用于在多台 CI 机器间拆分路由')
+  .option('--run-id <id>', '分片所属的运行标识，merge-reports 只合并同一运行的分片（默认读取环境变量 MENU_TESTER_RUN_ID）')
+  .option('--tag <tags>', '只测试带有指定标签的路由（逗号分隔，命中任一即可）')
+  .option('--exclude-tag <tags>', '排除带有指定标签的路由（逗号分隔）')
+  .option('--grep <pattern>', '按菜单名称或 URL 匹配路由（正则，不区分大小写）')
+  .option('--only-level <levels>', '只测试指定层级的路由（逗号分隔）')
+  .option('--max-failures <number>', '允许的最大失败路由数，超过时退出码为 2')
+  .option('--min-success-rate <percent>', '要求的最低成功率（0-100），低于时退出码为 3')
+  .option('--fail-on-visual-diff', '存在截图对比差异时以退出码 4 结束')
+  .option('--fail-on-performance', '性能指标超过阈值时以退出码 5 结束')
+  .option('--dry-run', '只打印执行计划（路由、场景、检查项与预计 AI 调用次数），不启动浏览器')
   .option('--verbose', '开启详细日志')
   .action(async (options) => {  
     try {
       let config = {};
       
       if (options.config) {
-        config = await loadConfig(options.config);
+        config = await loadConfig(options.config, { profile: options.profile });
       }
       
       // 应用命令行选项
@@ -36,6 +58,51 @@ program
         config.verbose = true;
       }
 
+      if (options.workers !== undefined) {
+        config.concurrency = parseInt(options.workers, 10);
+      }
+
+      if (options.browsers) {
+        config.browsers = options.browsers.split(',').map(name => name.trim()).filter(Boolean);
+      }
+
+      if (options.resume) {
+        config.resume = options.resume;
+      }
+
+      if (options.shard) {
+        config.shard = {
+          ...parseShard(options.shard),
+          runId: options.runId || process.env.MENU_TESTER_RUN_ID || null
+        };
+      }
+
+      // 命令行筛选条件覆盖配置文件中的同名项
+      const cliFilter = {
+        tags: options.tag,
+        excludeTags: options.excludeTag,
+        grep: options.grep,
+        onlyLevel: options.onlyLevel
+      };
+      Object.keys(cliFilter).forEach(key => {
+        if (cliFilter[key] !== undefined) {
+          config.filter = { ...config.filter, [key]: cliFilter[key] };
+        }
+      });
+
+      // 命令行门禁覆盖配置文件中的同名项
+      const cliGates = {
+        maxFailures: options.maxFailures !== undefined ? Number(options.maxFailures) : undefined,
+        minSuccessRate: options.minSuccessRate !== undefined ? Number(options.minSuccessRate) : undefined,
+        failOnVisualDiff: options.failOnVisualDiff,
+        failOnPerformance: options.failOnPerformance
+      };
+      Object.keys(cliGates).forEach(key => {
+        if (cliGates[key] !== undefined) {
+          config.gates = { ...config.gates, [key]: cliGates[key] };
+        }
+      });
+
       // 校验配置
       const validation = validateConfig(config);
       if (!validation.isValid) {
@@ -44,14 +111,26 @@ program
         process.exit(1);
       }
 
+      // dry-run：只输出执行计划
+      if (options.dryRun) {
+        const plan = await new MenuTester(config).plan();
+        printExecutionPlan(plan);
+        return;
+      }
+
       // 显示测试模式
-      logger.info('🚀 启动菜单测试（路由模式）');
+      logger.info(`🚀 启动菜单测试（路由模式）${config.profile ? `，环境: ${config.profile}` : ''}`);
 
       // 初始化并运行菜单测试
       const tester = new MenuTester(config);
 
-      logger.info('开始新的菜单测试会话...');
-      await tester.start();
+      logger.info(options.resume ? `恢复菜单测试会话: ${options.resume}` : '开始新的菜单测试会话...');
+      const summary = await tester.start();
+
+      // 违反质量门禁时以对应退出码结束，供 CI 判断
+      if (summary && summary.gates && !summary.gates.passed) {
+        process.exit(summary.gates.exitCode);
+      }
 
     } catch (error) {
       logger.error('启动菜单测试失败:', error.message);
@@ -63,7 +142,7 @@ program
   });
 
 // 路由管理命令
-program
+const routesCommand = program
   .command('routes')
   .description('管理路由配置')
   .option('-l, --list', '显示路由列表')
@@ -76,9 +155,10 @@ program
   .option('--format <format>', '导出格式 (json|csv)', 'json')
   .option('--mode <mode>', '导入模式 (merge|replace)', 'merge')
   .option('-C, --config <path>', '配置文件路径', 'hik-config.json')
+  .option('-p, --profile <name>', '使用配置文件 profiles 中的指定环境')
   .action(async (options) => {
     try {
-      const config = await loadConfig(options.config);
+      const config = await loadConfig(options.config, { profile: options.profile });
       const routeManager = new RouteManager(config);
 
       if (options.list) {
@@ -105,6 +185,204 @@ program
     }
   });
 
+/**
+ * 读取命令组（routes / sessions）子命令的选项：-C / -p 等既可写在命令组上，也可写在子命令上，子命令上的优先
+ * @param {Command} command - 子命令
+ * @returns {object} 合并后的选项
+ */
+function groupOptions(command) {
+  return { ...command.parent.opts(), ...command.opts() };
+}
+
+/**
+ * 为 routes 子命令添加与 routes 命令相同的配置选项（不设默认值，未指定时使用 routes 命令上的值）
+ * @param {Command} command - 子命令
+ * @returns {Command} 子命令
+ */
+function addRoutesOptions(command) {
+  return command
+    .option('-C, --config <path>', '配置文件路径（默认 hik-config.json）')
+    .option('-p, --profile <name>', '使用配置文件 profiles 中的指定环境')
+    .option('--mode <mode>', '导入模式 (merge|replace，默认 merge)');
+}
+
+addRoutesOptions(routesCommand
+  .command('crawl')
+  .description('注入令牌后从入口页爬取应用内链接（只读取 DOM，不调用 AI），导入路由缓存')
+  .option('--depth <n>', '爬取深度，入口页上的链接为第 1 层（默认 2）', value => parseInt(value, 10))
+  .option('--same-origin', '只收集与入口页同源的链接（默认收集同一父域名下的链接）')
+  .option('--include <patterns...>', '只收集匹配任一正则的 URL')
+  .option('--exclude <patterns...>', '忽略匹配任一正则的 URL')
+  .option('--max-pages <n>', '最多访问的页面数（默认 200）', value => parseInt(value, 10))
+  .option('--verbose', '开启详细日志'))
+  .action(async (options, command) => {
+    try {
+      const { config: configPath, profile, mode } = groupOptions(command);
+      const config = await loadConfig(configPath, { profile });
+      if (options.verbose) {
+        config.verbose = true;
+      }
+
+      // 命令行参数覆盖配置中的 crawl
+      const crawlOptions = Object.fromEntries(Object.entries({
+        depth: options.depth,
+        sameOrigin: options.sameOrigin,
+        include: options.include,
+        exclude: options.exclude,
+        maxPages: options.maxPages
+      }).filter(([, value]) => value !== undefined));
+      config.crawl = { ...config.crawl, ...crawlOptions };
+
+      const validation = validateConfig(config);
+      if (!validation.isValid) {
+        logger.error('配置校验失败:');
+        validation.errors.forEach(error => logger.error(`  - ${error}`));
+        process.exit(1);
+      }
+
+      const tester = new MenuTester(config);
+      await tester.crawlRoutes({ mode });
+    } catch (error) {
+      logger.error(`爬取路由失败: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+addRoutesOptions(routesCommand
+  .command('discover')
+  .description('打开应用读取前端路由表（vue-router / react-router）或渲染的导航菜单，导入路由缓存')
+  .requiredOption('--from <source>', '路由来源（router|menu）')
+  .option('--expression <expression>', '[router] 返回路由实例或路由数组的页面表达式（默认自动识别）')
+  .option('--include-dynamic', '[router] 保留带动态参数的路由，参数转换为 {{name}} 占位符')
+  .option('--menu-selector <selector>', '[menu] 菜单根节点选择器（默认 .el-menu, .ant-menu）')
+  .option('--verbose', '开启详细日志'))
+  .action(async (options, command) => {
+    try {
+      if (!['router', 'menu'].includes(options.from)) {
+        throw new Error(`不支持的路由来源: ${options.from}（可选: router, menu）`);
+      }
+
+      const { config: configPath, profile, mode } = groupOptions(command);
+      const config = await loadConfig(configPath, { profile });
+      if (options.verbose) {
+        config.verbose = true;
+      }
+
+      // 命令行参数覆盖配置中的 discover
+      const discoverOptions = Object.fromEntries(Object.entries({
+        expression: options.expression,
+        includeDynamic: options.includeDynamic,
+        menuSelector: options.menuSelector
+      }).filter(([, value]) => value !== undefined));
+      config.discover = { ...config.discover, ...discoverOptions };
+
+      const validation = validateConfig(config);
+      if (!validation.isValid) {
+        logger.error('配置校验失败:');
+        validation.errors.forEach(error => logger.error(`  - ${error}`));
+        process.exit(1);
+      }
+
+      const tester = new MenuTester(config);
+      await tester.discoverRoutes({ from: options.from, mode });
+    } catch (error) {
+      logger.error(`路由发现失败: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// 会话管理命令
+const sessionsCommand = program
+  .command('sessions')
+  .description('管理历史测试会话')
+  .option('-C, --config <path>', '配置文件路径', 'hik-config.json')
+  .option('-o, --output <dir>', '会话目录（默认读取配置中的 output）');
+
+/**
+ * 创建会话管理器：优先使用 --output，否则读取配置文件中的 output
+ * @param {Command} command - sessions 子命令（-C / -o 可写在 sessions 或子命令上）
+ */
+async function createSessionManager(command) {
+  const options = groupOptions(command);
+  const config = options.output ? { output: options.output } : await loadConfig(options.config);
+  return new SessionManager(config);
+}
+
+/**
+ * 为 sessions 子命令添加与 sessions 命令相同的选项
+ * @param {Command} command - 子命令
+ * @returns {Command} 子命令
+ */
+function addSessionsOptions(command) {
+  return command
+    .option('-C, --config <path>', '配置文件路径（默认 hik-config.json）')
+    .option('-o, --output <dir>', '会话目录（默认读取配置中的 output）');
+}
+
+/**
+ * 包装会话子命令，统一错误处理
+ */
+function sessionAction(handler) {
+  return async (...args) => {
+    try {
+      // commander 传入的最后一个参数是子命令本身
+      const sessionManager = await createSessionManager(args[args.length - 1]);
+      await handler(sessionManager, ...args);
+    } catch (error) {
+      logger.error(`会话管理失败: ${error.message}`);
+      process.exit(1);
+    }
+  };
+}
+
+addSessionsOptions(sessionsCommand
+  .command('list'))
+  .description('列出所有会话的状态、成功/失败数与耗时')
+  .action(sessionAction(sessionManager => sessionManager.listSessions()));
+
+addSessionsOptions(sessionsCommand
+  .command('show <sessionId>'))
+  .description('根据会话文件重新输出控制台报告（支持 latest）')
+  .action(sessionAction((sessionManager, sessionId) => sessionManager.showSession(sessionId)));
+
+addSessionsOptions(sessionsCommand
+  .command('report <sessionId>'))
+  .description('根据会话文件重新生成 HTML 报告（支持 latest）')
+  .action(sessionAction((sessionManager, sessionId) => sessionManager.generateReport(sessionId)));
+
+addSessionsOptions(sessionsCommand
+  .command('diff <baseId> <targetId>'))
+  .description('对比两个会话，列出新增失败与已恢复的路由')
+  .action(sessionAction((sessionManager, baseId, targetId) => sessionManager.diffSessions(baseId, targetId)));
+
+addSessionsOptions(sessionsCommand
+  .command('prune'))
+  .description('按保留规则清理会话文件及其 HTML 报告')
+  .requiredOption('--keep <rule>', '保留规则：30d / 12h / 2w 表示保留时长，纯数字表示保留最新的 N 个')
+  .option('--dry-run', '只列出将被删除的会话')
+  .action(sessionAction((sessionManager, options) => sessionManager.pruneSessions(options.keep, options.dryRun)));
+
+// 合并分片报告命令
+program
+  .command('merge-reports <dir>')
+  .description('将 test --shard 生成的分片会话合并为一个会话文件和一份 HTML 报告')
+  .option('-o, --output <dir>', '合并结果的输出目录（默认与分片会话相同）')
+  .option('--run-id <id>', '只合并指定运行的分片（目录中有多次运行的分片时必须指定）')
+  .action(async (dir, options) => {
+    try {
+      const sessionManager = new SessionManager({ output: dir });
+      const { summary } = await sessionManager.mergeShards(options.output || dir, { runId: options.runId });
+
+      // 分片会话中配置了质量门禁时，按合并后的结果判断退出码
+      if (summary.gates && !summary.gates.passed) {
+        process.exit(summary.gates.exitCode);
+      }
+    } catch (error) {
+      logger.error(`合并分片报告失败: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 // 兼容原有的默认命令（保持向后兼容）
 program
   .option('--url <url>', '目标管理平台地址')
@@ -114,7 +392,7 @@ program
   .option('--headless [boolean]', '是否使用无头模式运行', true)
   .option('--output <path>',   '结果输出目录', './menu-test-results')
   .option('--retry <number>', '失败操作的重试次数', '2')
-  .option('--token-method <method>', '令牌注入方式：cookie|localStorage|header', 'cookie')
+  .option('--token-method <method>', '令牌注入方式：cookie|localStorage|sessionStorage|header', 'cookie')
   .option('--token-name <name>', '令牌注入名称', 'access_token')
   .option('--screenshots [boolean]', '测试过程中是否截图', false)
   .option('--verbose', '开启详细日志')
@@ -202,6 +480,114 @@ program
     }
   });
 
+// 认证状态命令
+const authCommand = program
+  .command('auth')
+  .description('管理保存的认证状态（Playwright storageState）');
+
+authCommand
+  .command('save')
+  .description('登录（表单登录或注入令牌）并打开入口页，将认证状态写入文件供 auth.storageState 复用')
+  .option('-C, --config <path>', '配置文件路径', 'hik-config.json')
+  .option('-p, --profile <name>', '使用配置文件 profiles 中的指定环境')
+  .option('-o, --output <path>', '输出路径（默认使用配置中的 auth.storageState）')
+  .option('--manual', '以有头模式打开入口页，手动完成登录（如 SSO）后按回车保存')
+  .option('--verbose', '开启详细日志')
+  .action(async (options) => {
+    try {
+      const config = await loadConfig(options.config, { profile: options.profile });
+      if (options.verbose) {
+        config.verbose = true;
+      }
+
+      const outputPath = options.output || config.auth?.storageState;
+      if (!outputPath) {
+        throw new Error('请使用 --output 指定输出路径或在配置中设置 auth.storageState');
+      }
+
+      // 手动登录不需要令牌
+      if (options.manual) {
+        config.headless = false;
+        config.auth = { ...config.auth, storageState: outputPath };
+      }
+
+      const validation = validateConfig(config);
+      if (!validation.isValid) {
+        logger.error('配置校验失败:');
+        validation.errors.forEach(error => logger.error(`  - ${error}`));
+        process.exit(1);
+      }
+
+      const waitForUser = options.manual
+        ? () => new Promise(resolve => {
+          const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+          rl.question(chalk.yellow('请在浏览器中完成登录，完成后按回车保存认证状态...'), () => {
+            rl.close();
+            resolve();
+          });
+        })
+        : null;
+
+      const tester = new MenuTester(config);
+      await tester.saveAuthState(outputPath, { waitForUser });
+    } catch (error) {
+      logger.error(`保存认证状态失败: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// 定时运行（daemon）命令
+program
+  .command('daemon')
+  .description('常驻进程，按 cron 表达式定时运行测试，并通过 /health 暴露最近一次运行结果')
+  .option('-C, --config <path>', '配置文件路径', 'hik-config.json')
+  .option('-p, --profile <name>', '使用配置文件 profiles 中的指定环境')
+  .option('--cron <expression>', 'cron 表达式（分 时 日 月 周），覆盖配置中的 schedule.cron')
+  .option('--keep <rule>', '会话保留规则：30d / 12h / 2w 或保留最新的 N 个')
+  .option('--port <port>', '/health 服务端口', '3000')
+  .option('--run-now', '启动后立即运行一次')
+  .option('--verbose', '开启详细日志')
+  .action(async (options) => {
+    try {
+      const config = await loadConfig(options.config, { profile: options.profile });
+      if (options.verbose) {
+        config.verbose = true;
+      }
+
+      // 命令行选项覆盖配置文件中的 schedule
+      config.schedule = { ...config.schedule };
+      if (options.cron) {
+        config.schedule.cron = options.cron;
+      }
+      if (options.keep) {
+        config.schedule.keep = options.keep;
+      }
+      if (options.runNow) {
+        config.schedule.runOnStart = true;
+      }
+      if (!config.schedule.cron) {
+        throw new Error('缺少 cron 表达式，请使用 --cron 或在配置中设置 schedule.cron');
+      }
+
+      const validation = validateConfig(config);
+      if (!validation.isValid) {
+        logger.error('配置校验失败:');
+        validation.errors.forEach(error => logger.error(`  - ${error}`));
+        process.exit(1);
+      }
+
+      const scheduler = new Scheduler(config);
+      const server = new StaticWebServer({ statusProvider: () => scheduler.getStatus() });
+      const { url } = await server.start(parseInt(options.port, 10), false);
+      logger.info(`健康检查: ${url}/health`);
+
+      scheduler.start();
+    } catch (error) {
+      logger.error('启动定时运行失败:', error.message);
+      process.exit(1);
+    }
+  });
+
 // 版本和帮助信息增强
 program
   .command('info')
@@ -213,7 +599,12 @@ program
     console.log(chalk.blue('📚 使用方法:'));
     console.log('  menu-tester test --config config.json  # 运行测试');
     console.log('  menu-tester serve                      # 启动 Web 配置界面');
+    console.log('  menu-tester daemon --cron "0 8 * * *"  # 定时运行');
+    console.log('  menu-tester auth save -o state.json    # 保存认证状态');
     console.log('  menu-tester routes list                # 管理路由');
+    console.log('  menu-tester routes crawl --depth 2     # 爬取链接生成路由');
+    console.log('  menu-tester routes discover --from router  # 从前端路由表生成路由');
+    console.log('  menu-tester routes discover --from menu    # 从导航菜单生成路由');
     console.log('');
     console.log(chalk.blue('🌐 Web 界面:'));
     console.log('  运行 "menu-tester serve" 通过浏览器可视化配置');
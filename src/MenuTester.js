@@ -1,30 +1,87 @@
-const { chromium } = require('playwright');
-const { PlaywrightAgent } = require('@midscene/web/playwright');
+const EventEmitter = require('events');
+const playwright = require('playwright');
 
 const TokenInjector = require('./utils/tokenInjector');
-const PageValidator = require('./core/PageValidator');
+const { STORAGE_STATE_METHODS } = TokenInjector;
+const TokenRefresher = require('./utils/tokenRefresher');
 const ProgressTracker = require('./core/ProgressTracker');
 const MenuCache = require('./core/MenuCache');
+const RouteRunner = require('./core/RouteRunner');
+const LoginFlow = require('./core/LoginFlow');
+const LinkCrawler = require('./core/LinkCrawler');
+const RouterDiscovery = require('./core/RouterDiscovery');
+const MenuDiscovery = require('./core/MenuDiscovery');
 const { logger } = require('./utils/logger');
-const { parseViewportConfig } = require('./utils/devicePresets');
-const PerformanceMonitor = require('./utils/PerformanceMonitor');
-
-class MenuTester {
+const { SUPPORTED_BROWSERS, parseViewportConfig, getViewportMatrix } = require('./utils/devicePresets');
+const { normalizeList, isEmptyFilter, filterRoutes } = require('./utils/routeFilter');
+const { hasGates, evaluateGates } = require('./utils/gates');
+const { pluginRegistry } = require('./utils/pluginRegistry');
+const { buildExecutionPlan } = require('./utils/executionPlan');
+const { selectShard } = require('./utils/shard');
+const { loadStorageState, saveStorageState } = require('./utils/storageState');
+const { FORBIDDEN_CHECK_NAME } = require('./utils/permissionMatrix');
+const { expandRoutes, getDisplayUrl } = require('./utils/routeParameters');
+
+/**
+ * 生命周期事件（所有路由级事件都附带 browser / device / worker 字段）
+ *
+ * @typedef {object} RunStartEvent - run:start
+ * @property {string} sessionId - 会话ID
+ * @property {number} totalRoutes - 本次待执行的路由数（浏览器 × 设备 × 路由）
+ * @property {Array<string>} browsers - 浏览器引擎
+ * @property {Array<string>} devices - 设备矩阵（未使用时为空数组）
+ * @property {string|null} profile - 使用的环境 profile
+ * @property {boolean} resumed - 是否为恢复的会话
+ *
+ * @typedef {object} RouteStartEvent - route:start
+ * @property {string} menuId - 会话中的菜单 ID
+ * @property {{menuText: string, url: string}} route - 路由
+ *
+ * @typedef {object} RouteCompleteEvent - route:complete
+ * @property {string} menuId - 会话中的菜单 ID
+ * @property {{menuText: string, url: string}} route - 路由
+ * @property {object} result - 测试结果 { success, error, duration, attempts, screenshotComparisons, performance, ... }
+ *
+ * @typedef {object} ScenarioCompleteEvent - scenario:complete
+ * @property {string} menuId - 会话中的菜单 ID
+ * @property {{menuText: string, url: string}} route - 路由
+ * @property {{type: string, description: string|null, index: number}} scenario - 截图场景
+ * @property {boolean} success - 场景是否截图成功
+ * @property {object|null} screenshot - 截图 / 对比结果
+ * @property {string|null} error - 失败原因
+ *
+ * @typedef {object} ScreenshotDiffEvent - screenshot:diff
+ * @property {string} menuId - 会话中的菜单 ID
+ * @property {{menuText: string, url: string}} route - 路由
+ * @property {string} scenario - 场景名称
+ * @property {number} diffPercentage - 差异百分比
+ * @property {string|null} diffPath - 差异图路径
+ *
+ * run:complete 的数据为 start() 返回的汇总对象（见 generateRouteModeTestSummary）
+ */
+
+class MenuTester extends EventEmitter {
   constructor(config) {
+    super();
     this.config = config;
     this.browser = null;
-    this.page = null;
-    this.agent = null;
+    this.runners = [];
     this.tokenInjector = null;
-    this.pageValidator = null;
+    this.tokenRefresher = null;
     this.progressTracker = null;
     this.menuCache = null;
-    this.performanceMonitor = null;
+    this.resumedProgress = null;
+    this.authState = null;
+    this.pluginListenersAttached = false;
     this.mainPageUrl = config.url;
 
     logger.setVerbose(config.verbose || false);
   }
 
+  /**
+   * 运行测试
+   * @returns {Promise<object>} 汇总结果 { sessionId, totalRoutes, successful, failed, successRate, browsers, devices, gates, testDuration }
+   */
   async start() {
     try {
       logger.info('Initializing menu tester...');
@@ -32,15 +89,22 @@ class MenuTester {
       this.progressTracker = new ProgressTracker(this.config);
       this.menuCache = new MenuCache(this.config);
 
-      await this.progressTracker.cleanupOldSessions();
-      await this.initializeBrowser();
+      // 通过 loadConfig 加载的配置已注册过插件，这里兼容直接传入配置对象的编程调用
+      pluginRegistry.loadPlugins(this.config.plugins || [], this.config);
+      if (!this.pluginListenersAttached) {
+        pluginRegistry.attachListeners(this);
+        this.pluginListenersAttached = true;
+      }
+
+      if (this.config.resume) {
+        await this.resumeSession(this.config.resume);
+      }
 
       this.tokenInjector = new TokenInjector(this.config);
-      this.pageValidator = new PageValidator(this.agent, this.page, this.config);
-      this.performanceMonitor = new PerformanceMonitor(this.page, this.config);
+      this.tokenRefresher = new TokenRefresher(this.config, this.tokenInjector);
+      this.checkPermissionSignal();
 
-      await this.setupPage();
-      await this.executeRouteModeTesting();
+      return await this.executeRouteModeTesting();
     } catch (error) {
       logger.error(`Menu testing failed: ${error.message}`);
 
@@ -54,735 +118,824 @@ class MenuTester {
     }
   }
 
+  /**
+   * 生成执行计划（dry-run）：解析路由与浏览器 / 设备矩阵，不启动浏览器、不创建会话
+   * @returns {Promise<object>} 执行计划（见 utils/executionPlan）
+   */
+  async plan() {
+    this.menuCache = new MenuCache(this.config);
+    pluginRegistry.loadPlugins(this.config.plugins || [], this.config);
+
+    const routes = await this.resolveRoutes();
+    if (routes.length === 0 && !this.config.shard) {
+      throw new Error('未找到路由缓存，请通过导入或手动配置路由后再试');
+    }
+
+    const { routes: pairedRoutes, menus } = this.buildRouteMenus(
+      routes,
+      this.getBrowserNames(),
+      getViewportMatrix(this.config.viewport),
+      this.getAccountNames()
+    );
+    return buildExecutionPlan(this.config, pairedRoutes, menus);
+  }
+
   async executeRouteModeTesting() {
     try {
-      await this.progressTracker.updateStep('route_mode_testing');
-
-      let routes = [];
-      if (Array.isArray(this.config.routes) && this.config.routes.length > 0) {
-        routes = this.config.routes.map((r, idx) => {
-          const route = {
-            menuText: r.menuText || r.text || `Route ${idx + 1}`,
-            url: r.url,
-            level: r.level || 1,
-            recordedAt: r.recordedAt || new Date().toISOString(),
-            screenshotScenarios: r.screenshotScenarios || [] // 保留截图场景配置
-          };
-          
-          // 调试：输出场景配置信息
-          if (route.screenshotScenarios && route.screenshotScenarios.length > 0) {
-            logger.info(`📋 [路由加载] ${route.menuText} 包含 ${route.screenshotScenarios.length} 个截图场景`);
-            logger.info(`📋 [路由加载] 场景详情: ${JSON.stringify(route.screenshotScenarios, null, 2)}`);
-          } else {
-            logger.debug(`📋 [路由加载] ${route.menuText} 无截图场景配置`);
-          }
-          
-          return route;
-        });
-        logger.info(`使用配置文件内联路由，共 ${routes.length} 条`);
-      } else {
-        routes = await this.loadRoutesFromCache();
-      }
+      const routes = await this.resolveRoutes();
 
-      if (routes.length === 0) {
+      // 空分片记为没有路由的成功会话，merge-reports 仍能找到该分片
+      if (routes.length === 0 && !this.config.shard) {
         throw new Error('未找到路由缓存，请通过导入或手动配置路由后再试');
       }
 
-      logger.success(`加载了 ${routes.length} 个路由进行测试`);
+      const browsers = this.getBrowserNames();
+      const devices = getViewportMatrix(this.config.viewport);
+      logger.success(`加载了 ${routes.length} 个路由进行测试${browsers.length > 1 ? `，浏览器: ${browsers.join(', ')}` : ''}${devices.length > 0 ? `，设备: ${devices.join(', ')}` : ''}`);
 
-      const routeMenus = routes.map((route, index) => ({
-        id: `route-${index}`,
-        text: route.menuText,
-        url: route.url,
-        level: route.level,
-        mode: 'route',
-        tested: false,
-        success: null,
-        error: null
-      }));
+      const { routes: pendingRoutes, menus: routeMenus } = this.resumedProgress
+        ? await this.getResumedRoutes(routes)
+        : this.buildRouteMenus(routes, browsers, devices, this.getAccountNames());
 
-      await this.progressTracker.initialize(routeMenus);
+      if (!this.resumedProgress) {
+        await this.progressTracker.initialize(routeMenus);
+      }
 
-      for (let i = 0; i < routes.length; i++) {
-        const route = routes[i];
-        logger.info(`测试路由 ${i + 1}/${routes.length}: ${route.menuText} -> ${route.url}`);
-        
-        // 调试：检查场景配置
-        if (route.screenshotScenarios && route.screenshotScenarios.length > 0) {
-          logger.info(`🔍 [调试] 路由 "${route.menuText}" 在测试前检查：场景数 = ${route.screenshotScenarios.length}`);
-        } else {
-          logger.debug(`🔍 [调试] 路由 "${route.menuText}" 在测试前检查：无场景配置`);
-        }
+      await pluginRegistry.runHook('beforeRun', {
+        config: this.config,
+        sessionId: this.progressTracker.sessionId,
+        routes: pendingRoutes
+      });
 
-        // 如果是第一个路由且启用了性能监控，测量性能
-        const isFirstRoute = i === 0;
-        await this.testSingleRoute(route, routeMenus[i], isFirstRoute);
+      this.emit('run:start', {
+        sessionId: this.progressTracker.sessionId,
+        totalRoutes: routeMenus.length,
+        browsers: [...new Set(routeMenus.map(menu => menu.browser))],
+        devices: [...new Set(routeMenus.map(menu => menu.device).filter(Boolean))],
+        profile: this.config.profile || null,
+        resumed: Boolean(this.resumedProgress)
+      });
 
-        if (i < routes.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 500));
+      // 各浏览器引擎依次执行，同一时间只保留一个浏览器进程（恢复会话时以会话中记录的浏览器为准）
+      const runBrowsers = [...new Set(routeMenus.map(menu => menu.browser))];
+      for (const browserName of runBrowsers) {
+        await this.initializeBrowser(browserName);
+        await this.ensureAuthState(browserName);
+
+        // 设备矩阵：同一浏览器内按设备依次创建对应视口的 context
+        const runDevices = [...new Set(routeMenus
+          .filter(menu => menu.browser === browserName)
+          .map(menu => menu.device || null))];
+
+        for (const deviceName of runDevices) {
+          // 多账号：每个账号使用独立的 context 与令牌，依次执行整个路由列表
+          const runAccounts = [...new Set(routeMenus
+            .filter(menu => menu.browser === browserName && (menu.device || null) === deviceName)
+            .map(menu => menu.account || null))];
+
+          for (const accountName of runAccounts) {
+            const indexes = routeMenus
+              .map((menu, index) => (
+                menu.browser === browserName && (menu.device || null) === deviceName && (menu.account || null) === accountName ? index : -1
+              ))
+              .filter(index => index >= 0);
+
+            // 并发数不超过路由数，避免创建空闲的浏览器 context
+            const workerCount = Math.min(this.getConcurrency(), indexes.length);
+            await this.setupPage(workerCount, browserName, deviceName, accountName);
+
+            await this.progressTracker.updateStep(`route_mode_testing:${[browserName, deviceName, accountName].filter(Boolean).join(':')}`);
+            await this.runRouteQueue(indexes.map(i => pendingRoutes[i]), indexes.map(i => routeMenus[i]));
+
+            await this.closeRunners();
+          }
         }
+
+        await this.cleanup();
+      }
+
+      const summary = this.generateRouteModeTestSummary();
+
+      // 质量门禁结果随汇总写入会话文件并在报告中展示
+      if (hasGates(this.config.gates)) {
+        summary.gates = evaluateGates(this.progressTracker.progress, this.config.gates);
       }
 
-      const summary = this.generateRouteModeTestSummary(routeMenus);
       await this.progressTracker.complete(summary);
+
+      await pluginRegistry.runHook('afterRun', { config: this.config, summary, progress: this.progressTracker.progress });
+      await pluginRegistry.runReporters({
+        progress: this.progressTracker.progress,
+        summary,
+        config: this.config,
+        outputDir: this.progressTracker.outputDir
+      });
+
+      this.emit('run:complete', summary);
+      return summary;
     } catch (error) {
       throw new Error(`路由模式测试失败: ${error.message}`);
     }
   }
 
-  async testSingleRoute(route, menuItem, measurePerformance = false) {
-    try {
-      await this.progressTracker.startMenu(menuItem.id);
+  /**
+   * 恢复中断的会话
+   * @param {string} sessionId - 会话ID，或 'latest' 表示最近一次未完成的会话
+   * @returns {Promise<object>} 已加载的会话进度
+   */
+  async resumeSession(sessionId) {
+    let targetSessionId = sessionId;
 
-      logger.debug(`导航到路由: ${route.url}`);
-      await this.page.goto(route.url, {
-        waitUntil: 'load',
-        timeout: this.config.timeout
-      });
+    if (sessionId === 'latest') {
+      const sessions = await this.progressTracker.listAvailableSessions();
+      if (sessions.length === 0) {
+        throw new Error('没有可恢复的会话');
+      }
+      targetSessionId = sessions[0].sessionId;
+    }
 
-      await this.waitForPageStable();
+    const loadedProgress = await this.progressTracker.loadProgress(targetSessionId);
+    if (!loadedProgress) {
+      throw new Error(`无法恢复会话: ${targetSessionId}`);
+    }
 
-      // 如果是第一个路由且启用了性能监控，测量性能
-      let performanceMetrics = null;
-      if (measurePerformance && this.performanceMonitor && this.performanceMonitor.enabled) {
-        performanceMetrics = await this.performanceMonitor.measurePerformance();
-      }
+    if (loadedProgress.status === 'completed') {
+      throw new Error(`会话 ${targetSessionId} 已完成，无需恢复`);
+    }
 
-      const validationResult = await this.validateRoutePage(route);
+    this.progressTracker.resumeFromProgress(loadedProgress);
+    this.resumedProgress = loadedProgress;
 
-      // 处理截图：支持多场景截图
-      let screenshots = null;
-      if (this.config.screenshots) {
-        logger.info(`📸 开始捕获截图，路由: ${route.menuText}`);
-        logger.info(`📸 路由配置中的场景数: ${route.screenshotScenarios?.length || 0}`);
-        if (route.screenshotScenarios && route.screenshotScenarios.length > 0) {
-          logger.info(`📸 场景详情: ${JSON.stringify(route.screenshotScenarios, null, 2)}`);
-        }
-        screenshots = await this.captureScreenshots(route, menuItem, validationResult.success);
-        if (screenshots) {
-          logger.debug(`截图完成，结果类型: ${Array.isArray(screenshots) ? '数组' : '单个'}`);
-        } else {
-          logger.warning('截图返回为空');
-        }
-      } else {
-        logger.debug('截图功能未启用');
-      }
+    return loadedProgress;
+  }
 
-      // 提取截图对比数据
-      const screenshotComparisons = this.extractScreenshotComparisons(screenshots);
-
-      const testResult = {
-        success: validationResult.success,
-        error: validationResult.error,
-        screenshot: screenshots, // 可能是单个截图或截图数组
-        screenshots: screenshots, // 明确的多截图字段
-        details: validationResult,
-        url: route.url,
-        mode: 'route',
-        duration: Date.now() - (this.progressTracker.progress.menus[menuItem.id]?.startTime || Date.now()),
-        performance: performanceMetrics, // 性能指标（仅第一个路由）
-        screenshotComparisons: screenshotComparisons // 截图对比数据
-      };
-
-      await this.progressTracker.completeMenu(menuItem.id, testResult);
-
-      if (validationResult.success) {
-        logger.success(`✓ ${route.menuText}: 路由访问成功`);
-      } else {
-        logger.error(`✗ ${route.menuText}: ${validationResult.error}`);
+  /**
+   * 将会话中未完成的菜单映射回当前路由配置
+   * 已完成和失败的结果保持不变，找不到对应路由的菜单标记为跳过
+   * @param {Array} routes - 当前解析出的路由列表
+   * @returns {Promise<object>} 待执行的路由及其对应的会话菜单项
+   */
+  async getResumedRoutes(routes) {
+    const resumableMenus = this.progressTracker.getResumableMenus(this.resumedProgress);
+    const pendingRoutes = [];
+    const pendingMenus = [];
+
+    for (const menu of resumableMenus) {
+      // 优先按菜单文本 + URL 匹配；旧会话未记录 URL 时退回按序号匹配
+      const indexMatch = menu.id.match(/route-(\d+)/);
+      const route = menu.url
+        ? routes.find(r => r.menuText === menu.text && getDisplayUrl(r) === menu.url)
+        : indexMatch && routes[parseInt(indexMatch[1], 10)];
+
+      if (!route || route.menuText !== menu.text) {
+        await this.progressTracker.skipMenu(menu.id, '恢复时未在当前配置中找到该路由');
+        continue;
       }
-    } catch (error) {
-      const failResult = {
-        success: false,
-        error: error.message,
-        screenshot: null,
-        screenshots: null,
-        url: route.url,
-        mode: 'route',
-        duration: Date.now() - (this.progressTracker.progress.menus[menuItem.id]?.startTime || Date.now()),
-        performance: null,
-        screenshotComparisons: []
-      };
 
-      await this.progressTracker.completeMenu(menuItem.id, failResult);
-      logger.error(`✗ ${route.menuText}: ${error.message}`);
+      pendingRoutes.push(route);
+      pendingMenus.push({ ...menu, url: getDisplayUrl(route), browser: menu.browser || 'chromium', device: menu.device || null, mode: 'route' });
     }
+
+    logger.info(`恢复会话 ${this.progressTracker.sessionId}：待执行 ${pendingRoutes.length} 个路由，保留已有结果 ${Object.keys(this.resumedProgress.menus).length - resumableMenus.length} 个`);
+
+    return { routes: pendingRoutes, menus: pendingMenus };
   }
 
   /**
-   * 捕获路由的截图（支持多场景）
-   * @param {object} route - 路由配置
-   * @param {object} menuItem - 菜单项
-   * @param {boolean} success - 验证是否成功
-   * @returns {string|Array|null} 单个截图路径或截图数组
+   * 获取要运行的浏览器引擎列表
+   * @returns {Array<string>} 浏览器名称，未配置时为 ['chromium']
    */
-  async captureScreenshots(route, menuItem, success) {
-    try {
-      logger.info(`🔍 [截图场景] 进入 captureScreenshots 方法，路由: ${route.menuText}`);
-      logger.info(`🔍 [截图场景] route 对象 keys: ${Object.keys(route).join(', ')}`);
-      logger.info(`🔍 [截图场景] route.screenshotScenarios 类型: ${typeof route.screenshotScenarios}, 值: ${JSON.stringify(route.screenshotScenarios)}`);
-      
-      const scenarios = route.screenshotScenarios || [];
-      logger.info(`[截图场景] 路由: ${route.menuText}, 场景数量: ${scenarios.length}`);
-      
-      if (scenarios.length > 0) {
-        logger.info(`[截图场景] 场景列表: ${JSON.stringify(scenarios.map(s => ({ type: s.type, description: s.description })), null, 2)}`);
-      }
-      
-      // 如果没有配置场景，使用默认截图
-      if (scenarios.length === 0) {
-        logger.debug(`[截图场景] 未配置场景，使用默认截图或自动发现`);
-        // 尝试自动发现 tab（如果配置允许）
-        if (this.config.autoDiscoverTabs !== false) {
-          const autoTabs = await this.discoverTabs();
-          if (autoTabs.length > 0) {
-            logger.info(`自动发现 ${autoTabs.length} 个 tab，将自动截图`);
-            return await this.captureTabScreenshots(route, menuItem, autoTabs, success);
-          }
-        }
-        
-        // 默认截图
-        return await this.pageValidator.takeScreenshot(menuItem, success);
-      }
+  getBrowserNames() {
+    const browsers = normalizeList(this.config.browsers);
+    return browsers.length > 0 ? browsers : ['chromium'];
+  }
 
-      // 执行配置的场景截图
-      logger.info(`开始执行 ${scenarios.length} 个截图场景`);
-      const screenshotResults = [];
-      
-      for (let i = 0; i < scenarios.length; i++) {
-        const scenario = scenarios[i];
-        try {
-          logger.info(`执行场景 ${i + 1}/${scenarios.length}: ${scenario.type} - ${scenario.description || '无描述'}`);
-          const screenshot = await this.executeScreenshotScenario(route, menuItem, scenario, success);
-          if (screenshot) {
-            screenshotResults.push({
-              scenario: scenario.description || scenario.type,
-              screenshot: screenshot
-            });
-            logger.success(`场景 ${i + 1} 截图成功`);
-          } else {
-            logger.warning(`场景 ${i + 1} 截图返回为空`);
-          }
-        } catch (error) {
-          logger.error(`场景截图失败: ${scenario.description || scenario.type} - ${error.message}`);
-          logger.debug(error.stack);
-        }
-      }
-      
-      logger.info(`场景截图完成，成功 ${screenshotResults.length}/${scenarios.length} 个`);
+  /**
+   * 获取多账号测试的账号名列表
+   * @returns {Array<string>} 账号名，未配置 accounts 时为空数组
+   */
+  getAccountNames() {
+    return (Array.isArray(this.config.accounts) ? this.config.accounts : []).map(account => account.name);
+  }
 
-      // 如果只有一个场景，返回单个截图（保持向后兼容）
-      if (screenshotResults.length === 1) {
-        return screenshotResults[0].screenshot;
-      }
+  /**
+   * 多账号测试依赖"无权限错误检查"识别无权限页面，未启用时给出警告
+   */
+  checkPermissionSignal() {
+    if (this.getAccountNames().length === 0) {
+      return;
+    }
 
-      // 多个场景返回数组
-      return screenshotResults.length > 0 ? screenshotResults : null;
-      
-    } catch (error) {
-      logger.debug(`捕获截图失败: ${error.message}`);
-      return null;
+    const assertions = this.config.pageAssertions || {};
+    const checks = assertions.midsceneTextCheck?.checks || [];
+    if (!assertions.enabled || assertions.midsceneTextCheck?.enabled === false || !checks.some(check => check.name === FORBIDDEN_CHECK_NAME)) {
+      logger.warning(`未启用 pageAssertions 中的"${FORBIDDEN_CHECK_NAME}"，权限矩阵将无法识别无权限页面`);
     }
   }
 
   /**
-   * 执行单个截图场景
-   * @param {object} route - 路由配置
-   * @param {object} menuItem - 菜单项
-   * @param {object} scenario - 场景配置
-   * @param {boolean} success - 验证是否成功
-   * @returns {string|null} 截图路径
+   * 为账号创建令牌注入器（账号未配置的注入方式沿用全局配置）
+   * @param {string} accountName - 账号名
+   * @returns {TokenInjector} 令牌注入器
    */
-  async executeScreenshotScenario(route, menuItem, scenario, success) {
-    const { type, description } = scenario;
+  createAccountTokenInjector(accountName) {
+    const account = this.config.accounts.find(item => item.name === accountName);
+    return new TokenInjector({
+      ...this.config,
+      token: account.token,
+      tokenMethod: account.tokenMethod || this.config.tokenMethod,
+      tokenName: account.tokenName || this.config.tokenName
+    });
+  }
 
-    try {
-      switch (type) {
-        case 'default':
-          // 默认页面截图
-          await this.waitForPageStable();
-          return await this.pageValidator.takeScreenshot(menuItem, success, description);
-
-        case 'tab':
-          // Tab 切换截图
-          return await this.captureTabScreenshot(route, menuItem, scenario, success);
-
-        case 'modal':
-        case 'dialog':
-          // 弹窗截图
-          return await this.captureModalScreenshot(route, menuItem, scenario, success);
-
-        case 'dropdown':
-          // 下拉菜单截图
-          return await this.captureDropdownScreenshot(route, menuItem, scenario, success);
-
-        case 'custom':
-          // 自定义操作截图
-          return await this.captureCustomScreenshot(route, menuItem, scenario, success);
-
-        default:
-          logger.warning(`未知的场景类型: ${type}`);
-          return null;
-      }
-    } catch (error) {
-      logger.debug(`执行场景 ${description || type} 失败: ${error.message}`);
-      return null;
-    }
+  /**
+   * 为每个浏览器 × 设备 × 账号 × 路由生成会话菜单项
+   * 多浏览器时菜单 ID 带浏览器前缀，多账号时带账号前缀，设备矩阵时带设备后缀，使结果在会话中按维度区分
+   * @param {Array} routes - 路由列表
+   * @param {Array<string>} browsers - 浏览器列表
+   * @param {Array<string>} devices - 设备矩阵（为空表示使用单一 viewport 配置）
+   * @param {Array<string>} accounts - 账号列表（为空表示使用全局令牌）
+   * @returns {object} 与菜单一一对应的路由及菜单项
+   */
+  buildRouteMenus(routes, browsers, devices = [], accounts = []) {
+    const pairedRoutes = [];
+    const menus = [];
+    const multiBrowser = browsers.length > 1;
+    const targets = [];
+
+    browsers.forEach(browserName => {
+      (devices.length > 0 ? devices : [null]).forEach(deviceName => {
+        (accounts.length > 0 ? accounts : [null]).forEach(accountName => {
+          targets.push({ browserName, deviceName, accountName });
+        });
+      });
+    });
+
+    targets.forEach(({ browserName, deviceName, accountName }) => {
+      routes.forEach((route, index) => {
+        // 路由可通过 excludeDevices 退出部分设备
+        if (deviceName && normalizeList(route.excludeDevices).includes(deviceName)) {
+          return;
+        }
+
+        const baseId = `${multiBrowser ? `${browserName}:` : ''}${accountName ? `${accountName}:` : ''}route-${index}`;
+        pairedRoutes.push(route);
+        menus.push({
+          id: deviceName ? `${baseId}@${deviceName}` : baseId,
+          text: route.menuText,
+          url: getDisplayUrl(route),
+          level: route.level,
+          tags: route.tags || [],
+          group: route.group || null,
+          parameters: route.parameters || null,
+          account: accountName,
+          browser: browserName,
+          device: deviceName,
+          mode: 'route',
+          tested: false,
+          success: null,
+          error: null
+        });
+      });
+    });
+
+    return { routes: pairedRoutes, menus };
   }
 
   /**
-   * 自动发现页面上的 tab
-   * @returns {Array} Tab 列表
+   * 收集配置文件中的内联路由（顶层 routes + 各分组 groups[].routes）
+   * @returns {Array} 内联路由，分组内的路由带 group 字段
    */
-  async discoverTabs() {
-    try {
-      const tabs = await this.agent.aiQuery(`
-        {
-          text: string,
-          index: number,
-          selector: string
-        }[],
-        找到页面上所有的 tab 标签页（包括 el-tabs, ant-tabs, .tab-item 等），
-        返回每个 tab 的文本、索引和选择器
-      `);
-
-      return Array.isArray(tabs) ? tabs : [];
-    } catch (error) {
-      logger.debug(`自动发现 tab 失败: ${error.message}`);
-      return [];
-    }
+  getInlineRoutes() {
+    const routes = (Array.isArray(this.config.routes) ? this.config.routes : []).map(route => ({ ...route, group: null }));
+    const groupRoutes = (Array.isArray(this.config.groups) ? this.config.groups : [])
+      .flatMap(group => (group.routes || []).map(route => ({ ...route, group: group.name })));
+    return [...routes, ...groupRoutes];
   }
 
   /**
-   * 捕获 tab 截图（自动发现模式）
+   * 按名称获取路由分组配置
+   * @param {string} name - 分组名称
+   * @returns {object|null} 分组配置
    */
-  async captureTabScreenshots(route, menuItem, tabs, success) {
-    const results = [];
-    
-    for (const tab of tabs) {
-      try {
-        // 点击 tab
-        await this.agent.aiTap(`点击第 ${tab.index + 1} 个 tab: "${tab.text}"`);
-        await this.waitForPageStable();
-        
-        // 截图
-        const screenshot = await this.pageValidator.takeScreenshot(
-          { ...menuItem, text: `${menuItem.text} - ${tab.text}` },
-          success,
-          `Tab: ${tab.text}`
-        );
+  getRouteGroup(name) {
+    return (this.config.groups || []).find(group => group.name === name) || null;
+  }
+
+  /**
+   * 解析待测路由：优先使用配置文件内联路由（含分组路由），否则读取路由缓存
+   * @returns {Promise<Array>} 路由列表
+   */
+  async resolveRoutes() {
+    let routes;
+    const inlineRoutes = this.getInlineRoutes();
+
+    if (inlineRoutes.length > 0) {
+      routes = inlineRoutes.map((r, idx) => {
+        const route = {
+          menuText: r.menuText || r.text || `Route ${idx + 1}`,
+          url: r.url,
+          level: r.level || 1,
+          tags: normalizeList(r.tags),
+          excludeDevices: normalizeList(r.excludeDevices),
+          recordedAt: r.recordedAt || new Date().toISOString(),
+          group: r.group,
+          expect: r.expect || null,
+          dataset: r.dataset,
+          screenshotScenarios: r.screenshotScenarios || [] // 保留截图场景配置
+        };
         
-        if (screenshot) {
-          results.push({
-            scenario: `Tab: ${tab.text}`,
-            screenshot: screenshot
-          });
+        // 调试：输出场景配置信息
+        if (route.screenshotScenarios && route.screenshotScenarios.length > 0) {
+          logger.info(`📋 [路由加载] ${route.menuText} 包含 ${route.screenshotScenarios.length} 个截图场景`);
+          logger.info(`📋 [路由加载] 场景详情: ${JSON.stringify(route.screenshotScenarios, null, 2)}`);
+        } else {
+          logger.debug(`📋 [路由加载] ${route.menuText} 无截图场景配置`);
         }
-      } catch (error) {
-        logger.debug(`Tab "${tab.text}" 截图失败: ${error.message}`);
+        
+        return route;
+      });
+      logger.info(`使用配置文件内联路由，共 ${routes.length} 条`);
+    } else {
+      routes = await this.loadRoutesFromCache();
+    }
+
+    // 参数化路由：替换 {{name}} 占位符，配置了数据集的路由按数据行展开
+    const routeCount = routes.length;
+    routes = await expandRoutes(routes, { variables: this.config.variables || {} });
+    if (routes.length !== routeCount) {
+      logger.info(`参数化路由展开后共 ${routes.length} 条`);
+    }
+
+    // 按标签 / 关键字 / 层级筛选部分路由
+    if (this.config.filter && !isEmptyFilter(this.config.filter)) {
+      const filtered = filterRoutes(routes, this.config.filter);
+      logger.info(`路由筛选后剩余 ${filtered.length}/${routes.length} 条`);
+      routes = filtered;
+    }
+
+    // 跨机器分片：按标准化 URL 确定性地分配路由
+    if (this.config.shard) {
+      // 分片数多于路由数时部分分片没有路由，只有整个路由列表为空才报错
+      if (routes.length === 0) {
+        throw new Error('未找到路由缓存，请通过导入或手动配置路由后再试');
       }
+      const { index, total } = this.config.shard;
+      const sharded = selectShard(routes, this.config.shard, url => this.menuCache.normalizeRoute(url));
+      logger.info(`分片 ${index}/${total}: 本分片执行 ${sharded.length}/${routes.length} 条路由`);
+      routes = sharded;
     }
-    
-    return results.length > 0 ? results : null;
+
+    return routes;
   }
 
   /**
-   * 捕获单个 tab 截图（配置模式）
+   * 获取并发执行器数量
+   * @returns {number} 并发数
    */
-  async captureTabScreenshot(route, menuItem, scenario, success) {
-    try {
-      const { selector, text, index } = scenario;
-      
-      if (selector) {
-        // 使用选择器点击
-        await this.page.locator(selector).click();
-      } else if (text) {
-        // 使用文本点击
-        await this.agent.aiTap(`点击 tab: "${text}"`);
-      } else if (index !== undefined) {
-        // 使用索引点击
-        await this.agent.aiTap(`点击第 ${index + 1} 个 tab`);
+  getConcurrency() {
+    const concurrency = parseInt(this.config.concurrency, 10);
+    return Number.isInteger(concurrency) && concurrency > 0 ? concurrency : 1;
+  }
+
+  /**
+   * 执行路由队列：未分组的路由与各分组分批执行，同一分组的 setup / teardown 只执行一次
+   * @param {Array} routes - 路由列表
+   * @param {Array} routeMenus - 与路由一一对应的进度菜单项
+   */
+  async runRouteQueue(routes, routeMenus) {
+    const batches = [];
+    routes.forEach((route, index) => {
+      const groupName = route.group || null;
+      let batch = batches.find(item => item.groupName === groupName);
+      if (!batch) {
+        batch = { groupName, indexes: [] };
+        batches.push(batch);
+      }
+      batch.indexes.push(index);
+    });
+
+    for (const [batchIndex, { groupName, indexes }] of batches.entries()) {
+      const batchRoutes = indexes.map(i => routes[i]);
+      const batchMenus = indexes.map(i => routeMenus[i]);
+      // 性能只在整个队列的第一个路由上测量
+      const measureFirst = batchIndex === 0;
+
+      if (groupName) {
+        await this.runRouteGroup(this.getRouteGroup(groupName) || { name: groupName }, batchRoutes, batchMenus, measureFirst);
       } else {
-        logger.warning('Tab 场景缺少 selector、text 或 index');
-        return null;
+        await this.runWorkerQueue(batchRoutes, batchMenus, measureFirst);
       }
-
-      await this.waitForPageStable();
-      
-      const description = scenario.description || `Tab: ${text || index || selector}`;
-      return await this.pageValidator.takeScreenshot(
-        { ...menuItem, text: `${menuItem.text} - ${description}` },
-        success,
-        description
-      );
-    } catch (error) {
-      logger.debug(`Tab 截图失败: ${error.message}`);
-      return null;
     }
   }
 
   /**
-   * 捕获弹窗截图
+   * 执行一个路由分组：每个执行器先完成 setup，再测试分组内路由，最后执行 teardown
+   * 任一执行器 setup 失败时，分组内所有路由记为跳过
+   * @param {object} group - 分组配置 { name, url, setup, teardown }
+   * @param {Array} routes - 分组内的路由
+   * @param {Array} routeMenus - 与路由一一对应的进度菜单项
+   * @param {boolean} measureFirst - 是否在第一个路由上测量性能
    */
-  async captureModalScreenshot(route, menuItem, scenario, success) {
-    try {
-      const { trigger, closeAfter = true } = scenario;
-      
-      if (!trigger) {
-        logger.warning('Modal 场景缺少 trigger 配置');
-        return null;
+  async runRouteGroup(group, routes, routeMenus, measureFirst) {
+    logger.info(`📁 路由分组 "${group.name}"：${routes.length} 个路由`);
+
+    const setupResults = await Promise.allSettled(this.runners.map(runner => runner.runGroupSetup(group)));
+    const failure = setupResults.find(result => result.status === 'rejected');
+
+    if (failure) {
+      const reason = `分组 "${group.name}" 的 setup 失败: ${failure.reason.message}`;
+      logger.error(reason);
+      for (const menu of routeMenus) {
+        await this.progressTracker.skipMenu(menu.id, reason);
       }
 
-      logger.info(`准备触发弹窗: ${trigger}`);
-      
-      // 确保页面已完全加载
-      await this.waitForPageStable();
-      await new Promise(resolve => setTimeout(resolve, 500)); // 额外等待确保页面稳定
-      
-      // 触发弹窗 - 清理 trigger 文本（移除多余空格，统一引号）
-      const cleanTrigger = trigger.trim().replace(/\s+/g, ' ').replace(/['"]/g, '"');
-      logger.debug(`清理后的 trigger: ${cleanTrigger}`);
-      
-      try {
-        await this.agent.aiTap(cleanTrigger);
-        logger.debug('已执行触发动作，等待页面稳定...');
-        await this.waitForPageStable();
-        await new Promise(resolve => setTimeout(resolve, 1000)); // 等待弹窗动画
-      } catch (tapError) {
-        logger.error(`点击触发按钮失败: ${tapError.message}`);
-        logger.info('尝试使用备用方式：直接查找按钮文本');
-        // 备用方案：尝试从 trigger 中提取按钮文本
-        const buttonText = trigger.replace(/点击|按钮/g, '').trim().replace(/['"]/g, '');
-        if (buttonText) {
-          await this.agent.aiTap(`点击"${buttonText}"按钮`);
-          await this.waitForPageStable();
-          await new Promise(resolve => setTimeout(resolve, 1000));
+      // setup 已成功的执行器仍执行 teardown，恢复页面状态
+      await Promise.all(this.runners
+        .filter((runner, index) => setupResults[index].status === 'fulfilled')
+        .map(runner => runner.runGroupTeardown(group)));
+      return;
+    }
+
+    await this.runWorkerQueue(routes, routeMenus, measureFirst);
+    await Promise.all(this.runners.map(runner => runner.runGroupTeardown(group)));
+  }
+
+  /**
+   * 以工作队列方式将路由分发给各执行器
+   * @param {Array} routes - 路由列表
+   * @param {Array} routeMenus - 与路由一一对应的进度菜单项
+   * @param {boolean} measureFirst - 是否在第一个路由上测量性能
+   */
+  async runWorkerQueue(routes, routeMenus, measureFirst = true) {
+    let nextIndex = 0;
+
+    const runWorker = async (runner) => {
+      while (nextIndex < routes.length) {
+        const i = nextIndex++;
+        const route = routes[i];
+        logger.info(`[${runner.browserName}/Worker ${runner.id}] 测试路由 ${i + 1}/${routes.length}: ${route.menuText} -> ${getDisplayUrl(route)}`);
+        
+        // 调试：检查场景配置
+        if (route.screenshotScenarios && route.screenshotScenarios.length > 0) {
+          logger.info(`🔍 [调试] 路由 "${route.menuText}" 在测试前检查：场景数 = ${route.screenshotScenarios.length}`);
         } else {
-          throw tapError;
+          logger.debug(`🔍 [调试] 路由 "${route.menuText}" 在测试前检查：无场景配置`);
         }
-      }
-      
-      // 等待弹窗出现
-      logger.debug('等待弹窗出现...');
-      try {
-        await this.agent.aiWaitFor('弹窗或对话框已完全显示', { timeout: 5000 });
-        logger.success('弹窗已出现');
-      } catch (waitError) {
-        logger.warning(`等待弹窗超时: ${waitError.message}`);
-        logger.info('继续尝试截图（可能弹窗已出现但 AI 未检测到）');
-        await new Promise(resolve => setTimeout(resolve, 1000)); // 再等一秒
-      }
-      
-      const description = scenario.description || `Modal: ${trigger}`;
-      logger.debug(`开始截图: ${description}`);
-      const screenshot = await this.pageValidator.takeScreenshot(
-        { ...menuItem, text: `${menuItem.text} - ${description}` },
-        success,
-        description
-      );
-
-      if (!screenshot) {
-        logger.warning('截图返回为空，可能弹窗未出现或截图失败');
-      }
 
-      // 关闭弹窗（如果需要）
-      if (closeAfter) {
-        try {
-          logger.debug('准备关闭弹窗...');
-          // 尝试多种关闭方式
-          try {
-            await this.agent.aiTap('关闭弹窗或对话框');
-          } catch (e1) {
-            try {
-              await this.agent.aiTap('点击关闭按钮');
-            } catch (e2) {
-              // 最后尝试 ESC 键
-              await this.page.keyboard.press('Escape');
-            }
-          }
+        // 如果是第一个路由且启用了性能监控，测量性能
+        const isFirstRoute = measureFirst && i === 0;
+        await runner.testSingleRoute(route, routeMenus[i], isFirstRoute);
+
+        if (nextIndex < routes.length) {
           await new Promise(resolve => setTimeout(resolve, 500));
-          logger.debug('弹窗已关闭');
-        } catch (error) {
-          logger.warning(`关闭弹窗失败: ${error.message}`);
         }
       }
+    };
 
-      return screenshot;
-    } catch (error) {
-      logger.error(`Modal 截图失败: ${error.message}`);
-      if (this.config.verbose) {
-        logger.debug(error.stack);
+    await Promise.all(this.runners.map(runWorker));
+  }
+
+
+  generateRouteModeTestSummary() {
+    return this.progressTracker.buildRouteSummary();
+  }
+
+  async loadRoutesFromCache() {
+    try {
+      const loaded = await this.menuCache.load();
+      if (!loaded) {
+        return [];
       }
-      return null;
+      return this.menuCache.getAllRoutes();
+    } catch (error) {
+      logger.debug(`加载路由缓存失败: ${error.message}`);
+      return [];
     }
   }
 
   /**
-   * 捕获下拉菜单截图
+   * 启动指定引擎的浏览器
+   * @param {string} browserName - chromium / firefox / webkit
    */
-  async captureDropdownScreenshot(route, menuItem, scenario, success) {
+  async initializeBrowser(browserName = 'chromium') {
     try {
-      const { trigger, selector } = scenario;
-      
-      if (trigger) {
-        await this.agent.aiTap(trigger);
-      } else if (selector) {
-        await this.page.locator(selector).click();
-      } else {
-        logger.warning('Dropdown 场景缺少 trigger 或 selector');
-        return null;
+      if (!SUPPORTED_BROWSERS.includes(browserName)) {
+        throw new Error(`Unsupported browser: ${browserName}`);
       }
 
-      await this.waitForPageStable();
-      await this.agent.aiWaitFor('下拉菜单已展开', { timeout: 2000 });
+      logger.debug(`Launching ${browserName}...`);
+      
+      this.browser = await playwright[browserName].launch({
+        headless: this.config.headless,
+        // 沙箱参数仅 Chromium 支持
+        args: browserName === 'chromium' ? ['--no-sandbox', '--disable-setuid-sandbox'] : []
+      });
+      
+      logger.success(`Browser initialized successfully: ${browserName}`);
       
-      const description = scenario.description || `Dropdown: ${trigger || selector}`;
-      const screenshot = await this.pageValidator.takeScreenshot(
-        { ...menuItem, text: `${menuItem.text} - ${description}` },
-        success,
-        description
-      );
-
-      // 关闭下拉菜单
-      try {
-        await this.page.keyboard.press('Escape');
-        await new Promise(resolve => setTimeout(resolve, 300));
-      } catch (error) {
-        logger.debug(`关闭下拉菜单失败: ${error.message}`);
-      }
-
-      return screenshot;
     } catch (error) {
-      logger.debug(`Dropdown 截图失败: ${error.message}`);
-      return null;
+      throw new Error(`Failed to initialize browser: ${error.message}`);
     }
   }
 
   /**
-   * 捕获自定义操作截图
+   * 准备所有 context 共用的认证状态：
+   * 配置了 auth.storageState 时读取保存的文件，否则在配置了 auth.loginFlow 时执行一次表单登录
+   * @param {string} browserName - 当前浏览器引擎
    */
-  async captureCustomScreenshot(route, menuItem, scenario, success) {
-    try {
-      const { actions, waitAfter = 1000 } = scenario;
-      
-      if (!Array.isArray(actions) || actions.length === 0) {
-        logger.warning('Custom 场景缺少 actions 配置');
-        return null;
-      }
+  async ensureAuthState(browserName) {
+    if (this.authState) {
+      return;
+    }
 
-      // 执行一系列操作
-      for (const action of actions) {
-        if (action.type === 'click') {
-          await this.agent.aiTap(action.target);
-        } else if (action.type === 'wait') {
-          await new Promise(resolve => setTimeout(resolve, action.duration || 1000));
-        } else if (action.type === 'scroll') {
-          await this.agent.aiScroll({
-            direction: action.direction || 'down',
-            scrollType: action.scrollType || 'increment',
-            amount: action.amount || 500
-          });
-        }
-      }
+    if (this.config.auth?.storageState) {
+      this.authState = await loadStorageState(this.config.auth.storageState);
+      return;
+    }
 
-      await new Promise(resolve => setTimeout(resolve, waitAfter));
-      await this.waitForPageStable();
-      
-      const description = scenario.description || 'Custom action';
-      return await this.pageValidator.takeScreenshot(
-        { ...menuItem, text: `${menuItem.text} - ${description}` },
-        success,
-        description
-      );
-    } catch (error) {
-      logger.debug(`Custom 截图失败: ${error.message}`);
-      return null;
+    if (!this.config.auth?.loginFlow) {
+      return;
     }
-  }
 
-  async validateRoutePage(route) {
+    if (this.progressTracker) {
+      await this.progressTracker.updateStep('login_flow');
+    }
+    const context = await this.browser.newContext(this.buildContextOptions(browserName));
     try {
-      const currentUrl = this.page.url();
-      
-      // 基础验证
-      const basicValidation = await this.pageValidator.validatePageLoad(
-        { text: route.menuText, url: route.url },
-        route.url
-      );
-      
-      // 额外的路由特定验证
-      const routeSpecificValidation = await this.performRouteSpecificValidation(route);
-      
-      return {
-        success: basicValidation.success && routeSpecificValidation.success,
-        error: basicValidation.error || routeSpecificValidation.error,
-        currentUrl: currentUrl,
-        expectedUrl: route.url,
-        routeSpecific: routeSpecificValidation
-      };
-      
-    } catch (error) {
-      return {
-        success: false,
-        error: `页面验证失败: ${error.message}`,
-        currentUrl: this.page.url(),
-        expectedUrl: route.url
-      };
+      this.authState = await new LoginFlow(this.config).run(context);
+    } finally {
+      await context.close();
     }
   }
 
-  async performRouteSpecificValidation(route) {
+  /**
+   * 登录（表单登录或注入令牌）并打开入口页，把 context 的认证状态写入文件，
+   * 之后可通过 auth.storageState 复用，跳过每次运行的登录与令牌注入
+   * @param {string} outputPath - 输出路径
+   * @param {object} options - 选项
+   * @param {Function} options.waitForUser - 手动登录模式：打开入口页后等待该函数完成（如 SSO 登录）再保存
+   * @returns {Promise<object>} { path, cookies, origins }
+   */
+  async saveAuthState(outputPath, { waitForUser = null } = {}) {
+    // 生成认证状态时不读取旧文件
+    this.config = { ...this.config, auth: { ...this.config.auth, storageState: undefined } };
+    const browserName = this.getBrowserNames()[0];
+
     try {
-      // 获取该路由的验证规则
-      const validationRules = this.menuCache.cache.routes.routeValidation.get(route.url);
-      
-      if (!validationRules) {
-        // 没有特定验证规则，使用基础验证
-        return { success: true, details: 'No specific validation rules' };
+      await this.initializeBrowser(browserName);
+      if (!waitForUser) {
+        await this.ensureAuthState(browserName);
       }
-      
-      // 这里可以根据验证规则进行特定检查
-      // 例如：检查特定元素存在、页面标题、内容等
-      
-      return { success: true, details: 'Route specific validation passed' };
-      
-    } catch (error) {
-      return {
-        success: false,
-        error: `路由特定验证失败: ${error.message}`
-      };
+
+      const contextOptions = this.buildContextOptions(browserName);
+      if (this.authState) {
+        contextOptions.storageState = this.authState;
+      }
+      const context = await this.browser.newContext(contextOptions);
+      const page = await context.newPage();
+
+      if (!waitForUser) {
+        const tokenInjector = new TokenInjector(this.config);
+        const unsavedMethods = [...new Set(tokenInjector.getItems()
+          .map(item => item.method)
+          .filter(method => !STORAGE_STATE_METHODS.includes(method)))];
+        if (unsavedMethods.length > 0) {
+          logger.warning(`${unsavedMethods.join(' / ')} 方式注入的令牌不会保存到认证状态中`);
+        }
+        await tokenInjector.inject(page, context);
+      }
+
+      logger.info(`打开入口页: ${this.config.url}`);
+      await page.goto(this.config.url, { waitUntil: 'load', timeout: this.config.timeout });
+
+      if (waitForUser) {
+        await waitForUser(page);
+      } else {
+        await page.waitForLoadState('networkidle').catch(() => {});
+      }
+
+      const saved = await saveStorageState(context, outputPath);
+      logger.success(`认证状态已保存: ${saved.path}（${saved.cookies} 个 cookie，${saved.origins} 个 origin 的 localStorage）`);
+      return saved;
+    } finally {
+      await this.cleanup();
     }
   }
 
-  generateRouteModeTestSummary(routeMenus) {
-    const total = routeMenus.length;
-    const successful = routeMenus.filter(menu => {
-      const menuResult = this.progressTracker.progress.menus[menu.id];
-      return menuResult && menuResult.status === 'completed';
-    }).length;
-    const failed = total - successful;
-    
-    return {
-      mode: 'route',
-      totalRoutes: total,
-      successful,
-      failed,
-      successRate: total > 0 ? ((successful / total) * 100).toFixed(1) + '%' : '0%',
-      testDuration: Date.now() - this.progressTracker.startTime
-    };
-  }
+  /**
+   * 启动浏览器并创建已认证的页面（认证状态 / 表单登录 / 令牌注入），用于路由爬取与发现
+   * @param {string} browserName - 浏览器引擎
+   * @returns {Promise<object>} Playwright page
+   */
+  async openAuthenticatedPage(browserName) {
+    await this.initializeBrowser(browserName);
+    await this.ensureAuthState(browserName);
 
-  async loadRoutesFromCache() {
-    try {
-      const loaded = await this.menuCache.load();
-      if (!loaded) {
-        return [];
-      }
-      return this.menuCache.getAllRoutes();
-    } catch (error) {
-      logger.debug(`加载路由缓存失败: ${error.message}`);
-      return [];
+    const contextOptions = this.buildContextOptions(browserName);
+    if (this.authState) {
+      contextOptions.storageState = this.authState;
     }
+    const context = await this.browser.newContext(contextOptions);
+    const page = await context.newPage();
+    await new TokenInjector(this.config).inject(page, context);
+    return page;
   }
 
-  async waitForPageStable() {
-    await new Promise(resolve => setTimeout(resolve, 1000));
+  /**
+   * 打开应用读取路由，导入路由缓存并保存层级结构
+   * - router：从前端路由实例读取路由表（见 core/RouterDiscovery）
+   * - menu：读取渲染的导航菜单并逐项点击记录 URL（见 core/MenuDiscovery）
+   * @param {object} options - 发现选项，覆盖配置中的 discover
+   * @param {string} options.from - 路由来源 router / menu
+   * @param {string} options.mode - 导入模式 merge / replace
+   * @returns {Promise<object>} { routes, hierarchy, imported }
+   */
+  async discoverRoutes(options = {}) {
+    this.menuCache = new MenuCache(this.config);
+    const browserName = this.getBrowserNames()[0];
+    const { mode = 'merge', from = 'router', ...discoverOptions } = options;
 
     try {
-      await this.agent.aiWaitFor(
-        '页面加载完成且内容稳定显示',
-        { timeout: 3000 }
-      );
-    } catch (error) {
-      logger.debug('等待页面稳定超时');
+      const page = await this.openAuthenticatedPage(browserName);
+
+      logger.info(`🧭 打开应用读取${from === 'menu' ? '导航菜单' : '路由表'}: ${this.config.url}`);
+      await page.goto(this.config.url, { waitUntil: 'load', timeout: this.config.timeout });
+      await page.waitForLoadState('networkidle').catch(() => {});
+
+      const DiscoveryClass = from === 'menu' ? MenuDiscovery : RouterDiscovery;
+      const discovery = new DiscoveryClass(this.config, { ...this.config.discover, ...discoverOptions });
+      const { routes, hierarchy } = await discovery.discover(page);
+
+      if (routes.length === 0) {
+        logger.warning(`${from === 'menu' ? '菜单' : '路由表'}中没有可导入的路由，路由缓存未更新`);
+        return { routes, hierarchy, imported: 0 };
+      }
+
+      let imported;
+      if (from === 'menu') {
+        // 菜单路由逐条记录，点击路径保存在路由条目中
+        if (mode === 'replace') {
+          await this.menuCache.clearRoutes();
+        }
+        for (const route of routes) {
+          await this.menuCache.recordMenuRoute(route.menuText, route.url, {}, route.level, [], { clickPath: route.clickPath });
+        }
+        imported = routes.length;
+      } else {
+        imported = await this.menuCache.importRoutes(routes, mode, 'router');
+      }
+      await this.menuCache.saveHierarchy(hierarchy, from);
+      logger.success(`路由发现完成，导入 ${imported} 个路由到路由缓存（${mode}）`);
+      return { routes, hierarchy, imported };
+    } finally {
+      await this.cleanup();
     }
   }
 
-  async initializeBrowser() {
+  /**
+   * 登录后从入口页爬取应用内链接，导入路由缓存（只读取 DOM，不调用 AI）
+   * @param {object} options - 爬取选项，覆盖配置中的 crawl（见 core/LinkCrawler）
+   * @param {string} options.mode - 导入模式 merge / replace
+   * @returns {Promise<object>} { routes, imported }
+   */
+  async crawlRoutes(options = {}) {
+    this.menuCache = new MenuCache(this.config);
+    const browserName = this.getBrowserNames()[0];
+    const { mode = 'merge', ...crawlOptions } = options;
+
     try {
-      logger.debug('Launching browser...');
-      
-      this.browser = await chromium.launch({
-        headless: this.config.headless,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
+      const page = await this.openAuthenticatedPage(browserName);
+
+      const crawler = new LinkCrawler(this.config, {
+        ...this.config.crawl,
+        ...crawlOptions,
+        normalize: url => this.menuCache.normalizeRoute(url)
       });
-      
-      // 解析 viewport 配置
-      const viewportConfig = parseViewportConfig(this.config.viewport);
-      
-      // 构建 context 选项
-      const contextOptions = {
-        viewport: viewportConfig.viewport,
-        userAgent: viewportConfig.userAgent || this.config.userAgent || undefined
-      };
-      
-      // 添加设备相关配置（如果存在）
-      if (viewportConfig.deviceScaleFactor !== undefined) {
-        contextOptions.deviceScaleFactor = viewportConfig.deviceScaleFactor;
+      logger.info(`🕸️ 开始爬取链接: ${this.config.url}（深度 ${crawler.depth}${crawler.sameOrigin ? '，仅同源' : ''}）`);
+      const routes = await crawler.crawl(page);
+
+      if (routes.length === 0) {
+        logger.warning('未发现任何链接，路由缓存未更新');
+        return { routes, imported: 0 };
       }
-      if (viewportConfig.isMobile !== undefined) {
+
+      const imported = await this.menuCache.importRoutes(routes, mode, 'crawled');
+      logger.success(`爬取完成，导入 ${imported} 个路由到路由缓存（${mode}）`);
+      return { routes, imported };
+    } finally {
+      await this.cleanup();
+    }
+  }
+
+  /**
+   * 根据 viewport 配置构建 browser context 选项
+   * @param {string} browserName - 浏览器引擎
+   * @param {string} deviceName - 设备矩阵中的设备预设名称
+   * @returns {object} Playwright context 选项
+   */
+  buildContextOptions(browserName = 'chromium', deviceName = null) {
+    // 解析 viewport 配置（设备矩阵时使用对应的设备预设）
+    const viewportConfig = parseViewportConfig(deviceName ? { preset: deviceName } : this.config.viewport);
+    
+    // 构建 context 选项：预设 UA 只用于 Chromium 模拟，真实 Firefox / WebKit 使用引擎自带 UA
+    const presetUserAgent = browserName === 'chromium' ? viewportConfig.userAgent : null;
+    const contextOptions = {
+      viewport: viewportConfig.viewport,
+      userAgent: presetUserAgent || this.config.userAgent || undefined
+    };
+    
+    // 添加设备相关配置（如果存在）
+    if (viewportConfig.deviceScaleFactor !== undefined) {
+      contextOptions.deviceScaleFactor = viewportConfig.deviceScaleFactor;
+    }
+    if (viewportConfig.isMobile !== undefined) {
+      // Firefox 不支持 isMobile 选项
+      if (browserName === 'firefox') {
+        if (viewportConfig.isMobile) {
+          logger.warning('Firefox 不支持移动设备模拟，已忽略 isMobile');
+        }
+      } else {
         contextOptions.isMobile = viewportConfig.isMobile;
       }
-      if (viewportConfig.hasTouch !== undefined) {
-        contextOptions.hasTouch = viewportConfig.hasTouch;
-      }
-      
-      logger.info(`使用视口配置: ${viewportConfig.viewport.width}x${viewportConfig.viewport.height}${viewportConfig.isMobile ? ' (移动设备)' : ' (桌面)'}`);
-      
-      const context = await this.browser.newContext(contextOptions);
-      
-      this.page = await context.newPage();
-      
-      // Initialize Midscene agent
-      this.agent = new PlaywrightAgent(this.page, {
-        forceSameTabNavigation: true
-      });
-      
-      logger.success('Browser initialized successfully');
-      
-    } catch (error) {
-      throw new Error(`Failed to initialize browser: ${error.message}`);
     }
+    if (viewportConfig.hasTouch !== undefined) {
+      contextOptions.hasTouch = viewportConfig.hasTouch;
+    }
+    
+    logger.info(`使用视口配置: ${deviceName ? `${deviceName} ` : ''}${viewportConfig.viewport.width}x${viewportConfig.viewport.height}${viewportConfig.isMobile ? ' (移动设备)' : ' (桌面)'}`);
+
+    return contextOptions;
   }
 
-  async setupPage() {
+  /**
+   * 为每个并发执行器创建独立的 browser context 并完成页面初始化
+   * @param {number} workerCount - 执行器数量
+   * @param {string} browserName - 当前浏览器引擎
+   * @param {string} deviceName - 当前设备（设备矩阵时）
+   * @param {string} accountName - 当前账号（多账号测试时）
+   */
+  async setupPage(workerCount = 1, browserName = 'chromium', deviceName = null, accountName = null) {
     try {
       await this.progressTracker.updateStep('page_setup');
-      
-      // 先注入 Token（在导航前）
-      await this.tokenInjector.inject(this.page, this.page.context());
-      
-      logger.info(`Navigating to: ${this.config.url}`);
-      
-      // 然后导航到目标 URL
-      await this.page.goto(this.config.url, {
-        waitUntil: 'networkidle',
-        timeout: this.config.timeout
-      });
-      
-      // 等待页面完全稳定（兼容没有 waitForLoadState 的环境）
-      if (typeof this.page.waitForLoadState === 'function') {
-      await this.page.waitForLoadState('networkidle');
-      } else {
-        await new Promise(resolve => setTimeout(resolve, 1500));
+
+      const contextOptions = this.buildContextOptions(browserName, deviceName);
+      if (this.authState) {
+        contextOptions.storageState = this.authState;
+      }
+
+      if (workerCount > 1) {
+        logger.info(`启用并发测试，共 ${workerCount} 个独立浏览器 context`);
+      }
+
+      // 多账号时使用账号自己的令牌；令牌刷新只作用于全局令牌
+      const tokenInjector = accountName ? this.createAccountTokenInjector(accountName) : this.tokenInjector;
+      if (accountName) {
+        logger.info(`👤 使用账号: ${accountName}`);
+      }
+
+      for (let i = 0; i < workerCount; i++) {
+        const context = await this.browser.newContext(contextOptions);
+        const runner = new RouteRunner({
+          id: i + 1,
+          browserName,
+          deviceName,
+          account: accountName,
+          context,
+          config: this.config,
+          tokenInjector,
+          tokenRefresher: accountName ? null : this.tokenRefresher,
+          progressTracker: this.progressTracker,
+          menuCache: this.menuCache,
+          events: this
+        });
+
+        this.runners.push(runner);
+        await runner.setup();
       }
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      logger.success('Page setup completed');
       
     } catch (error) {
       throw new Error(`Failed to setup page: ${error.message}`);
     }
   }
 
+  /**
+   * 关闭所有执行器及其 context，浏览器保持运行
+   */
+  async closeRunners() {
+    for (const runner of this.runners) {
+      await runner.close();
+    }
+    this.runners = [];
+  }
+
   async cleanup() {
     try {
-      if (this.tokenInjector && this.page) {
-        await this.tokenInjector.cleanup(this.page, this.page.context());
-      }
+      await this.closeRunners();
       
       if (this.browser) {
         await this.browser.close();
+        this.browser = null;
         logger.debug('Browser closed');
       }
     } catch (error) {
@@ -790,44 +943,6 @@ class MenuTester {
     }
   }
 
-  /**
-   * 从截图结果中提取对比数据
-   * @param {string|Array|null} screenshots - 截图结果
-   * @returns {Array} 截图对比数据数组
-   */
-  extractScreenshotComparisons(screenshots) {
-    if (!screenshots) {
-      return [];
-    }
-
-    const comparisons = [];
-
-    // 如果是数组
-    if (Array.isArray(screenshots)) {
-      screenshots.forEach(item => {
-        if (item.screenshot && typeof item.screenshot === 'object' && item.screenshot.comparison) {
-          comparisons.push({
-            scenario: item.scenario || 'default',
-            match: item.screenshot.comparison.match !== false,
-            diffPercentage: Number(item.screenshot.comparison.diffPercentage) || 0,
-            type: item.screenshot.comparison.type
-          });
-        }
-      });
-    }
-    // 如果是单个对象
-    else if (typeof screenshots === 'object' && screenshots.comparison) {
-      comparisons.push({
-        scenario: 'default',
-        match: screenshots.comparison.match !== false,
-        diffPercentage: Number(screenshots.comparison.diffPercentage) || 0,
-        type: screenshots.comparison.type
-      });
-    }
-
-    return comparisons;
-  }
-
   getStatus() {
     if (this.progressTracker) {
       return this.progressTracker.getStatus();
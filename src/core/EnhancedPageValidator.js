@@ -1,4 +1,5 @@
 const { logger } = require('../utils/logger');
+const { pluginRegistry } = require('../utils/pluginRegistry');
 
 /**
  * 增强的页面验证器
@@ -508,11 +509,17 @@ class EnhancedPageValidator {
       case 'custom_function':
         return await this.executeCustomFunction(rule.function, rule.message);
       
-      default:
+      default: {
+        // 插件注册的规则类型
+        const handler = pluginRegistry.getRuleHandler(rule.type);
+        if (handler) {
+          return await handler({ page: this.page, agent: this.agent, rule, config: this.config });
+        }
         return {
           success: false,
           message: `未知的规则类型: ${rule.type}`
         };
+      }
     }
   }
 
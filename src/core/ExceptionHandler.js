@@ -1,64 +1,112 @@
 const { logger } = require('../utils/logger');
 
+/**
+ * 可识别的错误类型，用于 retryPolicy.retryOn 配置
+ */
+const ERROR_TYPES = ['timeout', 'network', 'element', 'navigation', 'auth', 'validation', 'generic'];
+
 class ExceptionHandler {
   constructor(agent, page, config) {
     this.agent = agent;
     this.page = page; // 直接使用传入的 page 对象
     this.config = config;
-    this.maxRetries = config.retry || 2;
-    this.retryDelay = 1000; // 每次重试之间等待 1 秒
+
+    // 重试策略：retryPolicy 未配置的项回退到顶层 retry
+    const policy = config.retryPolicy || {};
+    this.maxRetries = policy.retries ?? config.retry ?? 2;
+    this.retryDelay = policy.delay ?? 1000; // 首次重试前的等待时间
+    this.backoff = policy.backoff || 'fixed';
+    this.maxRetryDelay = policy.maxDelay ?? 30000;
+    this.retryOn = policy.retryOn || ['timeout', 'navigation', 'network'];
   }
 
   /**
    * 使用重试机制和异常处理执行函数
-   * @param {Function} fn - 要执行的函数
+   * @param {Function} fn - 要执行的函数，参数为当前尝试序号（从 1 开始）
    * @param {object} context - 操作上下文
+   * @param {boolean} context.skipPageExceptionCheck - 跳过首次尝试前的页面异常检查
+   * @param {Function} context.shouldRetryResult - 对成功返回的结果判断是否仍需重试（归类为 validation）
    * @param {string} operation - 操作描述
-   * @returns {Promise<object>} 包含成功状态和数据的结果
+   * @returns {Promise<object>} 包含成功状态、数据与每次尝试记录的结果
    */
   async executeWithRetry(fn, context = {}, operation = '操作') {
     let lastError = null;
     let attempt = 0;
+    const attempts = [];
 
     while (attempt <= this.maxRetries) {
+      const attemptStart = Date.now();
+
       try {
         logger.debug(`${operation} - 第 ${attempt + 1}/${this.maxRetries + 1} 次尝试`);
         
         // 仅在需要时处理页面异常（首次或强制检查）
-        if (attempt === 0 || context.forcePageExceptionCheck) {
+        if ((attempt === 0 && !context.skipPageExceptionCheck) || context.forcePageExceptionCheck) {
           await this.handlePageExceptions();
         }
         
         // 执行函数
-        const result = await fn();
+        const result = await fn(attempt + 1);
+        attempt++;
+
+        // 结果层面的失败（如页面校验未通过）按 validation 类型决定是否重试
+        const resultFailed = Boolean(context.shouldRetryResult && context.shouldRetryResult(result));
+        if (resultFailed && this.shouldRetry('validation') && attempt <= this.maxRetries) {
+          attempts.push(this.createAttemptRecord(attempt, attemptStart, {
+            error: result?.error || '结果校验未通过',
+            errorType: 'validation',
+            action: 'retry'
+          }));
+          logger.warning(`${operation} 第 ${attempt} 次尝试校验未通过: ${result?.error || '未知原因'}`);
+          await this.waitBeforeRetry(attempt, operation);
+          continue;
+        }
+
+        attempts.push(this.createAttemptRecord(attempt, attemptStart, resultFailed
+          ? { error: result?.error || '结果校验未通过', errorType: 'validation' }
+          : { success: true }));
         
         // 成功则返回结果
         return {
           success: true,
           data: result,
-          attempt: attempt + 1,
-          error: null
+          attempt,
+          error: null,
+          attempts
         };
 
       } catch (error) {
         lastError = error;
         attempt++;
+
+        const errorType = this.classifyError(error);
+        const record = this.createAttemptRecord(attempt, attemptStart, {
+          error: error.message,
+          errorType
+        });
+        attempts.push(record);
         
-        logger.warning(`${operation} 第 ${attempt} 次尝试失败: ${error.message}`);
+        logger.warning(`${operation} 第 ${attempt} 次尝试失败 [${errorType}]: ${error.message}`);
+
+        if (!this.shouldRetry(errorType)) {
+          logger.info(`${errorType} 类错误不在重试范围内，停止重试 ${operation}`);
+          break;
+        }
+
+        if (attempt > this.maxRetries) {
+          break;
+        }
         
         // Handle specific exceptions
         const handled = await this.handleSpecificException(error, context);
+        record.action = handled.action;
+        record.recovered = handled.recovered;
         
-        if (handled.recovered && attempt <= this.maxRetries) {
-          logger.info(`异常已处理，准备重试 ${operation}...`);
-          await this.delay(this.retryDelay);  
-          continue;
-        }
-        
-        if (attempt <= this.maxRetries) {
-          logger.info(`${this.retryDelay}ms 后重试 ${operation}...`);
-          await this.delay(this.retryDelay);
+        if (handled.recovered) {
+          logger.info(`异常已处理（${handled.action}），准备重试 ${operation}...`);
         }
+
+        await this.waitBeforeRetry(attempt, operation);
       }
     }
 
@@ -67,10 +115,106 @@ class ExceptionHandler {
       success: false,
       data: null,
       attempt: attempt,
-      error: lastError?.message || '未知错误'
+      error: lastError?.message || '未知错误',
+      attempts
+    };
+  }
+
+  /**
+   * 创建单次尝试记录
+   * @param {number} attempt - 尝试序号
+   * @param {number} startTime - 本次尝试开始时间
+   * @param {object} details - 记录详情
+   * @returns {object} 尝试记录
+   */
+  createAttemptRecord(attempt, startTime, details = {}) {
+    return {
+      attempt,
+      success: false,
+      error: null,
+      errorType: null,
+      action: 'none',
+      recovered: false,
+      ...details,
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
     };
   }
 
+  /**
+   * 判断某类错误是否在重试范围内
+   * @param {string} errorType - 错误类型
+   * @returns {boolean} 是否重试
+   */
+  shouldRetry(errorType) {
+    return this.retryOn.includes(errorType);
+  }
+
+  /**
+   * 按退避策略计算第 N 次重试前的等待时间
+   * @param {number} attempt - 已失败的尝试次数
+   * @returns {number} 等待毫秒数
+   */
+  getRetryDelay(attempt) {
+    let delay = this.retryDelay;
+
+    if (this.backoff === 'linear') {
+      delay = this.retryDelay * attempt;
+    } else if (this.backoff === 'exponential') {
+      delay = this.retryDelay * Math.pow(2, attempt - 1);
+    }
+
+    return Math.min(delay, this.maxRetryDelay);
+  }
+
+  /**
+   * 重试前等待
+   * @param {number} attempt - 已失败的尝试次数
+   * @param {string} operation - 操作描述
+   */
+  async waitBeforeRetry(attempt, operation) {
+    const delay = this.getRetryDelay(attempt);
+    logger.info(`${delay}ms 后重试 ${operation}...`);
+    await this.delay(delay);
+  }
+
+  /**
+   * 根据错误信息归类错误
+   * @param {Error} error - 捕获的错误
+   * @returns {string} 错误类型（见 ERROR_TYPES）
+   */
+  classifyError(error) {
+    // 调用方已标明类型的错误（如登录状态失效）直接使用
+    if (ERROR_TYPES.includes(error?.type)) {
+      return error.type;
+    }
+
+    const errorMessage = (error?.message || '').toLowerCase();
+
+    if (errorMessage.includes('timeout')) {
+      return 'timeout';
+    }
+
+    if (errorMessage.includes('net::') || errorMessage.includes('network') ||
+        errorMessage.includes('econnrefused') || errorMessage.includes('econnreset')) {
+      return 'network';
+    }
+
+    if (errorMessage.includes('element') || errorMessage.includes('selector')) {
+      return 'element';
+    }
+
+    if (errorMessage.includes('navigation') || errorMessage.includes('page')) {
+      return 'navigation';
+    }
+
+    if (errorMessage.includes('auth') || errorMessage.includes('login')) {
+      return 'auth';
+    }
+
+    return 'generic';
+  }
+
   /**
    * 处理一般页面异常
    */
@@ -177,32 +321,30 @@ class ExceptionHandler {
    * @returns {object} 处理结果
    */
   async handleSpecificException(error, context) {
-    const errorMessage = error.message.toLowerCase();
-    
     try {
-      // Handle timeout errors
-      if (errorMessage.includes('timeout')) {
-        return await this.handleTimeoutError(error, context);
-      }
-      
-      // Handle element not found errors
-      if (errorMessage.includes('element') || errorMessage.includes('selector')) {
-        return await this.handleElementError(error, context);
-      }
-      
-      // Handle navigation errors
-      if (errorMessage.includes('navigation') || errorMessage.includes('page')) {
-        return await this.handleNavigationError(error, context);
-      }
-      
-      // Handle authentication errors
-      if (errorMessage.includes('auth') || errorMessage.includes('login')) {
-        return await this.handleAuthError(error, context);
+      switch (this.classifyError(error)) {
+        // Handle timeout errors
+        case 'timeout':
+          return await this.handleTimeoutError(error, context);
+
+        // Handle element not found errors
+        case 'element':
+          return await this.handleElementError(error, context);
+
+        // Handle navigation and network errors
+        case 'navigation':
+        case 'network':
+          return await this.handleNavigationError(error, context);
+
+        // Handle authentication errors
+        case 'auth':
+          return await this.handleAuthError(error, context);
+
+        // Generic error handling
+        default:
+          return await this.handleGenericError(error, context);
       }
       
-      // Generic error handling
-      return await this.handleGenericError(error, context);
-      
     } catch (handlingError) {
       logger.debug(`Exception handling failed: ${handlingError.message}`);
       return { recovered: false, action: 'none' };
@@ -496,4 +638,5 @@ class ExceptionHandler {
   }
 }
 
-module.exports = ExceptionHandler; 
\ No newline at end of file
+module.exports = ExceptionHandler;
+module.exports.ERROR_TYPES = ERROR_TYPES; 
\ No newline at end of file
@@ -0,0 +1,211 @@
+const { logger } = require('../utils/logger');
+const { getParentDomain } = require('../utils/tokenInjector');
+
+const DEFAULT_DEPTH = 2;
+const DEFAULT_MAX_PAGES = 200;
+
+// 下载文件与静态资源不作为路由
+const RESOURCE_EXTENSIONS = /\.(pdf|zip|rar|7z|gz|tar|xlsx?|docx?|pptx?|csv|txt|json|xml|png|jpe?g|gif|svg|webp|ico|mp4|mp3|apk|exe|dmg)$/i;
+
+/**
+ * 默认的去重标准化：只去掉查询参数（?a=1#/users 中 # 之后的 hash 路由需要保留）
+ * @param {string} url - 绝对地址
+ * @returns {string} 标准化后的地址
+ */
+function defaultNormalize(url) {
+  const urlObj = new URL(url);
+  urlObj.search = '';
+  return urlObj.href;
+}
+
+/**
+ * 确定性链接爬取
+ * 从入口页开始按广度优先访问页面，只通过 DOM 读取链接（a / area 的 href、hash 路由链接、data-href / routerlink 属性），
+ * 不调用 AI；每个链接的 level 为发现它时的爬取深度
+ */
+class LinkCrawler {
+  /**
+   * @param {object} config - 配置对象（url、timeout）
+   * @param {object} options - 爬取选项
+   * @param {number} options.depth - 最大爬取深度，入口页上的链接为第 1 层
+   * @param {boolean} options.sameOrigin - 只收集与入口页同源的链接；关闭时收集同一父域名下的所有子域名链接
+   * @param {Array<string>} options.include - URL 需匹配其中任一正则
+   * @param {Array<string>} options.exclude - URL 匹配其中任一正则时忽略
+   * @param {number} options.maxPages - 最多访问的页面数
+   * @param {Function} options.normalize - URL 标准化函数（用于去重，默认去掉查询参数并保留 hash 路由）
+   */
+  constructor(config, options = {}) {
+    this.config = config;
+    this.startUrl = new URL(config.url);
+    this.depth = options.depth ?? DEFAULT_DEPTH;
+    this.sameOrigin = Boolean(options.sameOrigin);
+    this.include = (options.include || []).map(pattern => new RegExp(pattern));
+    this.exclude = (options.exclude || []).map(pattern => new RegExp(pattern));
+    this.maxPages = options.maxPages ?? DEFAULT_MAX_PAGES;
+    this.timeout = config.timeout || 30000;
+    this.normalize = options.normalize || defaultNormalize;
+  }
+
+  /**
+   * 标准化链接：去掉页内锚点（#section），保留 hash 路由（#/path、#!/path）
+   * @param {string} href - 绝对地址
+   * @returns {string|null} 链接，非 http(s) 链接为 null
+   */
+  normalizeLink(href) {
+    let url;
+    try {
+      url = new URL(href);
+    } catch (error) {
+      return null;
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return null;
+    }
+    if (url.hash && !/^#!?\//.test(url.hash)) {
+      url.hash = '';
+    }
+
+    return url.href;
+  }
+
+  /**
+   * 判断链接是否属于被测应用并满足 include / exclude 规则
+   * @param {string} href - 标准化后的链接
+   * @returns {boolean} 是否收集
+   */
+  isAllowed(href) {
+    const url = new URL(href);
+
+    if (this.sameOrigin) {
+      if (url.origin !== this.startUrl.origin) {
+        return false;
+      }
+    } else {
+      const parentDomain = getParentDomain(this.startUrl.hostname);
+      const sameSite = parentDomain
+        ? `.${url.hostname}`.endsWith(parentDomain)
+        : url.hostname === this.startUrl.hostname;
+      if (!sameSite) {
+        return false;
+      }
+    }
+
+    if (RESOURCE_EXTENSIONS.test(url.pathname)) {
+      return false;
+    }
+    if (this.include.length > 0 && !this.include.some(pattern => pattern.test(href))) {
+      return false;
+    }
+    return !this.exclude.some(pattern => pattern.test(href));
+  }
+
+  /**
+   * 读取当前页面中的链接与文本
+   * @param {object} page - Playwright page
+   * @returns {Promise<Array<object>>} [{ href, text }]
+   */
+  async collectLinks(page) {
+    return page.evaluate(() => {
+      const elements = document.querySelectorAll('a[href], area[href], [data-href], [routerlink]');
+      return Array.from(elements).map(element => {
+        const raw = element.getAttribute('href') || element.getAttribute('data-href') || element.getAttribute('routerlink');
+        let href = null;
+        try {
+          href = new URL(raw, location.href).href;
+        } catch (error) {
+          // 无法解析的链接忽略
+        }
+        const text = (element.innerText || element.getAttribute('title') || element.getAttribute('aria-label') || '')
+          .replace(/\s+/g, ' ')
+          .trim();
+        return { href, text };
+      }).filter(link => link.href);
+    });
+  }
+
+  /**
+   * 为路由生成菜单文本：链接文本为空或与其他路由重名时附带路径（MenuCache 按菜单文本保存路由）
+   * @param {string} text - 链接文本
+   * @param {string} href - 链接
+   * @param {Set<string>} usedTexts - 已使用的菜单文本
+   * @returns {string} 菜单文本
+   */
+  getMenuText(text, href, usedTexts) {
+    const url = new URL(href);
+    const routePath = `${url.pathname}${url.hash}`;
+    const menuText = !text ? routePath : usedTexts.has(text) ? `${text} (${routePath})` : text;
+    usedTexts.add(menuText);
+    return menuText;
+  }
+
+  /**
+   * 从入口页开始爬取链接
+   * @param {object} page - 已注入令牌的 Playwright page
+   * @returns {Promise<Array<object>>} 路由 [{ menuText, url, level, recordedAt }]
+   */
+  async crawl(page) {
+    const recordedAt = new Date().toISOString();
+    const routes = new Map();
+    const usedTexts = new Set();
+    const visited = new Set();
+    const queue = [{ url: this.startUrl.href, level: 0 }];
+
+    while (queue.length > 0 && visited.size < this.maxPages) {
+      const { url, level } = queue.shift();
+      const key = this.normalize(url);
+      if (visited.has(key)) {
+        continue;
+      }
+      visited.add(key);
+
+      let links;
+      try {
+        await page.goto(url, { waitUntil: 'load', timeout: this.timeout });
+        await page.waitForLoadState('networkidle', { timeout: this.timeout }).catch(() => {});
+        links = await this.collectLinks(page);
+      } catch (error) {
+        logger.warning(`访问页面失败，跳过: ${url}（${error.message}）`);
+        continue;
+      }
+
+      const found = [];
+      for (const link of links) {
+        const href = this.normalizeLink(link.href);
+        if (!href || !this.isAllowed(href)) {
+          continue;
+        }
+
+        const linkKey = this.normalize(href);
+        if (routes.has(linkKey) || linkKey === this.normalize(this.startUrl.href)) {
+          continue;
+        }
+
+        routes.set(linkKey, {
+          menuText: this.getMenuText(link.text, href, usedTexts),
+          url: href,
+          level: level + 1,
+          recordedAt
+        });
+        found.push(href);
+
+        if (level + 1 < this.depth) {
+          queue.push({ url: href, level: level + 1 });
+        }
+      }
+
+      logger.info(`🕸️ [深度 ${level}] ${url}: 新发现 ${found.length} 个链接`);
+    }
+
+    const unvisited = new Set(queue.map(item => this.normalize(item.url)).filter(key => !visited.has(key)));
+    if (unvisited.size > 0) {
+      logger.warning(`已达到最大访问页面数 ${this.maxPages}，剩余 ${unvisited.size} 个页面未访问`);
+    }
+
+    return [...routes.values()];
+  }
+}
+
+module.exports = LinkCrawler;
+module.exports.DEFAULT_DEPTH = DEFAULT_DEPTH;
+module.exports.DEFAULT_MAX_PAGES = DEFAULT_MAX_PAGES;
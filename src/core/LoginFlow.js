@@ -0,0 +1,95 @@
+const { logger } = require('../utils/logger');
+const { runActions } = require('../utils/actions');
+
+const DEFAULT_USERNAME_ENV = 'LOGIN_USERNAME';
+const DEFAULT_PASSWORD_ENV = 'LOGIN_PASSWORD';
+
+/**
+ * 表单登录流程
+ * 在无法签发令牌的环境中，通过登录页面取得认证状态（cookie / localStorage），
+ * 由 MenuTester 在创建执行器 context 前运行一次，结果以 storageState 形式复用
+ */
+class LoginFlow {
+  /**
+   * @param {object} config - 配置对象，读取 config.auth.loginFlow
+   */
+  constructor(config) {
+    this.config = config;
+    this.flow = config.auth.loginFlow;
+  }
+
+  /**
+   * 读取用户名与密码（只从环境变量读取，避免明文写入配置文件）
+   * @returns {object} { username, password }
+   */
+  getCredentials() {
+    const usernameEnv = this.flow.username?.env || DEFAULT_USERNAME_ENV;
+    const passwordEnv = this.flow.password?.env || DEFAULT_PASSWORD_ENV;
+    const username = process.env[usernameEnv];
+    const password = process.env[passwordEnv];
+
+    if (!username || !password) {
+      throw new Error(`登录流程需要环境变量 ${usernameEnv} 与 ${passwordEnv}`);
+    }
+
+    return { username, password };
+  }
+
+  /**
+   * 在指定 context 中执行登录
+   * @param {object} context - Playwright browser context
+   * @returns {Promise<object>} 登录后的 storageState
+   */
+  async run(context) {
+    const { username, password } = this.getCredentials();
+    const timeout = this.flow.timeout || 30000;
+    const loginUrl = new URL(this.flow.url || '/', this.config.url).toString();
+    const page = await context.newPage();
+
+    try {
+      logger.info(`🔐 执行登录流程: ${loginUrl}`);
+      await page.goto(loginUrl, { waitUntil: 'load', timeout });
+
+      await page.fill(this.flow.username.selector, username, { timeout });
+      await page.fill(this.flow.password.selector, password, { timeout });
+
+      const submitActions = Array.isArray(this.flow.submit) ? this.flow.submit : [this.flow.submit];
+      await runActions({ page, baseUrl: this.config.url, timeout }, submitActions);
+
+      await this.waitForSuccess(page, timeout);
+      logger.success('登录成功，认证状态将用于所有路由');
+
+      return await context.storageState();
+    } catch (error) {
+      throw new Error(`登录流程失败: ${error.message}`);
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  /**
+   * 等待登录成功条件：URL 匹配 urlPattern（正则）和 / 或出现 selector
+   * @param {object} page - Playwright page
+   * @param {number} timeout - 超时时间
+   */
+  async waitForSuccess(page, timeout) {
+    const { urlPattern, selector } = this.flow.success || {};
+
+    if (urlPattern) {
+      const pattern = new RegExp(urlPattern);
+      await page.waitForURL(url => pattern.test(url.toString()), { timeout }).catch(() => {
+        throw new Error(`登录后 URL 未匹配 ${urlPattern}（当前: ${page.url()}）`);
+      });
+    }
+
+    if (selector) {
+      await page.waitForSelector(selector, { state: 'visible', timeout }).catch(() => {
+        throw new Error(`登录后未出现元素 ${selector}`);
+      });
+    }
+  }
+}
+
+module.exports = LoginFlow;
+module.exports.DEFAULT_USERNAME_ENV = DEFAULT_USERNAME_ENV;
+module.exports.DEFAULT_PASSWORD_ENV = DEFAULT_PASSWORD_ENV;
@@ -1,6 +1,8 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { logger } = require('../utils/logger');
+const { normalizeList } = require('../utils/routeFilter');
+const { restorePlaceholders, getParameterDefinition } = require('../utils/routeParameters');
 
 class MenuCache {
   constructor(config) {
@@ -118,24 +120,38 @@ class MenuCache {
   getAllRoutes() {
     const routes = [];
     for (const [menuText, routeInfo] of this.cache.routes.menuRoutes.entries()) {
+      // 参数化路由带上数据集，运行时展开
+      const parameters = this.cache.routes.parameters.get(menuText);
       routes.push({
         menuText,
-        ...routeInfo
+        ...routeInfo,
+        ...(parameters?.dataset ? { dataset: parameters.dataset } : {})
       });
     }
     return routes.sort((a, b) => (a.level || 1) - (b.level || 1));
   }
 
-  async recordMenuRoute(menuText, routeUrl, validationRules = {}, level = 1) {
+  /**
+   * 记录一个菜单路由
+   * @param {string} menuText - 菜单文本
+   * @param {string} routeUrl - 路由 URL
+   * @param {object} validationRules - 校验规则
+   * @param {number} level - 菜单层级
+   * @param {Array<string>} tags - 标签
+   * @param {object} details - 附加信息（如菜单发现记录的 clickPath），保存在路由条目中
+   */
+  async recordMenuRoute(menuText, routeUrl, validationRules = {}, level = 1, tags = [], details = {}) {
     await this.load();
 
     const normalizedRoute = this.normalizeRoute(routeUrl);
     const recordedAt = new Date().toISOString();
 
     this.cache.routes.menuRoutes.set(menuText, {
+      ...details,
       url: normalizedRoute,
       originalUrl: routeUrl,
       level,
+      tags: normalizeList(tags),
       recordedAt
     });
 
@@ -152,7 +168,14 @@ class MenuCache {
     await this.save();
   }
 
-  async importRoutes(routes, mode = 'merge') {
+  /**
+   * 导入路由
+   * @param {Array} routes - 路由列表
+   * @param {string} mode - merge / replace
+   * @param {string} discoveryMode - 记录到 metadata.routeDiscoveryMode 的来源（imported / crawled 等）
+   * @returns {Promise<number>} 导入数量
+   */
+  async importRoutes(routes, mode = 'merge', discoveryMode = 'imported') {
     if (!Array.isArray(routes)) {
       throw new Error('导入数据格式错误，期望路由数组');
     }
@@ -176,9 +199,18 @@ class MenuCache {
         url: normalizedRoute,
         originalUrl: route.url,
         level: route.level || 1,
+        tags: normalizeList(route.tags),
         recordedAt: route.recordedAt || now
       });
 
+      // 参数化路由的占位符与数据集
+      const parameters = getParameterDefinition(route);
+      if (parameters) {
+        this.cache.routes.parameters.set(route.menuText, { ...parameters, url: normalizedRoute });
+      } else {
+        this.cache.routes.parameters.delete(route.menuText);
+      }
+
       if (route.validation) {
         this.cache.routes.routeValidation.set(normalizedRoute, {
           ...route.validation,
@@ -193,19 +225,33 @@ class MenuCache {
 
     this.cache.metadata.totalRoutes = this.cache.routes.menuRoutes.size;
     this.cache.metadata.lastUpdated = now;
-    this.cache.metadata.routeDiscoveryMode = 'imported';
+    this.cache.metadata.routeDiscoveryMode = discoveryMode;
 
     await this.save();
     return importedCount;
   }
 
+  /**
+   * 保存路由层级（路由发现得到的树形结构）
+   * @param {Array} hierarchy - [{ menuText, url, level, children }]
+   * @param {string} discoveryMode - 同时更新 metadata.routeDiscoveryMode（可选）
+   */
+  async saveHierarchy(hierarchy, discoveryMode = null) {
+    await this.load();
+    this.cache.routes.hierarchy = hierarchy;
+    if (discoveryMode) {
+      this.cache.metadata.routeDiscoveryMode = discoveryMode;
+    }
+    await this.save();
+  }
+
   exportRoutes(format = 'json') {
     const routes = this.getAllRoutes();
 
     if (format === 'csv') {
-      const csvHeaders = 'MenuText,URL,Level,RecordedAt\n';
+      const csvHeaders = 'MenuText,URL,Level,RecordedAt,Tags\n';
       const csvRows = routes.map(route =>
-        `"${route.menuText}","${route.url}",${route.level || 1},"${route.recordedAt || ''}"`
+        `"${route.menuText}","${route.url}",${route.level || 1},"${route.recordedAt || ''}","${normalizeList(route.tags).join(';')}"`
       ).join('\n');
       return csvHeaders + csvRows;
     }
@@ -262,6 +308,7 @@ class MenuCache {
   getStats() {
     return {
       totalRoutes: this.cache.routes.menuRoutes.size,
+      parameterizedRoutes: this.cache.routes.parameters.size,
       lastUpdated: this.cache.metadata.lastUpdated,
       routeDiscoveryMode: this.cache.metadata.routeDiscoveryMode
     };
@@ -278,7 +325,7 @@ class MenuCache {
         hash = hash.split('?')[0];
       }
 
-      return urlObj.origin + pathname + hash;
+      return restorePlaceholders(urlObj.origin + pathname + hash);
     } catch (error) {
       return url;
     }
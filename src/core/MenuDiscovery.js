@@ -0,0 +1,326 @@
+const { logger } = require('../utils/logger');
+
+/**
+ * 默认菜单根节点（Element UI / Element Plus、Ant Design）
+ */
+const DEFAULT_MENU_SELECTOR = '.el-menu, .ant-menu';
+
+const MENU_SELECTORS = {
+  submenu: '.el-sub-menu, .el-submenu, .ant-menu-submenu',
+  submenuTitle: '.el-sub-menu__title, .el-submenu__title, .ant-menu-submenu-title',
+  item: '.el-menu-item, .ant-menu-item',
+  open: '.is-opened, .ant-menu-submenu-open',
+  active: '.is-active, .ant-menu-item-selected'
+};
+
+const TARGET_ATTRIBUTE = 'data-menu-tester-target';
+// 最多展开的子菜单数
+const MAX_SUBMENUS = 200;
+const CLICK_SETTLE_TIME = 300;
+
+/**
+ * 页面内执行的菜单脚本：读取菜单树，或按点击路径标记待点击的元素
+ * @param {object} args - { action: 'read' | 'mark', rootSelector, selectors, path, attribute }
+ * @returns {*} read：菜单树（null 表示未找到菜单）；mark：{ found, open, active }
+ */
+function menuScript({ action, rootSelector, selectors, path, attribute }) {
+  const isVisible = element => Boolean(element && element.getClientRects().length > 0);
+  const root = Array.from(document.querySelectorAll(rootSelector)).find(isVisible);
+  if (!root) {
+    return null;
+  }
+
+  const textOf = element => (element ? (element.innerText || element.textContent || '') : '').replace(/\s+/g, ' ').trim();
+  const ownerOf = element => {
+    const owner = element.parentElement && element.parentElement.closest(selectors.submenu);
+    return owner && root.contains(owner) ? owner : null;
+  };
+
+  // 以子菜单为父节点建立菜单树
+  const nodes = new Map([[null, { children: [] }]]);
+  root.querySelectorAll(`${selectors.submenu}, ${selectors.item}`).forEach(element => {
+    const isSubmenu = element.matches(selectors.submenu);
+    const node = {
+      element,
+      type: isSubmenu ? 'submenu' : 'item',
+      text: textOf(isSubmenu ? element.querySelector(selectors.submenuTitle) : element),
+      children: []
+    };
+    nodes.set(element, node);
+    const parent = nodes.get(ownerOf(element));
+    if (parent) {
+      parent.children.push(node);
+    }
+  });
+  const tree = nodes.get(null).children;
+
+  if (action === 'read') {
+    const serialize = list => list.filter(node => node.text).map(node => ({
+      type: node.type,
+      text: node.text,
+      children: serialize(node.children)
+    }));
+    return serialize(tree);
+  }
+
+  // mark：按文本路径查找子菜单或菜单项，并打上标记供 Playwright 点击
+  document.querySelectorAll(`[${attribute}]`).forEach(element => element.removeAttribute(attribute));
+  let list = tree;
+  let node = null;
+  for (const text of path) {
+    node = list.find(candidate => candidate.text === text);
+    if (!node) {
+      return { found: false };
+    }
+    list = node.children;
+  }
+
+  const target = node.type === 'submenu' ? node.element.querySelector(selectors.submenuTitle) : node.element;
+  target.setAttribute(attribute, '');
+  return {
+    found: true,
+    visible: isVisible(target),
+    open: node.type === 'submenu' && node.element.matches(selectors.open),
+    active: node.type === 'item' && node.element.matches(selectors.active)
+  };
+}
+
+/**
+ * 菜单发现：读取页面中渲染的导航菜单（不调用 AI），依次展开折叠的子菜单，
+ * 逐个点击叶子菜单项并记录菜单文本、点击路径与点击后的 URL
+ * 只支持内嵌（inline / vertical）模式的菜单，弹出式子菜单不会被展开
+ */
+class MenuDiscovery {
+  /**
+   * @param {object} config - 配置对象（url、timeout）
+   * @param {object} options - 发现选项
+   * @param {string} options.menuSelector - 菜单根节点选择器，默认 .el-menu, .ant-menu（取第一个可见的）
+   */
+  constructor(config, options = {}) {
+    this.config = config;
+    this.rootSelector = options.menuSelector || DEFAULT_MENU_SELECTOR;
+    this.timeout = config.timeout || 30000;
+  }
+
+  /**
+   * 在页面中执行菜单脚本
+   * @param {object} page - Playwright page
+   * @param {string} action - read / mark
+   * @param {Array<string>} path - mark 时的文本路径
+   * @returns {Promise<*>} 脚本结果
+   */
+  async run(page, action, path = []) {
+    return page.evaluate(menuScript, {
+      action,
+      rootSelector: this.rootSelector,
+      selectors: MENU_SELECTORS,
+      path,
+      attribute: TARGET_ATTRIBUTE
+    });
+  }
+
+  /**
+   * 点击 mark 标记的元素
+   * @param {object} page - Playwright page
+   */
+  async clickTarget(page) {
+    await page.click(`[${TARGET_ATTRIBUTE}]`, { timeout: this.timeout });
+    await page.waitForTimeout(CLICK_SETTLE_TIME);
+  }
+
+  /**
+   * 按文档顺序逐个展开子菜单并合并每次读取的菜单树
+   * 子菜单内容可能在展开后才渲染，手风琴菜单展开一个会收起其他，因此以累计的菜单树为准
+   * @param {object} page - Playwright page
+   * @returns {Promise<Array<object>>} 完整菜单树
+   */
+  async expandAll(page) {
+    const tree = this.mergeTree([], await this.run(page, 'read') || []);
+    const tried = new Set();
+
+    while (tried.size < MAX_SUBMENUS) {
+      const next = this.findSubmenuPaths(tree).find(submenuPath => !tried.has(submenuPath.join('\u0000')));
+      if (!next) {
+        return tree;
+      }
+      tried.add(next.join('\u0000'));
+
+      if (await this.openPath(page, next)) {
+        this.mergeTree(tree, await this.run(page, 'read') || []);
+      }
+    }
+
+    logger.warning(`展开的子菜单数已达上限 ${MAX_SUBMENUS}`);
+    return tree;
+  }
+
+  /**
+   * 将新读取的菜单树合并到累计的菜单树（按类型与文本匹配节点）
+   * @param {Array<object>} known - 累计的菜单树（原地修改）
+   * @param {Array<object>} tree - 新读取的菜单树
+   * @returns {Array<object>} 累计的菜单树
+   */
+  mergeTree(known, tree) {
+    tree.forEach(node => {
+      const existing = known.find(candidate => candidate.type === node.type && candidate.text === node.text);
+      if (existing) {
+        this.mergeTree(existing.children, node.children);
+      } else {
+        known.push({ type: node.type, text: node.text, children: this.mergeTree([], node.children) });
+      }
+    });
+    return known;
+  }
+
+  /**
+   * 沿文本路径依次展开子菜单（已展开的不再点击）
+   * @param {object} page - Playwright page
+   * @param {Array<string>} submenuPath - 子菜单文本路径
+   * @returns {Promise<boolean>} 是否全部找到并展开
+   */
+  async openPath(page, submenuPath) {
+    for (let depth = 1; depth <= submenuPath.length; depth++) {
+      const state = await this.run(page, 'mark', submenuPath.slice(0, depth));
+      if (!state?.found || !state.visible) {
+        return false;
+      }
+      if (!state.open) {
+        await this.clickTarget(page);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * 列出菜单树中所有子菜单的文本路径（文档顺序）
+   * @param {Array<object>} tree - 菜单树
+   * @param {Array<string>} parentPath - 上级路径
+   * @returns {Array<Array<string>>} 子菜单路径
+   */
+  findSubmenuPaths(tree, parentPath = []) {
+    return tree
+      .filter(node => node.type === 'submenu')
+      .flatMap(node => [[...parentPath, node.text], ...this.findSubmenuPaths(node.children, [...parentPath, node.text])]);
+  }
+
+  /**
+   * 列出菜单树中所有叶子菜单项的文本路径
+   * @param {Array<object>} tree - 菜单树
+   * @param {Array<string>} parentPath - 上级路径
+   * @returns {Array<Array<string>>} 菜单项路径
+   */
+  findItemPaths(tree, parentPath = []) {
+    return tree.flatMap(node => (node.type === 'item'
+      ? [[...parentPath, node.text]]
+      : this.findItemPaths(node.children, [...parentPath, node.text])));
+  }
+
+  /**
+   * 沿点击路径展开上级子菜单并点击菜单项
+   * @param {object} page - Playwright page
+   * @param {Array<string>} clickPath - 文本路径（上级子菜单 + 菜单项）
+   * @returns {Promise<string|null>} 点击后的 URL，未能打开页面时为 null
+   */
+  async clickItem(page, clickPath) {
+    // 整页刷新或手风琴菜单会收起子菜单，点击前重新展开上级
+    if (!await this.openPath(page, clickPath.slice(0, -1))) {
+      return null;
+    }
+
+    const state = await this.run(page, 'mark', clickPath);
+    if (!state?.found) {
+      return null;
+    }
+
+    const urlBefore = page.url();
+    await this.clickTarget(page);
+    await page.waitForURL(url => url.toString() !== urlBefore, { timeout: 3000 }).catch(() => {});
+    await page.waitForLoadState('networkidle', { timeout: this.timeout }).catch(() => {});
+
+    if (page.url() !== urlBefore) {
+      return page.url();
+    }
+
+    // URL 未变化时，只有菜单项已选中（当前页就是该菜单）才记录
+    const after = await this.run(page, 'mark', clickPath);
+    return after?.active ? page.url() : null;
+  }
+
+  /**
+   * 为菜单项生成菜单文本：与其他菜单项重名时使用完整点击路径（MenuCache 按菜单文本保存路由）
+   * @param {Array<string>} clickPath - 点击路径
+   * @param {Set<string>} usedTexts - 已使用的菜单文本
+   * @returns {string} 菜单文本
+   */
+  getMenuText(clickPath, usedTexts) {
+    const text = clickPath[clickPath.length - 1];
+    const menuText = usedTexts.has(text) ? clickPath.join(' / ') : text;
+    usedTexts.add(menuText);
+    return menuText;
+  }
+
+  /**
+   * 读取菜单并逐项点击
+   * @param {object} page - 已打开应用的 Playwright page
+   * @returns {Promise<object>} { routes: [{ menuText, url, level, clickPath }], hierarchy }
+   */
+  async discover(page) {
+    const initialTree = await this.run(page, 'read');
+    if (!initialTree) {
+      throw new Error(`未在页面中找到菜单: ${this.rootSelector}（可通过 --menu-selector 指定）`);
+    }
+
+    const tree = await this.expandAll(page);
+    const itemPaths = this.findItemPaths(tree);
+    logger.info(`📋 菜单中共 ${itemPaths.length} 个菜单项，依次点击记录 URL`);
+
+    const routes = [];
+    const usedTexts = new Set();
+    const urls = new Map();
+
+    for (const clickPath of itemPaths) {
+      const url = await this.clickItem(page, clickPath).catch(error => {
+        logger.debug(`点击菜单失败 ${clickPath.join(' > ')}: ${error.message}`);
+        return null;
+      });
+
+      if (!url) {
+        logger.warning(`菜单项未打开页面，已跳过: ${clickPath.join(' > ')}`);
+        continue;
+      }
+      // 未跳转的菜单项（弹窗、外部链接等）停留在上一个页面
+      const duplicate = routes.find(route => route.url === url);
+      if (duplicate) {
+        logger.warning(`菜单项与"${duplicate.menuText}"打开同一 URL，已跳过: ${clickPath.join(' > ')}`);
+        continue;
+      }
+
+      const route = {
+        menuText: this.getMenuText(clickPath, usedTexts),
+        url,
+        level: clickPath.length,
+        clickPath
+      };
+      routes.push(route);
+      urls.set(clickPath.join('\u0000'), route);
+      logger.info(`  ${'  '.repeat(clickPath.length - 1)}${route.menuText} → ${url}`);
+    }
+
+    // 层级结构：子菜单节点没有 URL，菜单项带上点击后的 URL
+    const buildHierarchy = (nodes, parentPath) => nodes.map(node => {
+      const nodePath = [...parentPath, node.text];
+      const route = urls.get(nodePath.join('\u0000'));
+      return {
+        menuText: route ? route.menuText : node.text,
+        url: route ? route.url : null,
+        level: nodePath.length,
+        children: buildHierarchy(node.children, nodePath)
+      };
+    }).filter(node => node.url || node.children.length > 0);
+
+    return { routes, hierarchy: buildHierarchy(tree, []) };
+  }
+}
+
+module.exports = MenuDiscovery;
+module.exports.DEFAULT_MENU_SELECTOR = DEFAULT_MENU_SELECTOR;
@@ -2,6 +2,16 @@ const fs = require('fs-extra');
 const path = require('path');
 const { logger } = require('../utils/logger');
 const ReportGenerator = require('../utils/ReportGenerator');
+const { buildPermissionMatrix } = require('../utils/permissionMatrix');
+
+/**
+ * 令牌只保留前 10 位用于辨认
+ * @param {string} token - 令牌
+ * @returns {string} 脱敏后的令牌
+ */
+function maskToken(token) {
+  return typeof token === 'string' ? `${token.substring(0, 10)}...` : '***';
+}
 
 class ProgressTracker {
   constructor(config) {
@@ -11,10 +21,14 @@ class ProgressTracker {
     this.progressFile = path.join(this.outputDir, `session-${this.sessionId}.json`);
     this.startTime = Date.now();
     this.reportGenerator = new ReportGenerator(this, config);
+    // 串行化写入，避免并发执行器同时写会话文件
+    this.saveQueue = Promise.resolve();
     
     this.progress = {
       sessionId: this.sessionId,
       startTime: this.startTime,
+      profile: config.profile || null,
+      shard: config.shard || null,
       config: this.sanitizeConfig(config),
       status: 'initializing',
       currentStep: null,
@@ -52,7 +66,57 @@ class ProgressTracker {
     
     // Remove sensitive information
     if (sanitized.token) {
-      sanitized.token = sanitized.token.substring(0, 10) + '...';
+      sanitized.token = maskToken(sanitized.token);
+    }
+
+    // 权限矩阵的各账号令牌
+    if (Array.isArray(sanitized.accounts)) {
+      sanitized.accounts = sanitized.accounts.map(account => {
+        if (!account || typeof account !== 'object') {
+          return account;
+        }
+        const masked = { ...account };
+        if (masked.token) {
+          masked.token = maskToken(masked.token);
+        }
+        if (masked.password) {
+          masked.password = '***';
+        }
+        return masked;
+      });
+    }
+
+    // 多项注入中显式配置的取值（未配置 value 时使用 token，已在上面处理）
+    if (Array.isArray(sanitized.tokenInjection?.items)) {
+      sanitized.tokenInjection = {
+        ...sanitized.tokenInjection,
+        items: sanitized.tokenInjection.items.map(item => (item && item.value
+          ? { ...item, value: maskToken(item.value) }
+          : item))
+      };
+    }
+
+    // 刷新接口的请求头与请求体通常带有刷新令牌或密钥
+    if (sanitized.auth?.refreshEndpoint) {
+      const { headers, body, ...endpoint } = sanitized.auth.refreshEndpoint;
+      if (headers) {
+        endpoint.headers = Object.fromEntries(Object.keys(headers).map(name => [name, '***']));
+      }
+      if (body !== undefined) {
+        endpoint.body = '***';
+      }
+      sanitized.auth = { ...sanitized.auth, refreshEndpoint: endpoint };
+    }
+
+    // 登录流程的账号密码从环境变量读取，只保留选择器与环境变量名，避免误写在配置中的取值落盘
+    if (sanitized.auth?.loginFlow) {
+      const loginFlow = { ...sanitized.auth.loginFlow };
+      ['username', 'password'].forEach(field => {
+        if (loginFlow[field] && typeof loginFlow[field] === 'object') {
+          loginFlow[field] = { selector: loginFlow[field].selector, env: loginFlow[field].env };
+        }
+      });
+      sanitized.auth = { ...sanitized.auth, loginFlow };
     }
     
     return sanitized;
@@ -77,10 +141,17 @@ class ProgressTracker {
         this.progress.menus[menu.id] = {
           id: menu.id,
           text: menu.text,
+          url: menu.url,
           level: menu.level,
+          tags: menu.tags || [],
+          group: menu.group || null,
+          parameters: menu.parameters || null,
+          account: menu.account || null,
+          browser: menu.browser || 'chromium',
+          device: menu.device || null,
           isExpandable: menu.isExpandable,
           status: 'pending',
-          attempts: 0,
+          attempts: [],
           error: null,
           startTime: null,
           endTime: null,
@@ -125,7 +196,6 @@ class ProgressTracker {
     if (this.progress.menus[menuId]) {
       this.progress.menus[menuId].status = 'running';
       this.progress.menus[menuId].startTime = Date.now();
-      this.progress.menus[menuId].attempts += 1;
       
       await this.saveProgress();
       
@@ -158,7 +228,7 @@ class ProgressTracker {
         fullPath: menu.path ? menu.path.join(' → ') : menu.text,
         area: menu.area || 'unknown',
         status: 'pending',
-        attempts: 0,
+        attempts: [],
         error: null,
         startTime: null,
         endTime: null,
@@ -222,6 +292,8 @@ class ProgressTracker {
       menu.screenshots = result.screenshots || null;
       menu.performance = result.performance || null; // 性能指标
       menu.screenshotComparisons = result.screenshotComparisons || []; // 截图对比数据
+      menu.attempts = result.attempts || []; // 每次尝试的错误与恢复动作
+      menu.permission = result.permission || null; // 多账号测试的权限预期与实际结果
       
       if (result.success) {
         this.progress.completedMenus += 1;
@@ -234,9 +306,11 @@ class ProgressTracker {
         this.progress.errors.push({
           menuId,
           menuText: menu.text,
+          browser: menu.browser,
+          device: menu.device,
           error: result.error,
           timestamp: new Date().toISOString(),
-          attempt: menu.attempts
+          attempt: menu.attempts.length
         });
       }
       
@@ -262,6 +336,73 @@ class ProgressTracker {
     }
   }
 
+  /**
+   * 根据会话中的菜单结果生成路由模式汇总
+   * @param {number} testDuration - 测试耗时（毫秒）
+   * @returns {object} 汇总对象
+   */
+  buildRouteSummary(testDuration = Date.now() - this.startTime) {
+    // 统计整个会话的菜单（恢复的会话同样包含之前已完成的结果）
+    const menus = Object.values(this.progress.menus);
+    const total = menus.length;
+    const successful = menus.filter(menu => menu.status === 'completed').length;
+    const failed = total - successful;
+
+    const summary = {
+      sessionId: this.sessionId,
+      mode: 'route',
+      totalRoutes: total,
+      successful,
+      failed,
+      successRate: total > 0 ? ((successful / total) * 100).toFixed(1) + '%' : '0%',
+      browsers: this.summarizeBy(menus, menu => menu.browser || 'chromium'),
+      testDuration
+    };
+
+    // 设备矩阵时按设备汇总结果
+    if (menus.some(menu => menu.device)) {
+      summary.devices = this.summarizeBy(menus, menu => menu.device || '默认视口');
+    }
+
+    // 多账号测试时按账号汇总，并统计权限不符的数量
+    const permissionMatrix = buildPermissionMatrix(menus);
+    if (permissionMatrix) {
+      summary.accounts = this.summarizeBy(menus, menu => menu.account);
+      summary.permissions = {
+        mismatched: permissionMatrix.mismatched,
+        leaked: permissionMatrix.leaked,
+        blocked: permissionMatrix.blocked
+      };
+    }
+
+    if (this.progress.shard) {
+      summary.shard = this.progress.shard;
+    }
+
+    return summary;
+  }
+
+  /**
+   * 按维度（浏览器、设备等）汇总路由结果
+   * @param {Array} menus - 会话菜单项
+   * @param {Function} keyOf - 取维度值的函数
+   * @returns {object} 维度值 → { total, successful, failed }
+   */
+  summarizeBy(menus, keyOf) {
+    const groups = {};
+    menus.forEach(menu => {
+      const key = keyOf(menu);
+      groups[key] = groups[key] || { total: 0, successful: 0, failed: 0 };
+      groups[key].total += 1;
+      if (menu.status === 'completed') {
+        groups[key].successful += 1;
+      } else {
+        groups[key].failed += 1;
+      }
+    });
+    return groups;
+  }
+
   /**
    * Complete the entire session
    * @param {object} summary - Final summary
@@ -306,11 +447,15 @@ class ProgressTracker {
    * Save progress to file
    */
   async saveProgress() {
-    try {
-      await fs.writeJson(this.progressFile, this.progress, { spaces: 2 });
-    } catch (error) {
-      logger.debug(`保存进度失败: ${error.message}`);
-    }
+    this.saveQueue = this.saveQueue.then(async () => {
+      try {
+        await fs.writeJson(this.progressFile, this.progress, { spaces: 2 });
+      } catch (error) {
+        logger.debug(`保存进度失败: ${error.message}`);
+      }
+    });
+
+    return this.saveQueue;
   }
 
   /**
@@ -354,7 +499,13 @@ class ProgressTracker {
         resumableMenus.push({
           id: menu.id,
           text: menu.text,
+          url: menu.url,
           level: menu.level,
+          group: menu.group || null,
+          parameters: menu.parameters || null,
+          account: menu.account || null,
+          browser: menu.browser,
+          device: menu.device,
           isExpandable: menu.isExpandable,
           tested: false,
           success: null,
@@ -383,6 +534,8 @@ class ProgressTracker {
     };
     
     this.sessionId = loadedProgress.sessionId;
+    // 沿用原会话的开始时间，使最终报告覆盖整个会话
+    this.startTime = loadedProgress.startTime || this.startTime;
     this.progressFile = path.join(this.outputDir, `session-${this.sessionId}.json`);
     
     logger.info(`已恢复会话: ${this.sessionId}`);
@@ -485,10 +638,10 @@ class ProgressTracker {
   }
 
   /**
-   * List available sessions for resuming
-   * @returns {Array} Array of available sessions
+   * List all sessions in the output directory
+   * @returns {Array} Session summaries sorted by start time (newest first)
    */
-  async listAvailableSessions() {
+  async listSessions() {
     try {
       if (!await fs.pathExists(this.outputDir)) {
         return [];
@@ -504,16 +657,21 @@ class ProgressTracker {
           const progressFile = path.join(this.outputDir, file);
           const progress = await fs.readJson(progressFile);
           
-          if (progress.status !== 'completed') {
-            sessions.push({
-              sessionId: progress.sessionId,
-              status: progress.status,
-              startTime: progress.timestamps.started,
-              totalMenus: progress.totalMenus,
-              completedMenus: progress.completedMenus,
-              config: progress.config
-            });
-          }
+          sessions.push({
+            sessionId: progress.sessionId,
+            status: progress.status,
+            profile: progress.profile || null,
+            shard: progress.shard || null,
+            startTime: progress.timestamps.started,
+            completedTime: progress.timestamps.completed,
+            totalMenus: progress.totalMenus,
+            completedMenus: progress.completedMenus,
+            failedMenus: progress.failedMenus,
+            skippedMenus: progress.skippedMenus,
+            duration: progress.duration || null,
+            config: progress.config,
+            file: progressFile
+          });
         } catch (error) {
           logger.debug(`Failed to read session file ${file}: ${error.message}`);
         }
@@ -528,45 +686,60 @@ class ProgressTracker {
   }
 
   /**
-   * Clean up old completed sessions
-   * @param {number} keepDays - Number of days to keep completed sessions
+   * List available sessions for resuming
+   * @returns {Array} Array of available sessions
    */
-  async cleanupOldSessions(keepDays = 7) {
-    try {
-      if (!await fs.pathExists(this.outputDir)) {
-        return;
-      }
-      
-      const cutoffTime = Date.now() - (keepDays * 24 * 60 * 60 * 1000);
-      const files = await fs.readdir(this.outputDir);
-      const sessionFiles = files.filter(file => file.startsWith('session-') && file.endsWith('.json'));
-      
-      let cleaned = 0;
-      
-      for (const file of sessionFiles) {
-        try {
-          const progressFile = path.join(this.outputDir, file);
-          const progress = await fs.readJson(progressFile);
-          
-          if (progress.status === 'completed' && 
-              progress.timestamps.completed && 
-              new Date(progress.timestamps.completed).getTime() < cutoffTime) {
-            
-            await fs.remove(progressFile);
-            cleaned++;
-          }
-        } catch (error) {
-          logger.debug(`Failed to process session file ${file}: ${error.message}`);
-        }
+  async listAvailableSessions() {
+    const sessions = await this.listSessions();
+    return sessions.filter(session => session.status !== 'completed');
+  }
+
+  /**
+   * Load a saved session for read-only reporting (status is left untouched)
+   * @param {string} sessionId - Session ID
+   * @returns {object} Loaded progress or null
+   */
+  async loadSessionForReport(sessionId) {
+    const loadedProgress = await this.loadProgress(sessionId);
+    if (!loadedProgress) {
+      return null;
+    }
+
+    this.progress = loadedProgress;
+    this.sessionId = loadedProgress.sessionId;
+    this.startTime = loadedProgress.startTime || this.startTime;
+    this.progressFile = path.join(this.outputDir, `session-${this.sessionId}.json`);
+
+    return loadedProgress;
+  }
+
+  /**
+   * Remove sessions (and their HTML reports) outside the retention rule
+   * @param {object} options - Retention rule
+   * @param {number} options.maxAge - Remove sessions started more than maxAge ms ago
+   * @param {number} options.keepCount - Keep only the newest N sessions
+   * @param {boolean} options.dryRun - Only report what would be removed
+   * @returns {Array} Removed session summaries
+   */
+  async pruneSessions({ maxAge, keepCount, dryRun = false } = {}) {
+    const sessions = await this.listSessions();
+    const cutoffTime = maxAge !== undefined ? Date.now() - maxAge : null;
+
+    const removed = sessions.filter((session, index) => {
+      if (keepCount !== undefined && index >= keepCount) {
+        return true;
       }
-      
-      if (cleaned > 0) {
-        logger.info(`Cleaned up ${cleaned} old session files`);
+      return cutoffTime !== null && new Date(session.startTime).getTime() < cutoffTime;
+    });
+
+    if (!dryRun) {
+      for (const session of removed) {
+        await fs.remove(session.file);
+        await fs.remove(path.join(this.outputDir, `report-${session.sessionId}.html`));
       }
-      
-    } catch (error) {
-      logger.debug(`Session cleanup failed: ${error.message}`);
     }
+
+    return removed;
   }
 }
 
@@ -0,0 +1,946 @@
+const { PlaywrightAgent } = require('@midscene/web/playwright');
+
+const PageValidator = require('./PageValidator');
+const ExceptionHandler = require('./ExceptionHandler');
+const { logger } = require('../utils/logger');
+const PerformanceMonitor = require('../utils/PerformanceMonitor');
+const { pluginRegistry } = require('../utils/pluginRegistry');
+const { runActions } = require('../utils/actions');
+const { getExpectation, isForbidden, evaluatePermission } = require('../utils/permissionMatrix');
+const { getDisplayUrl, maskSecrets } = require('../utils/routeParameters');
+
+/**
+ * 路由执行器
+ * 封装单个浏览器 context 内的页面、Midscene agent 与校验器，
+ * 多个执行器共享同一个 ProgressTracker，实现路由并行测试
+ */
+class RouteRunner {
+  /**
+   * @param {object} options - 执行器选项
+   * @param {number} options.id - 执行器编号
+   * @param {string} options.browserName - 浏览器引擎（chromium / firefox / webkit）
+   * @param {string} options.deviceName - 设备矩阵中的设备预设名称（未使用矩阵时为 null）
+   * @param {string} options.account - 多账号测试时的账号名（未配置 accounts 时为 null）
+   * @param {object} options.context - Playwright browser context
+   * @param {object} options.config - 配置对象
+   * @param {object} options.tokenInjector - 令牌注入器
+   * @param {object} options.tokenRefresher - 令牌过期检测与刷新（多个执行器共享）
+   * @param {object} options.progressTracker - 进度追踪器（多个执行器共享）
+   * @param {object} options.menuCache - 路由缓存
+   * @param {EventEmitter} options.events - 生命周期事件的发送者（通常是 MenuTester 实例）
+   */
+  constructor({ id, browserName = 'chromium', deviceName = null, account = null, context, config, tokenInjector, tokenRefresher = null, progressTracker, menuCache, events = null }) {
+    this.id = id;
+    this.browserName = browserName;
+    this.deviceName = deviceName;
+    this.account = account;
+    this.context = context;
+    // 校验器与截图对比器通过 config.browserName / deviceName 区分引擎与设备（如分开基线目录）
+    this.config = { ...config, browserName, deviceName };
+    this.tokenInjector = tokenInjector;
+    this.tokenRefresher = tokenRefresher;
+    // 当前 context 中注入的令牌，用于判断过期后是否已被其他执行器刷新
+    this.injectedToken = null;
+    // 本次路由加载期间返回 401 的接口
+    this.unauthorizedResponses = [];
+    this.progressTracker = progressTracker;
+    this.menuCache = menuCache;
+    this.events = events;
+    this.page = null;
+    this.agent = null;
+    this.pageValidator = null;
+    this.performanceMonitor = null;
+    this.exceptionHandler = null;
+  }
+
+  /**
+   * 发送生命周期事件，自动附带执行器所在的浏览器、设备与编号
+   * @param {string} event - 事件名称
+   * @param {object} payload - 事件数据
+   */
+  emit(event, payload) {
+    if (!this.events) {
+      return;
+    }
+
+    try {
+      this.events.emit(event, {
+        ...payload,
+        browser: this.browserName,
+        device: this.deviceName,
+        worker: this.id
+      });
+    } catch (error) {
+      // 监听器中的异常不影响测试流程
+      logger.warning(`事件 ${event} 的监听器出错: ${error.message}`);
+    }
+  }
+
+  /**
+   * 创建页面与 agent，注入令牌并打开入口页
+   */
+  async setup() {
+    this.page = await this.context.newPage();
+
+    // Initialize Midscene agent
+    this.agent = new PlaywrightAgent(this.page, {
+      forceSameTabNavigation: true
+    });
+
+    this.pageValidator = new PageValidator(this.agent, this.page, this.config);
+    this.performanceMonitor = new PerformanceMonitor(this.page, this.config);
+    this.exceptionHandler = new ExceptionHandler(this.agent, this.page, this.config);
+
+    // 先注入 Token（在导航前）
+    await this.tokenInjector.inject(this.page, this.context);
+    this.injectedToken = this.tokenInjector.token;
+
+    if (this.tokenRefresher?.enabled) {
+      this.page.on('response', response => {
+        if (this.tokenRefresher.isUnauthorizedResponse(response)) {
+          this.unauthorizedResponses.push(response.url());
+        }
+      });
+    }
+
+    logger.info(`[${this.browserName}/Worker ${this.id}] Navigating to: ${this.config.url}`);
+
+    // 然后导航到目标 URL
+    await this.page.goto(this.config.url, {
+      waitUntil: 'networkidle',
+      timeout: this.config.timeout
+    });
+
+    // 等待页面完全稳定（兼容没有 waitForLoadState 的环境）
+    if (typeof this.page.waitForLoadState === 'function') {
+      await this.page.waitForLoadState('networkidle');
+    } else {
+      await new Promise(resolve => setTimeout(resolve, 1500));
+    }
+    await new Promise(resolve => setTimeout(resolve, 2000));
+
+    logger.success(`[${this.browserName}/Worker ${this.id}] Page setup completed`);
+  }
+
+  async testSingleRoute(route, menuItem, measurePerformance = false) {
+    let attempts = [];
+
+    try {
+      await this.progressTracker.startMenu(menuItem.id);
+      this.emit('route:start', { menuId: menuItem.id, route: { menuText: route.menuText, url: getDisplayUrl(route) } });
+      await pluginRegistry.runHook('beforeRoute', this.getHookContext(route, menuItem));
+
+      // 导航与页面校验按重试策略执行，截图只在最终结果上进行
+      const retryContext = {
+        menu: { text: route.menuText, url: route.url },
+        initialUrl: route.url,
+        page: this.page,
+        context: this.context,
+        tokenInjector: this.tokenInjector,
+        skipPageExceptionCheck: true,
+        // 多账号测试时权限错误是确定的结果，不再重试
+        shouldRetryResult: result => !result.validationResult.success && !(this.account && isForbidden(result.validationResult))
+      };
+      let outcome = await this.exceptionHandler.executeWithRetry(
+        () => this.loadAndValidateRoute(route, measurePerformance),
+        retryContext,
+        `路由 "${route.menuText}"`
+      );
+      attempts = outcome.attempts;
+
+      // 登录状态失效时刷新令牌并重新执行该路由
+      const lastAttempt = attempts[attempts.length - 1];
+      if (!outcome.success && lastAttempt?.errorType === 'auth' && this.tokenRefresher?.canRefresh()) {
+        await this.refreshToken();
+        lastAttempt.action = 'token_refreshed';
+        lastAttempt.recovered = true;
+
+        outcome = await this.exceptionHandler.executeWithRetry(
+          () => this.loadAndValidateRoute(route, measurePerformance),
+          retryContext,
+          `路由 "${route.menuText}"（令牌刷新后）`
+        );
+        attempts = [...attempts, ...outcome.attempts.map(record => ({ ...record, attempt: record.attempt + lastAttempt.attempt }))];
+      }
+
+      if (!outcome.success) {
+        throw new Error(outcome.error);
+      }
+
+      let { validationResult, performanceMetrics } = outcome.data;
+
+      // 多账号测试：声明了权限预期的路由以"预期与实际是否一致"作为结果
+      const permission = this.account ? evaluatePermission(getExpectation(route, this.account), validationResult) : null;
+      if (permission?.expected) {
+        validationResult = { ...validationResult, success: permission.match, error: permission.error };
+      }
+
+      // 处理截图：支持多场景截图
+      let screenshots = null;
+      if (this.config.screenshots) {
+        logger.info(`📸 开始捕获截图，路由: ${route.menuText}`);
+        logger.info(`📸 路由配置中的场景数: ${route.screenshotScenarios?.length || 0}`);
+        if (route.screenshotScenarios && route.screenshotScenarios.length > 0) {
+          logger.info(`📸 场景详情: ${JSON.stringify(route.screenshotScenarios, null, 2)}`);
+        }
+        screenshots = await this.captureScreenshots(route, menuItem, validationResult.success);
+        if (screenshots) {
+          logger.debug(`截图完成，结果类型: ${Array.isArray(screenshots) ? '数组' : '单个'}`);
+        } else {
+          logger.warning('截图返回为空');
+        }
+      } else {
+        logger.debug('截图功能未启用');
+      }
+
+      // 提取截图对比数据
+      const screenshotComparisons = this.extractScreenshotComparisons(screenshots);
+      screenshotComparisons
+        .filter(comparison => !comparison.match)
+        .forEach(comparison => {
+          this.emit('screenshot:diff', {
+            menuId: menuItem.id,
+            route: { menuText: route.menuText, url: getDisplayUrl(route) },
+            ...comparison
+          });
+        });
+
+      const testResult = {
+        success: validationResult.success,
+        error: validationResult.error,
+        screenshot: screenshots, // 可能是单个截图或截图数组
+        screenshots: screenshots, // 明确的多截图字段
+        details: validationResult,
+        url: route.url,
+        mode: 'route',
+        duration: Date.now() - (this.progressTracker.progress.menus[menuItem.id]?.startTime || Date.now()),
+        performance: performanceMetrics, // 性能指标（仅第一个路由）
+        screenshotComparisons: screenshotComparisons, // 截图对比数据
+        permission,
+        attempts
+      };
+
+      // afterRoute 钩子抛错时该路由按失败记录
+      await pluginRegistry.runHook('afterRoute', { ...this.getHookContext(route, menuItem), result: testResult });
+
+      const recordedResult = this.maskResult(route, testResult);
+      await this.progressTracker.completeMenu(menuItem.id, recordedResult);
+      this.emit('route:complete', { menuId: menuItem.id, route: { menuText: route.menuText, url: getDisplayUrl(route) }, result: recordedResult });
+
+      if (validationResult.success) {
+        logger.success(`✓ ${route.menuText}: 路由访问成功${attempts.length > 1 ? `（第 ${attempts.length} 次尝试）` : ''}`);
+      } else {
+        logger.error(`✗ ${route.menuText}: ${recordedResult.error}`);
+      }
+    } catch (error) {
+      const failResult = {
+        success: false,
+        error: error.message,
+        screenshot: null,
+        screenshots: null,
+        url: route.url,
+        mode: 'route',
+        duration: Date.now() - (this.progressTracker.progress.menus[menuItem.id]?.startTime || Date.now()),
+        performance: null,
+        screenshotComparisons: [],
+        permission: this.account ? evaluatePermission(getExpectation(route, this.account), null) : null,
+        attempts
+      };
+
+      await pluginRegistry.runHook('afterRoute', { ...this.getHookContext(route, menuItem), result: failResult })
+        .catch(hookError => logger.warning(hookError.message));
+
+      const recordedResult = this.maskResult(route, failResult);
+      await this.progressTracker.completeMenu(menuItem.id, recordedResult);
+      this.emit('route:complete', { menuId: menuItem.id, route: { menuText: route.menuText, url: getDisplayUrl(route) }, result: recordedResult });
+      logger.error(`✗ ${route.menuText}: ${recordedResult.error}`);
+    }
+  }
+
+  /**
+   * 写入会话前，把结果中的 URL 与错误信息里来自环境变量的参数值替换为 ***
+   * @param {object} route - 路由配置
+   * @param {object} result - 路由测试结果
+   * @returns {object} 记录用的结果
+   */
+  maskResult(route, result) {
+    if (!route.secretValues) {
+      return result;
+    }
+
+    const mask = text => maskSecrets(route, text);
+    const details = result.details && {
+      ...result.details,
+      error: mask(result.details.error),
+      currentUrl: mask(result.details.currentUrl),
+      expectedUrl: mask(result.details.expectedUrl)
+    };
+
+    return {
+      ...result,
+      url: getDisplayUrl(route),
+      error: mask(result.error),
+      details,
+      attempts: (result.attempts || []).map(attempt => ({ ...attempt, error: mask(attempt.error) }))
+    };
+  }
+
+  /**
+   * 构造传给插件路由钩子的上下文
+   * @param {object} route - 路由配置
+   * @param {object} menuItem - 菜单项
+   * @returns {object} 钩子上下文
+   */
+  getHookContext(route, menuItem) {
+    return {
+      page: this.page,
+      agent: this.agent,
+      route,
+      menuItem,
+      browser: this.browserName,
+      device: this.deviceName,
+      account: this.account
+    };
+  }
+
+  /**
+   * 单次尝试：导航到路由、等待稳定、测量性能并校验页面
+   * @param {object} route - 路由配置
+   * @param {boolean} measurePerformance - 是否测量性能
+   * @returns {Promise<object>} { validationResult, performanceMetrics, error }
+   */
+  async loadAndValidateRoute(route, measurePerformance) {
+    logger.debug(`导航到路由: ${getDisplayUrl(route)}`);
+    this.unauthorizedResponses = [];
+    await this.page.goto(route.url, {
+      waitUntil: 'load',
+      timeout: this.config.timeout
+    });
+
+    await this.waitForPageStable();
+
+    // 如果是第一个路由且启用了性能监控，测量性能
+    let performanceMetrics = null;
+    if (measurePerformance && this.performanceMonitor && this.performanceMonitor.enabled) {
+      performanceMetrics = await this.performanceMonitor.measurePerformance();
+    }
+
+    const validationResult = await this.validateRoutePage(route);
+
+    const expiredReason = await this.detectAuthExpiry(validationResult);
+    if (expiredReason) {
+      const error = new Error(`登录状态已失效（${expiredReason}）`);
+      error.type = 'auth';
+      throw error;
+    }
+
+    return { validationResult, performanceMetrics, error: validationResult.error };
+  }
+
+  /**
+   * 检测登录状态是否失效：跳转到登录页、接口返回 401，或页面校验失败时由 AI 判断是否为登录提示
+   * @param {object} validationResult - 页面校验结果
+   * @returns {Promise<string|null>} 失效原因，未失效时为 null
+   */
+  async detectAuthExpiry(validationResult) {
+    if (!this.tokenRefresher?.enabled) {
+      return null;
+    }
+
+    const currentUrl = this.page.url();
+    if (this.tokenRefresher.isLoginUrl(currentUrl)) {
+      return `跳转到登录页 ${currentUrl}`;
+    }
+
+    if (this.unauthorizedResponses.length > 0) {
+      return `接口返回未认证: ${this.unauthorizedResponses[0]}`;
+    }
+
+    if (!validationResult.success && this.tokenRefresher.aiCheck && await this.pageValidator.requiresAuthentication()) {
+      return '页面显示需要登录';
+    }
+
+    return null;
+  }
+
+  /**
+   * 刷新令牌并重新注入到当前 context
+   */
+  async refreshToken() {
+    await this.tokenRefresher.refresh(this.injectedToken);
+    await this.tokenInjector.inject(this.page, this.context);
+    this.injectedToken = this.tokenInjector.token;
+  }
+
+  /**
+   * 捕获路由的截图（支持多场景）
+   * @param {object} route - 路由配置
+   * @param {object} menuItem - 菜单项
+   * @param {boolean} success - 验证是否成功
+   * @returns {string|Array|null} 单个截图路径或截图数组
+   */
+  async captureScreenshots(route, menuItem, success) {
+    try {
+      logger.info(`🔍 [截图场景] 进入 captureScreenshots 方法，路由: ${route.menuText}`);
+      logger.info(`🔍 [截图场景] route 对象 keys: ${Object.keys(route).join(', ')}`);
+      logger.info(`🔍 [截图场景] route.screenshotScenarios 类型: ${typeof route.screenshotScenarios}, 值: ${JSON.stringify(route.screenshotScenarios)}`);
+      
+      const scenarios = route.screenshotScenarios || [];
+      logger.info(`[截图场景] 路由: ${route.menuText}, 场景数量: ${scenarios.length}`);
+      
+      if (scenarios.length > 0) {
+        logger.info(`[截图场景] 场景列表: ${JSON.stringify(scenarios.map(s => ({ type: s.type, description: s.description })), null, 2)}`);
+      }
+      
+      // 如果没有配置场景，使用默认截图
+      if (scenarios.length === 0) {
+        logger.debug(`[截图场景] 未配置场景，使用默认截图或自动发现`);
+        // 尝试自动发现 tab（如果配置允许）
+        if (this.config.autoDiscoverTabs !== false) {
+          const autoTabs = await this.discoverTabs();
+          if (autoTabs.length > 0) {
+            logger.info(`自动发现 ${autoTabs.length} 个 tab，将自动截图`);
+            return await this.captureTabScreenshots(route, menuItem, autoTabs, success);
+          }
+        }
+        
+        // 默认截图
+        return await this.pageValidator.takeScreenshot(menuItem, success);
+      }
+
+      // 执行配置的场景截图
+      logger.info(`开始执行 ${scenarios.length} 个截图场景`);
+      const screenshotResults = [];
+      
+      for (let i = 0; i < scenarios.length; i++) {
+        const scenario = scenarios[i];
+        const scenarioEvent = {
+          menuId: menuItem.id,
+          route: { menuText: route.menuText, url: getDisplayUrl(route) },
+          scenario: { type: scenario.type, description: scenario.description || null, index: i }
+        };
+        try {
+          logger.info(`执行场景 ${i + 1}/${scenarios.length}: ${scenario.type} - ${scenario.description || '无描述'}`);
+          const screenshot = await this.executeScreenshotScenario(route, menuItem, scenario, success);
+          if (screenshot) {
+            screenshotResults.push({
+              scenario: scenario.description || scenario.type,
+              screenshot: screenshot
+            });
+            logger.success(`场景 ${i + 1} 截图成功`);
+          } else {
+            logger.warning(`场景 ${i + 1} 截图返回为空`);
+          }
+          this.emit('scenario:complete', { ...scenarioEvent, success: Boolean(screenshot), screenshot, error: null });
+        } catch (error) {
+          logger.error(`场景截图失败: ${scenario.description || scenario.type} - ${error.message}`);
+          logger.debug(error.stack);
+          this.emit('scenario:complete', { ...scenarioEvent, success: false, screenshot: null, error: error.message });
+        }
+      }
+      
+      logger.info(`场景截图完成，成功 ${screenshotResults.length}/${scenarios.length} 个`);
+
+      // 如果只有一个场景，返回单个截图（保持向后兼容）
+      if (screenshotResults.length === 1) {
+        return screenshotResults[0].screenshot;
+      }
+
+      // 多个场景返回数组
+      return screenshotResults.length > 0 ? screenshotResults : null;
+      
+    } catch (error) {
+      logger.debug(`捕获截图失败: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 执行单个截图场景
+   * @param {object} route - 路由配置
+   * @param {object} menuItem - 菜单项
+   * @param {object} scenario - 场景配置
+   * @param {boolean} success - 验证是否成功
+   * @returns {string|null} 截图路径
+   */
+  async executeScreenshotScenario(route, menuItem, scenario, success) {
+    const { type, description } = scenario;
+
+    try {
+      switch (type) {
+        case 'default':
+          // 默认页面截图
+          await this.waitForPageStable();
+          return await this.pageValidator.takeScreenshot(menuItem, success, description);
+
+        case 'tab':
+          // Tab 切换截图
+          return await this.captureTabScreenshot(route, menuItem, scenario, success);
+
+        case 'modal':
+        case 'dialog':
+          // 弹窗截图
+          return await this.captureModalScreenshot(route, menuItem, scenario, success);
+
+        case 'dropdown':
+          // 下拉菜单截图
+          return await this.captureDropdownScreenshot(route, menuItem, scenario, success);
+
+        case 'custom':
+          // 自定义操作截图
+          return await this.captureCustomScreenshot(route, menuItem, scenario, success);
+
+        default: {
+          // 插件注册的场景类型
+          const handler = pluginRegistry.getScenarioHandler(type);
+          if (!handler) {
+            logger.warning(`未知的场景类型: ${type}`);
+            return null;
+          }
+          return await handler({
+            page: this.page,
+            agent: this.agent,
+            route,
+            menuItem,
+            scenario,
+            success,
+            takeScreenshot: desc => this.pageValidator.takeScreenshot(menuItem, success, desc || description),
+            waitForPageStable: () => this.waitForPageStable()
+          });
+        }
+      }
+    } catch (error) {
+      logger.debug(`执行场景 ${description || type} 失败: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 自动发现页面上的 tab
+   * @returns {Array} Tab 列表
+   */
+  async discoverTabs() {
+    try {
+      const tabs = await this.agent.aiQuery(`
+        {
+          text: string,
+          index: number,
+          selector: string
+        }[],
+        找到页面上所有的 tab 标签页（包括 el-tabs, ant-tabs, .tab-item 等），
+        返回每个 tab 的文本、索引和选择器
+      `);
+
+      return Array.isArray(tabs) ? tabs : [];
+    } catch (error) {
+      logger.debug(`自动发现 tab 失败: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * 捕获 tab 截图（自动发现模式）
+   */
+  async captureTabScreenshots(route, menuItem, tabs, success) {
+    const results = [];
+    
+    for (const tab of tabs) {
+      try {
+        // 点击 tab
+        await this.agent.aiTap(`点击第 ${tab.index + 1} 个 tab: "${tab.text}"`);
+        await this.waitForPageStable();
+        
+        // 截图
+        const screenshot = await this.pageValidator.takeScreenshot(
+          { ...menuItem, text: `${menuItem.text} - ${tab.text}` },
+          success,
+          `Tab: ${tab.text}`
+        );
+        
+        if (screenshot) {
+          results.push({
+            scenario: `Tab: ${tab.text}`,
+            screenshot: screenshot
+          });
+        }
+      } catch (error) {
+        logger.debug(`Tab "${tab.text}" 截图失败: ${error.message}`);
+      }
+    }
+    
+    return results.length > 0 ? results : null;
+  }
+
+  /**
+   * 捕获单个 tab 截图（配置模式）
+   */
+  async captureTabScreenshot(route, menuItem, scenario, success) {
+    try {
+      const { selector, text, index } = scenario;
+      
+      if (selector) {
+        // 使用选择器点击
+        await this.page.locator(selector).click();
+      } else if (text) {
+        // 使用文本点击
+        await this.agent.aiTap(`点击 tab: "${text}"`);
+      } else if (index !== undefined) {
+        // 使用索引点击
+        await this.agent.aiTap(`点击第 ${index + 1} 个 tab`);
+      } else {
+        logger.warning('Tab 场景缺少 selector、text 或 index');
+        return null;
+      }
+
+      await this.waitForPageStable();
+      
+      const description = scenario.description || `Tab: ${text || index || selector}`;
+      return await this.pageValidator.takeScreenshot(
+        { ...menuItem, text: `${menuItem.text} - ${description}` },
+        success,
+        description
+      );
+    } catch (error) {
+      logger.debug(`Tab 截图失败: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 捕获弹窗截图
+   */
+  async captureModalScreenshot(route, menuItem, scenario, success) {
+    try {
+      const { trigger, closeAfter = true } = scenario;
+      
+      if (!trigger) {
+        logger.warning('Modal 场景缺少 trigger 配置');
+        return null;
+      }
+
+      logger.info(`准备触发弹窗: ${trigger}`);
+      
+      // 确保页面已完全加载
+      await this.waitForPageStable();
+      await new Promise(resolve => setTimeout(resolve, 500)); // 额外等待确保页面稳定
+      
+      // 触发弹窗 - 清理 trigger 文本（移除多余空格，统一引号）
+      const cleanTrigger = trigger.trim().replace(/\s+/g, ' ').replace(/['"]/g, '"');
+      logger.debug(`清理后的 trigger: ${cleanTrigger}`);
+      
+      try {
+        await this.agent.aiTap(cleanTrigger);
+        logger.debug('已执行触发动作，等待页面稳定...');
+        await this.waitForPageStable();
+        await new Promise(resolve => setTimeout(resolve, 1000)); // 等待弹窗动画
+      } catch (tapError) {
+        logger.error(`点击触发按钮失败: ${tapError.message}`);
+        logger.info('尝试使用备用方式：直接查找按钮文本');
+        // 备用方案：尝试从 trigger 中提取按钮文本
+        const buttonText = trigger.replace(/点击|按钮/g, '').trim().replace(/['"]/g, '');
+        if (buttonText) {
+          await this.agent.aiTap(`点击"${buttonText}"按钮`);
+          await this.waitForPageStable();
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        } else {
+          throw tapError;
+        }
+      }
+      
+      // 等待弹窗出现
+      logger.debug('等待弹窗出现...');
+      try {
+        await this.agent.aiWaitFor('弹窗或对话框已完全显示', { timeout: 5000 });
+        logger.success('弹窗已出现');
+      } catch (waitError) {
+        logger.warning(`等待弹窗超时: ${waitError.message}`);
+        logger.info('继续尝试截图（可能弹窗已出现但 AI 未检测到）');
+        await new Promise(resolve => setTimeout(resolve, 1000)); // 再等一秒
+      }
+      
+      const description = scenario.description || `Modal: ${trigger}`;
+      logger.debug(`开始截图: ${description}`);
+      const screenshot = await this.pageValidator.takeScreenshot(
+        { ...menuItem, text: `${menuItem.text} - ${description}` },
+        success,
+        description
+      );
+
+      if (!screenshot) {
+        logger.warning('截图返回为空，可能弹窗未出现或截图失败');
+      }
+
+      // 关闭弹窗（如果需要）
+      if (closeAfter) {
+        try {
+          logger.debug('准备关闭弹窗...');
+          // 尝试多种关闭方式
+          try {
+            await this.agent.aiTap('关闭弹窗或对话框');
+          } catch (e1) {
+            try {
+              await this.agent.aiTap('点击关闭按钮');
+            } catch (e2) {
+              // 最后尝试 ESC 键
+              await this.page.keyboard.press('Escape');
+            }
+          }
+          await new Promise(resolve => setTimeout(resolve, 500));
+          logger.debug('弹窗已关闭');
+        } catch (error) {
+          logger.warning(`关闭弹窗失败: ${error.message}`);
+        }
+      }
+
+      return screenshot;
+    } catch (error) {
+      logger.error(`Modal 截图失败: ${error.message}`);
+      if (this.config.verbose) {
+        logger.debug(error.stack);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * 捕获下拉菜单截图
+   */
+  async captureDropdownScreenshot(route, menuItem, scenario, success) {
+    try {
+      const { trigger, selector } = scenario;
+      
+      if (trigger) {
+        await this.agent.aiTap(trigger);
+      } else if (selector) {
+        await this.page.locator(selector).click();
+      } else {
+        logger.warning('Dropdown 场景缺少 trigger 或 selector');
+        return null;
+      }
+
+      await this.waitForPageStable();
+      await this.agent.aiWaitFor('下拉菜单已展开', { timeout: 2000 });
+      
+      const description = scenario.description || `Dropdown: ${trigger || selector}`;
+      const screenshot = await this.pageValidator.takeScreenshot(
+        { ...menuItem, text: `${menuItem.text} - ${description}` },
+        success,
+        description
+      );
+
+      // 关闭下拉菜单
+      try {
+        await this.page.keyboard.press('Escape');
+        await new Promise(resolve => setTimeout(resolve, 300));
+      } catch (error) {
+        logger.debug(`关闭下拉菜单失败: ${error.message}`);
+      }
+
+      return screenshot;
+    } catch (error) {
+      logger.debug(`Dropdown 截图失败: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 捕获自定义操作截图
+   */
+  async captureCustomScreenshot(route, menuItem, scenario, success) {
+    try {
+      const { actions, waitAfter = 1000 } = scenario;
+      
+      if (!Array.isArray(actions) || actions.length === 0) {
+        logger.warning('Custom 场景缺少 actions 配置');
+        return null;
+      }
+
+      // 执行一系列操作
+      await this.runActions(actions);
+
+      await new Promise(resolve => setTimeout(resolve, waitAfter));
+      await this.waitForPageStable();
+      
+      const description = scenario.description || 'Custom action';
+      return await this.pageValidator.takeScreenshot(
+        { ...menuItem, text: `${menuItem.text} - ${description}` },
+        success,
+        description
+      );
+    } catch (error) {
+      logger.debug(`Custom 截图失败: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 在当前页面上执行操作列表（词汇表见 utils/actions）
+   * @param {Array} actions - 操作列表
+   */
+  async runActions(actions) {
+    await runActions({
+      page: this.page,
+      agent: this.agent,
+      baseUrl: this.config.url,
+      timeout: this.config.timeout
+    }, actions);
+  }
+
+  /**
+   * 执行路由分组的 setup 操作（如在页头切换租户 / 门店），失败时抛出
+   * @param {object} group - 分组配置 { name, setup }
+   */
+  async runGroupSetup(group) {
+    if (!group.setup || group.setup.length === 0) {
+      return;
+    }
+
+    logger.info(`[${this.browserName}/Worker ${this.id}] 执行分组 "${group.name}" 的 setup（${group.setup.length} 个操作）`);
+    // setup 通常依赖页面上的切换器，先打开主页面
+    await this.page.goto(group.url || this.config.url, { waitUntil: 'load', timeout: this.config.timeout });
+    await this.waitForPageStable();
+    await this.runActions(group.setup);
+    await this.waitForPageStable();
+  }
+
+  /**
+   * 执行路由分组的 teardown 操作，失败只记录警告
+   * @param {object} group - 分组配置 { name, teardown }
+   */
+  async runGroupTeardown(group) {
+    if (!group.teardown || group.teardown.length === 0) {
+      return;
+    }
+
+    try {
+      logger.info(`[${this.browserName}/Worker ${this.id}] 执行分组 "${group.name}" 的 teardown`);
+      await this.runActions(group.teardown);
+    } catch (error) {
+      logger.warning(`分组 "${group.name}" 的 teardown 失败: ${error.message}`);
+    }
+  }
+
+  async validateRoutePage(route) {
+    try {
+      const currentUrl = this.page.url();
+      
+      // 基础验证
+      const basicValidation = await this.pageValidator.validatePageLoad(
+        { text: route.menuText, url: route.url },
+        route.url
+      );
+      
+      // 额外的路由特定验证
+      const routeSpecificValidation = await this.performRouteSpecificValidation(route);
+      
+      return {
+        success: basicValidation.success && routeSpecificValidation.success,
+        error: basicValidation.error || routeSpecificValidation.error,
+        currentUrl: currentUrl,
+        expectedUrl: route.url,
+        layers: basicValidation.details || null,
+        routeSpecific: routeSpecificValidation
+      };
+      
+    } catch (error) {
+      return {
+        success: false,
+        error: `页面验证失败: ${error.message}`,
+        currentUrl: this.page.url(),
+        expectedUrl: route.url
+      };
+    }
+  }
+
+  async performRouteSpecificValidation(route) {
+    try {
+      // 获取该路由的验证规则
+      const validationRules = this.menuCache.cache.routes.routeValidation.get(route.url);
+      
+      if (!validationRules) {
+        // 没有特定验证规则，使用基础验证
+        return { success: true, details: 'No specific validation rules' };
+      }
+      
+      // 这里可以根据验证规则进行特定检查
+      // 例如：检查特定元素存在、页面标题、内容等
+      
+      return { success: true, details: 'Route specific validation passed' };
+      
+    } catch (error) {
+      return {
+        success: false,
+        error: `路由特定验证失败: ${error.message}`
+      };
+    }
+  }
+
+  async waitForPageStable() {
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    try {
+      await this.agent.aiWaitFor(
+        '页面加载完成且内容稳定显示',
+        { timeout: 3000 }
+      );
+    } catch (error) {
+      logger.debug('等待页面稳定超时');
+    }
+  }
+
+  /**
+   * 从截图结果中提取对比数据
+   * @param {string|Array|null} screenshots - 截图结果
+   * @returns {Array} 截图对比数据数组
+   */
+  extractScreenshotComparisons(screenshots) {
+    if (!screenshots) {
+      return [];
+    }
+
+    const comparisons = [];
+
+    // 如果是数组
+    if (Array.isArray(screenshots)) {
+      screenshots.forEach(item => {
+        if (item.screenshot && typeof item.screenshot === 'object' && item.screenshot.comparison) {
+          comparisons.push({
+            scenario: item.scenario || 'default',
+            match: item.screenshot.comparison.match !== false,
+            diffPercentage: Number(item.screenshot.comparison.diffPercentage) || 0,
+            type: item.screenshot.comparison.type,
+            diffPath: item.screenshot.comparison.diffPath || null
+          });
+        }
+      });
+    }
+    // 如果是单个对象
+    else if (typeof screenshots === 'object' && screenshots.comparison) {
+      comparisons.push({
+        scenario: 'default',
+        match: screenshots.comparison.match !== false,
+        diffPercentage: Number(screenshots.comparison.diffPercentage) || 0,
+        type: screenshots.comparison.type,
+        diffPath: screenshots.comparison.diffPath || null
+      });
+    }
+
+    return comparisons;
+  }
+
+  /**
+   * 清理令牌并关闭 context
+   */
+  async close() {
+    try {
+      if (this.page) {
+        await this.tokenInjector.cleanup(this.page, this.context);
+      }
+      await this.context.close();
+    } catch (error) {
+      logger.debug(`[${this.browserName}/Worker ${this.id}] Cleanup failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = RouteRunner;
@@ -0,0 +1,205 @@
+const { logger } = require('../utils/logger');
+const { restorePlaceholders } = require('../utils/routeParameters');
+
+/**
+ * 未指定 discover.expression 时依次尝试的路由实例位置
+ */
+const DEFAULT_ROUTER_EXPRESSIONS = [
+  'window.__VUE_APP__ && window.__VUE_APP__.$router',
+  // Vue 3：挂载元素上的 app 实例
+  'Array.from(document.querySelectorAll("[data-v-app]")).map(el => el.__vue_app__).find(Boolean)?.config.globalProperties.$router',
+  // Vue 2：根组件实例
+  'document.querySelector("#app")?.__vue__?.$router',
+  // React Router 数据路由（createBrowserRouter / Remix）
+  'window.__reactRouterDataRouter',
+  'window.__remixRouter'
+];
+
+/**
+ * 在页面中读取路由表（只保留可序列化字段）与生成链接的前缀（hash 路由为 "/#"，带 base 时为 base）
+ * @param {Array<string>} expressions - 路由实例或路由数组的表达式
+ * @returns {string} 页面脚本
+ */
+function buildReadScript(expressions) {
+  return `(() => {
+    const candidates = [${expressions.map(expression => `() => (${expression})`).join(', ')}];
+    let target = null;
+    for (const candidate of candidates) {
+      try {
+        target = candidate();
+      } catch (error) {
+        target = null;
+      }
+      if (target) break;
+    }
+    if (!target) return null;
+
+    const records = Array.isArray(target) ? target : (target.options && target.options.routes) || target.routes;
+    if (!Array.isArray(records)) return null;
+
+    const text = value => (typeof value === 'string' && value ? value : null);
+    const serialize = list => list.map(record => ({
+      path: typeof record.path === 'string' ? record.path : null,
+      index: Boolean(record.index),
+      name: text(record.name),
+      title: text(record.meta && (record.meta.title || record.meta.menuTitle)) || text(record.handle && record.handle.title),
+      hidden: Boolean(record.meta && (record.meta.hidden || record.meta.hideInMenu)),
+      children: serialize(Array.isArray(record.children) ? record.children : [])
+    }));
+
+    let hrefPrefix = null;
+    try {
+      if (typeof target.resolve === 'function') {
+        hrefPrefix = target.resolve('/').href.replace(/\\/$/, '');
+      } else if (typeof target.createHref === 'function') {
+        hrefPrefix = target.createHref({ pathname: '/' }).replace(/\\/$/, '');
+      }
+    } catch (error) {
+      hrefPrefix = null;
+    }
+
+    return { routes: serialize(records), hrefPrefix };
+  })()`;
+}
+
+/**
+ * 拼接父子路由路径
+ * @param {string} parentPath - 父路由完整路径
+ * @param {string} routePath - 子路由路径（以 / 开头时为绝对路径）
+ * @returns {string} 完整路径
+ */
+function joinRoutePath(parentPath, routePath) {
+  const joined = routePath.startsWith('/') ? routePath : `${parentPath.replace(/\/$/, '')}/${routePath}`;
+  return joined.replace(/\/+/g, '/').replace(/(.)\/$/, '$1') || '/';
+}
+
+/**
+ * 将动态参数（:id、:id?、:id(\\d+)）转换为 {{id}} 占位符
+ * @param {string} routePath - 路由路径
+ * @returns {string} 路径
+ */
+function toPlaceholderPath(routePath) {
+  return routePath.replace(/:(\w+)(\([^)]*\))?[?*+]?/g, '{{$1}}');
+}
+
+/**
+ * 路由发现：打开应用后从前端路由实例（vue-router / react-router）读取路由表，
+ * 展开嵌套路由为完整 URL，层级作为 level，树形结构写入路由缓存的 routes.hierarchy
+ */
+class RouterDiscovery {
+  /**
+   * @param {object} config - 配置对象（url）
+   * @param {object} options - 发现选项
+   * @param {string} options.expression - 返回路由实例或路由数组的页面表达式，未指定时自动识别
+   * @param {boolean} options.includeDynamic - 保留带动态参数的路由（参数转换为 {{name}} 占位符，运行时需要提供取值）
+   */
+  constructor(config, options = {}) {
+    this.config = config;
+    this.expressions = options.expression ? [options.expression] : DEFAULT_ROUTER_EXPRESSIONS;
+    this.includeDynamic = Boolean(options.includeDynamic);
+  }
+
+  /**
+   * 读取页面中的路由表
+   * @param {object} page - 已打开应用的 Playwright page
+   * @returns {Promise<object>} { routes, hrefPrefix }
+   */
+  async readRouter(page) {
+    const result = await page.evaluate(buildReadScript(this.expressions));
+    if (!result) {
+      throw new Error(`未在页面中找到路由实例，请通过 --expression 指定（尝试过: ${this.expressions.join(' | ')}）`);
+    }
+    return result;
+  }
+
+  /**
+   * 展开路由树
+   * @param {Array<object>} records - 页面中读取的路由记录
+   * @param {string} hrefPrefix - 链接前缀（hash 路由为 "/#"），无法识别时按 history 模式处理
+   * @returns {object} { routes, hierarchy, skipped }
+   */
+  flatten(records, hrefPrefix) {
+    const routes = [];
+    const usedTexts = new Set();
+    const seenPaths = new Set();
+    const skipped = [];
+
+    const walk = (list, parentPath, level) => {
+      const nodes = [];
+
+      list.forEach(record => {
+        // 无 path 的布局路由（react-router）与默认子路由（path 为空）不单独记录，子路由挂在上一级
+        if (record.path === null || record.path === '' || record.index) {
+          nodes.push(...walk(record.children, parentPath, level));
+          return;
+        }
+
+        const fullPath = joinRoutePath(parentPath, record.path);
+        if (/\*|\(\.\*\)/.test(fullPath)) {
+          return;
+        }
+
+        const dynamic = fullPath.includes(':');
+        if (dynamic && !this.includeDynamic) {
+          skipped.push(fullPath);
+          nodes.push(...walk(record.children, fullPath, level + 1));
+          return;
+        }
+
+        const routePath = toPlaceholderPath(fullPath);
+        const node = { menuText: null, url: null, level, children: [] };
+
+        if (!seenPaths.has(routePath)) {
+          seenPaths.add(routePath);
+          const title = record.title || record.name || routePath;
+          node.menuText = usedTexts.has(title) ? `${title} (${routePath})` : title;
+          node.url = restorePlaceholders(new URL(`${hrefPrefix || ''}${routePath}`, this.config.url).href);
+          usedTexts.add(node.menuText);
+          routes.push({ menuText: node.menuText, url: node.url, level, hidden: record.hidden });
+        }
+
+        node.children = walk(record.children, fullPath, level + 1);
+        if (node.menuText) {
+          nodes.push(node);
+        } else {
+          nodes.push(...node.children);
+        }
+      });
+
+      return nodes;
+    };
+
+    const hierarchy = walk(records, '/', 1);
+    return { routes, hierarchy, skipped };
+  }
+
+  /**
+   * 读取并展开路由表
+   * @param {object} page - 已打开应用的 Playwright page
+   * @returns {Promise<object>} { routes, hierarchy }
+   */
+  async discover(page) {
+    const { routes: records, hrefPrefix } = await this.readRouter(page);
+    const { routes, hierarchy, skipped } = this.flatten(records, hrefPrefix);
+
+    if (skipped.length > 0) {
+      logger.info(`跳过 ${skipped.length} 个带动态参数的路由（使用 --include-dynamic 保留为 {{name}} 占位符）: ${skipped.join(', ')}`);
+    }
+
+    const recordedAt = new Date().toISOString();
+    return {
+      routes: routes.map(route => ({
+        menuText: route.menuText,
+        url: route.url,
+        level: route.level,
+        tags: route.hidden ? ['hidden'] : [],
+        recordedAt
+      })),
+      hierarchy
+    };
+  }
+}
+
+module.exports = RouterDiscovery;
+module.exports.DEFAULT_ROUTER_EXPRESSIONS = DEFAULT_ROUTER_EXPRESSIONS;
+module.exports.joinRoutePath = joinRoutePath;
@@ -0,0 +1,198 @@
+const MenuTester = require('../MenuTester');
+const ProgressTracker = require('./ProgressTracker');
+const { logger } = require('../utils/logger');
+const { getNextRun } = require('../utils/cron');
+const { parseRetention } = require('../utils/sessionManager');
+
+// setTimeout 的最大延迟（约 24.8 天），更长的等待分段进行
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * 定时调度器（daemon 模式）
+ * 按 cron 表达式触发 MenuTester 运行，保证同一时间只有一次运行，
+ * 维护最近的运行记录并按保留规则清理旧会话
+ */
+class Scheduler {
+  /**
+   * @param {object} config - 配置对象
+   * @param {object} schedule - 调度配置 { cron, keep, historySize, runOnStart }
+   */
+  constructor(config, schedule = config.schedule || {}) {
+    this.config = config;
+    this.cron = schedule.cron;
+    this.keep = schedule.keep;
+    this.historySize = schedule.historySize || 10;
+    this.runOnStart = Boolean(schedule.runOnStart);
+
+    this.timer = null;
+    this.nextRun = null;
+    this.running = null;
+    this.stopped = false;
+    this.history = [];
+    this.skippedRuns = 0;
+  }
+
+  /**
+   * 启动调度
+   */
+  start() {
+    this.stopped = false;
+    logger.info(`⏰ 定时运行已启动: ${this.cron}`);
+
+    if (this.runOnStart) {
+      this.trigger();
+    }
+    this.scheduleNext();
+  }
+
+  /**
+   * 停止调度，等待进行中的运行结束
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRun = null;
+
+    if (this.running) {
+      logger.info('等待进行中的运行结束...');
+      await this.running;
+    }
+  }
+
+  /**
+   * 计算并设置下一次触发
+   */
+  scheduleNext() {
+    if (this.stopped) {
+      return;
+    }
+
+    this.nextRun = getNextRun(this.cron);
+    logger.info(`下一次运行: ${this.nextRun.toLocaleString()}`);
+    this.waitUntil(this.nextRun.getTime());
+  }
+
+  /**
+   * 等待到指定时间后触发运行
+   * @param {number} targetTime - 目标时间戳
+   */
+  waitUntil(targetTime) {
+    const delay = targetTime - Date.now();
+
+    if (delay > MAX_TIMER_DELAY) {
+      this.timer = setTimeout(() => this.waitUntil(targetTime), MAX_TIMER_DELAY);
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.trigger();
+      this.scheduleNext();
+    }, Math.max(0, delay));
+  }
+
+  /**
+   * 触发一次运行；上一次运行尚未结束时跳过本次
+   * @returns {Promise<object>|null} 运行记录
+   */
+  trigger() {
+    if (this.running) {
+      this.skippedRuns++;
+      logger.warning('上一次运行尚未结束，跳过本次定时运行');
+      return null;
+    }
+
+    this.running = this.runOnce().finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  /**
+   * 执行一次完整的 MenuTester 运行并记录结果
+   * @returns {Promise<object>} 运行记录
+   */
+  async runOnce() {
+    const record = {
+      status: 'running',
+      sessionId: null,
+      startTime: new Date().toISOString(),
+      completedTime: null,
+      summary: null,
+      error: null
+    };
+    this.history.unshift(record);
+    this.history.splice(this.historySize);
+
+    const tester = new MenuTester({ ...this.config, resume: undefined });
+    tester.once('run:start', ({ sessionId }) => {
+      record.sessionId = sessionId;
+    });
+
+    try {
+      logger.info(`🚀 定时运行开始: ${record.startTime}`);
+      const summary = await tester.start();
+
+      record.sessionId = summary.sessionId;
+      record.summary = {
+        totalRoutes: summary.totalRoutes,
+        successful: summary.successful,
+        failed: summary.failed,
+        successRate: summary.successRate
+      };
+      // 违反质量门禁的运行记为失败
+      record.status = summary.failed > 0 || (summary.gates && !summary.gates.passed) ? 'failed' : 'passed';
+      if (summary.gates && !summary.gates.passed) {
+        record.gates = summary.gates;
+      }
+    } catch (error) {
+      record.status = 'error';
+      record.error = error.message;
+      logger.error(`定时运行失败: ${error.message}`);
+    } finally {
+      record.completedTime = new Date().toISOString();
+    }
+
+    await this.pruneHistory();
+    return record;
+  }
+
+  /**
+   * 按保留规则清理旧会话文件
+   */
+  async pruneHistory() {
+    if (this.keep === undefined || this.keep === null) {
+      return;
+    }
+
+    try {
+      const progressTracker = new ProgressTracker(this.config);
+      const removed = await progressTracker.pruneSessions(parseRetention(this.keep));
+      if (removed.length > 0) {
+        logger.info(`已按保留规则 ${this.keep} 清理 ${removed.length} 个旧会话`);
+      }
+    } catch (error) {
+      logger.warning(`清理旧会话失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 获取调度状态（供 /health 使用）
+   * @returns {object} 调度状态
+   */
+  getStatus() {
+    const lastRun = this.history.find(record => record.status !== 'running') || null;
+
+    return {
+      cron: this.cron,
+      running: Boolean(this.running),
+      nextRun: this.nextRun ? this.nextRun.toISOString() : null,
+      skippedRuns: this.skippedRuns,
+      lastRun,
+      history: this.history
+    };
+  }
+}
+
+module.exports = Scheduler;
@@ -19,10 +19,25 @@ class ScreenshotComparator {
     this.threshold = this.comparisonConfig.threshold || 0.1; // 差异阈值 0-1
     this.baselineDir = this.comparisonConfig.baselineDir || './screenshots/baseline';
     this.diffDir = this.comparisonConfig.diffDir || './screenshots/diff';
+
+    // 不同浏览器引擎的渲染结果不同，基线按引擎分目录（chromium 沿用原目录以兼容已有基线）
+    this.browserName = config.browserName || 'chromium';
+    if (this.browserName !== 'chromium') {
+      this.baselineDir = path.join(this.baselineDir, this.browserName);
+      this.diffDir = path.join(this.diffDir, this.browserName);
+    }
+
+    // 设备矩阵中不同设备的视口尺寸不同，基线按设备再分一级目录
+    this.deviceName = config.deviceName || null;
+    if (this.deviceName) {
+      const deviceDir = this.deviceName.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').toLowerCase();
+      this.baselineDir = path.join(this.baselineDir, deviceDir);
+      this.diffDir = path.join(this.diffDir, deviceDir);
+    }
     this.updateBaseline = this.comparisonConfig.updateBaseline || false;
     this.failOnDiff = this.comparisonConfig.failOnDiff || false;
     
-    logger.debug(`ScreenshotComparator initialized: enabled=${this.enabled}, threshold=${this.threshold}`);
+    logger.debug(`ScreenshotComparator initialized: enabled=${this.enabled}, threshold=${this.threshold}, browser=${this.browserName}`);
   }
 
   /**
@@ -1,6 +1,8 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { logger } = require('./logger');
+const { buildPermissionMatrix } = require('./permissionMatrix');
+const { formatParameters } = require('./routeParameters');
 
 /**
  * 报告生成器
@@ -32,8 +34,23 @@ class ReportGenerator {
     logger.info(`成功率: ${successRate}%`);
     logger.info(`总耗时: ${this.formatDuration(duration)}`);
     logger.info(`会话ID: ${progress.sessionId}`);
+    if (progress.profile) {
+      logger.info(`环境: ${progress.profile}`);
+    }
+    if (progress.shard) {
+      logger.info(`分片: ${progress.shard.index}/${progress.shard.total}`);
+    }
+    if (progress.mergedFrom) {
+      logger.info(`合并自 ${progress.mergedFrom.length} 个分片会话`);
+    }
     logger.info('='.repeat(60));
 
+    // 浏览器 / 设备统计
+    this.printDimensionStats(progress);
+
+    // 权限矩阵（多账号测试）
+    this.printPermissionMatrix(buildPermissionMatrix(Object.values(progress.menus)));
+
     // 路由详情
     this.printRouteDetails(progress);
 
@@ -48,9 +65,154 @@ class ReportGenerator {
       this.printErrorDetails(progress.errors);
     }
 
+    // 质量门禁
+    if (summary.gates) {
+      this.printGateResults(summary.gates);
+    }
+
     logger.info('='.repeat(60));
   }
 
+  /**
+   * 打印质量门禁结果
+   * @param {object} gates - evaluateGates 的返回值
+   */
+  printGateResults(gates) {
+    logger.info('\n🚦 质量门禁');
+    logger.info('-'.repeat(60));
+
+    if (gates.passed) {
+      logger.success('所有门禁均已通过');
+      return;
+    }
+
+    gates.violations.forEach(violation => {
+      logger.error(`  ✗ ${violation.gate} (退出码 ${violation.exitCode}): ${violation.message}`);
+    });
+    logger.error(`进程将以退出码 ${gates.exitCode} 结束`);
+  }
+
+  /**
+   * 获取会话中出现的浏览器列表
+   * @param {Array} menus - 菜单列表
+   * @returns {Array<string>} 浏览器名称
+   */
+  getBrowsers(menus) {
+    return [...new Set(menus.map(menu => menu.browser || 'chromium'))];
+  }
+
+  /**
+   * 获取会话中出现的设备列表（设备矩阵）
+   * @param {Array} menus - 菜单列表
+   * @returns {Array<string>} 设备名称，未使用设备矩阵时为空数组
+   */
+  getDevices(menus) {
+    return [...new Set(menus.map(menu => menu.device).filter(Boolean))];
+  }
+
+  /**
+   * 判断会话包含哪些结果维度
+   * @param {Array} menus - 菜单列表
+   * @returns {object} { multiBrowser, hasDevices }
+   */
+  getDimensions(menus) {
+    return {
+      multiBrowser: this.getBrowsers(menus).length > 1,
+      hasDevices: this.getDevices(menus).length > 0,
+      hasAccounts: menus.some(menu => menu.account)
+    };
+  }
+
+  /**
+   * 生成菜单显示名称（多浏览器 / 设备矩阵时附带对应维度，参数化路由附带参数值）
+   * @param {object} menu - 菜单项
+   * @param {object} dimensions - getDimensions 的返回值
+   * @returns {string} 显示名称
+   */
+  getMenuLabel(menu, dimensions) {
+    const tags = [];
+    if (dimensions.multiBrowser) {
+      tags.push(menu.browser || 'chromium');
+    }
+    if (dimensions.hasAccounts && menu.account) {
+      tags.push(menu.account);
+    }
+    if (dimensions.hasDevices && menu.device) {
+      tags.push(menu.device);
+    }
+    // 参数化路由附带实际使用的参数值
+    const parameters = formatParameters(menu.parameters);
+    const text = parameters ? `${menu.text} (${parameters})` : menu.text;
+    return tags.length > 0 ? `${text} [${tags.join(' / ')}]` : text;
+  }
+
+  /**
+   * 打印各浏览器、各设备的结果统计（仅存在多个维度值时）
+   * @param {object} progress - 进度数据
+   */
+  printDimensionStats(progress) {
+    const menus = Object.values(progress.menus);
+    const browsers = this.getBrowsers(menus);
+    const devices = this.getDevices(menus);
+
+    const printGroup = (title, values, keyOf) => {
+      logger.info(`\n${title}`);
+      logger.info('-'.repeat(60));
+      values.forEach(value => {
+        const groupMenus = menus.filter(menu => keyOf(menu) === value);
+        const completed = groupMenus.filter(menu => menu.status === 'completed').length;
+        const failed = groupMenus.filter(menu => menu.status === 'failed').length;
+        logger.info(`${value}: 成功 ${completed} / 失败 ${failed} / 共 ${groupMenus.length}`);
+      });
+    };
+
+    if (browsers.length > 1) {
+      printGroup('🌐 浏览器统计', browsers, menu => menu.browser || 'chromium');
+    }
+
+    if (devices.length > 0) {
+      printGroup('📱 设备统计', devices, menu => menu.device);
+    }
+  }
+
+  /**
+   * 格式化权限矩阵单元格：声明了预期时为 "预期/实际"，否则只显示实际结果
+   * @param {object} cell - 单元格 { expected, actual, match }
+   * @returns {string} 显示文本
+   */
+  formatPermissionCell(cell) {
+    if (!cell) {
+      return '—';
+    }
+    if (!cell.expected) {
+      return cell.actual;
+    }
+    return `${cell.match ? '✓' : '✗'} ${cell.expected}/${cell.actual}`;
+  }
+
+  /**
+   * 打印权限矩阵（路由 × 账号）
+   * @param {object|null} matrix - buildPermissionMatrix 的返回值
+   */
+  printPermissionMatrix(matrix) {
+    if (!matrix) {
+      return;
+    }
+
+    logger.info('\n🔐 权限矩阵（预期/实际）');
+    logger.info('-'.repeat(60));
+    logger.info(`路由 | ${matrix.accounts.join(' | ')}`);
+    matrix.rows.forEach(row => {
+      logger.info(`${row.text} | ${matrix.accounts.map(account => this.formatPermissionCell(row.cells[account])).join(' | ')}`);
+    });
+
+    if (matrix.mismatched > 0) {
+      logger.error(`权限不符 ${matrix.mismatched} 项（越权 ${matrix.leaked}，误拦截 ${matrix.blocked}）`);
+    } else {
+      logger.success('声明了预期的权限均符合');
+    }
+  }
+
   /**
    * 打印路由详情
    * @param {object} progress - 进度数据
@@ -60,11 +222,12 @@ class ReportGenerator {
     logger.info('-'.repeat(60));
 
     const menus = Object.values(progress.menus);
+    const dimensions = this.getDimensions(menus);
     menus.forEach((menu, index) => {
       const statusIcon = menu.status === 'completed' ? '✓' : menu.status === 'failed' ? '✗' : '⊝';
       const statusText = menu.status === 'completed' ? '成功' : menu.status === 'failed' ? '失败' : '已跳过';
       
-      logger.info(`${index + 1}. ${menu.text}`);
+      logger.info(`${index + 1}. ${this.getMenuLabel(menu, dimensions)}`);
       logger.info(`   ${statusIcon} 状态: ${statusText}`);
       
       if (menu.duration) {
@@ -112,6 +275,14 @@ class ReportGenerator {
         logger.info(`   📸 截图: 已保存（未启用对比）`);
       }
 
+      // 重试记录（仅在发生过重试时展示）
+      if (Array.isArray(menu.attempts) && menu.attempts.length > 1) {
+        logger.info(`   🔁 尝试次数: ${menu.attempts.length}`);
+        menu.attempts.forEach(attempt => {
+          logger.info(`      - ${this.formatAttempt(attempt)}`);
+        });
+      }
+
       // 错误信息
       if (menu.error) {
         logger.error(`   ❌ 错误: ${menu.error}`);
@@ -121,6 +292,23 @@ class ReportGenerator {
     });
   }
 
+  /**
+   * 格式化单次尝试记录
+   * @param {object} attempt - ExceptionHandler 生成的尝试记录
+   * @returns {string} 形如 "#1 [timeout] 错误信息 — 恢复动作: reload"
+   */
+  formatAttempt(attempt) {
+    if (attempt.success) {
+      return `#${attempt.attempt} 成功 (${this.formatDuration(attempt.duration || 0)})`;
+    }
+
+    let text = `#${attempt.attempt} [${attempt.errorType || 'generic'}] ${attempt.error || '未知错误'}`;
+    if (attempt.action && attempt.action !== 'none') {
+      text += ` — 恢复动作: ${attempt.action}`;
+    }
+    return text;
+  }
+
   /**
    * 打印性能统计
    * @param {object} progress - 进度数据
@@ -246,7 +434,7 @@ class ReportGenerator {
     logger.info('-'.repeat(60));
     
     errors.forEach((error, index) => {
-      logger.error(`${index + 1}. ${error.menuText || error.menuId}`);
+      logger.error(`${index + 1}. ${error.menuText || error.menuId}${error.browser && error.browser !== 'chromium' ? ` [${error.browser}]` : ''}`);
       logger.error(`   错误: ${error.error}`);
       if (error.timestamp) {
         logger.error(`   时间: ${new Date(error.timestamp).toLocaleString()}`);
@@ -453,6 +641,9 @@ class ReportGenerator {
             <h1>📊 菜单测试报告</h1>
             <div class="meta">
                 <div>会话ID: ${progress.sessionId}</div>
+                ${progress.profile ? `<div>环境: ${this.escapeHtml(progress.profile)}</div>` : ''}
+                ${progress.shard ? `<div>分片: ${progress.shard.index}/${progress.shard.total}</div>` : ''}
+                ${progress.mergedFrom ? `<div>合并自 ${progress.mergedFrom.length} 个分片会话</div>` : ''}
                 <div>测试时间: ${new Date(progress.timestamps.started).toLocaleString()}</div>
                 <div>总耗时: ${this.formatDuration(duration)}</div>
             </div>
@@ -477,6 +668,10 @@ class ReportGenerator {
             </div>
         </div>
 
+        ${this.getDevices(menus).length > 0 ? this.buildDeviceMatrixSection(menus) : ''}
+
+        ${this.buildPermissionMatrixSection(buildPermissionMatrix(menus))}
+
         ${this.buildRouteSection(menus)}
 
         ${performanceData ? this.buildPerformanceSection(performanceData) : ''}
@@ -489,10 +684,105 @@ class ReportGenerator {
 </html>`;
   }
 
+  /**
+   * 构建设备矩阵 HTML：行为路由，列为设备（多浏览器时为 浏览器 / 设备）
+   * 便于定位只在移动端或特定设备上失败的路由
+   */
+  buildDeviceMatrixSection(menus) {
+    const { multiBrowser } = this.getDimensions(menus);
+    const columnOf = menu => multiBrowser ? `${menu.browser || 'chromium'} / ${menu.device}` : menu.device;
+    const columns = [...new Set(menus.filter(menu => menu.device).map(columnOf))];
+
+    // 同一路由（名称 + URL）在各设备上的结果合并为一行
+    const rows = new Map();
+    menus.filter(menu => menu.device).forEach(menu => {
+      const key = `${menu.text}|${menu.url || ''}`;
+      if (!rows.has(key)) {
+        rows.set(key, { text: menu.text, url: menu.url, cells: {} });
+      }
+      rows.get(key).cells[columnOf(menu)] = menu;
+    });
+
+    const statusCell = menu => {
+      if (!menu) {
+        return '<td title="该路由已排除此设备">—</td>';
+      }
+      if (menu.status === 'completed') {
+        return '<td><span class="badge badge-success">✓ 成功</span></td>';
+      }
+      if (menu.status === 'failed') {
+        return `<td title="${this.escapeHtml(menu.error || '')}"><span class="badge badge-danger">✗ 失败</span></td>`;
+      }
+      return `<td><span class="badge badge-warning">${menu.status === 'skipped' ? '⊝ 跳过' : '… 未完成'}</span></td>`;
+    };
+
+    const body = [...rows.values()].map(row => `
+                <tr>
+                    <td>${this.escapeHtml(row.text)}</td>
+                    ${columns.map(column => statusCell(row.cells[column])).join('')}
+                </tr>`).join('');
+
+    return `
+        <div class="section">
+            <h2>📱 设备矩阵</h2>
+            <table>
+                <thead>
+                    <tr>
+                        <th>路由</th>
+                        ${columns.map(column => `<th>${this.escapeHtml(column)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>${body}
+                </tbody>
+            </table>
+        </div>`;
+  }
+
+  /**
+   * 构建权限矩阵 HTML：行为路由，列为账号，单元格为预期与实际结果
+   * 预期无权限却可以访问（越权）与预期可访问却被拦截（误拦截）都标红
+   */
+  buildPermissionMatrixSection(matrix) {
+    if (!matrix) {
+      return '';
+    }
+
+    const cellHtml = cell => {
+      const text = this.escapeHtml(this.formatPermissionCell(cell));
+      if (!cell || cell.match === null) {
+        return `<td>${text}</td>`;
+      }
+      return `<td><span class="badge ${cell.match ? 'badge-success' : 'badge-danger'}">${text}</span></td>`;
+    };
+
+    const body = matrix.rows.map(row => `
+                <tr>
+                    <td title="${this.escapeHtml(row.url || '')}">${this.escapeHtml(row.text)}</td>
+                    ${matrix.accounts.map(account => cellHtml(row.cells[account])).join('')}
+                </tr>`).join('');
+
+    return `
+        <div class="section">
+            <h2>🔐 权限矩阵</h2>
+            <p>预期/实际（allow = 可以访问，deny = 无权限，error = 页面异常）；越权 ${matrix.leaked} 项，误拦截 ${matrix.blocked} 项</p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>路由</th>
+                        ${matrix.accounts.map(account => `<th>${this.escapeHtml(account)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>${body}
+                </tbody>
+            </table>
+        </div>`;
+  }
+
   /**
    * 构建路由详情 HTML
    */
   buildRouteSection(menus) {
+    const dimensions = this.getDimensions(menus);
     const items = menus.map((menu, index) => {
       const statusClass = menu.status === 'completed' ? 'success' : menu.status === 'failed' ? 'failed' : 'skipped';
       const statusText = menu.status === 'completed' ? '成功' : menu.status === 'failed' ? '失败' : '已跳过';
@@ -518,6 +808,11 @@ class ReportGenerator {
         details += `<div class="detail-item"><strong>📸 截图对比:</strong> ${comparisons}</div>`;
       }
 
+      if (Array.isArray(menu.attempts) && menu.attempts.length > 1) {
+        const attempts = menu.attempts.map(attempt => `<li>${this.escapeHtml(this.formatAttempt(attempt))}</li>`).join('');
+        details += `<div class="detail-item"><strong>🔁 尝试次数:</strong> ${menu.attempts.length}<ul style="margin: 4px 0 0 20px;">${attempts}</ul></div>`;
+      }
+
       if (menu.error) {
         details += `<div class="detail-item" style="color: #ef4444;"><strong>❌ 错误:</strong> ${this.escapeHtml(menu.error)}</div>`;
       }
@@ -525,7 +820,7 @@ class ReportGenerator {
       return `
         <div class="route-item ${statusClass}">
             <div class="route-header">
-                <div class="route-title">${index + 1}. ${this.escapeHtml(menu.text)}</div>
+                <div class="route-title">${index + 1}. ${this.escapeHtml(this.getMenuLabel(menu, dimensions))}</div>
                 <span class="route-status ${statusBadge}">${statusText}</span>
             </div>
             <div class="route-details">
@@ -0,0 +1,109 @@
+const { logger } = require('./logger');
+
+/**
+ * 页面操作词汇表，供 custom 截图场景与路由分组的 setup / teardown 共用
+ * - click: { target }（AI 定位）或 { selector }
+ * - wait: { duration }
+ * - scroll: { direction, scrollType, amount }
+ * - select: { selector, value }（原生 select）或 { target, option }（AI 点击下拉与选项）
+ * - localStorage: { key, value } 或 { items: { key: value } }
+ * - navigate: { url }（相对地址基于配置中的 url）
+ */
+const ACTION_TYPES = ['click', 'wait', 'scroll', 'select', 'localStorage', 'navigate'];
+
+/**
+ * 校验操作列表，返回错误信息
+ * @param {Array} actions - 操作列表
+ * @param {string} label - 错误信息中的位置描述
+ * @returns {Array<string>} 错误信息
+ */
+function validateActions(actions, label) {
+  if (!Array.isArray(actions)) {
+    return [`${label} must be an array of actions`];
+  }
+
+  const errors = [];
+  actions.forEach((action, index) => {
+    if (!action || typeof action !== 'object' || !ACTION_TYPES.includes(action.type)) {
+      errors.push(`${label}[${index}] type must be one of: ${ACTION_TYPES.join(', ')}`);
+      return;
+    }
+
+    if (action.type === 'click' && !action.target && !action.selector) {
+      errors.push(`${label}[${index}] click requires target or selector`);
+    } else if (action.type === 'select' && !(action.selector && action.value !== undefined) && !(action.target && action.option)) {
+      errors.push(`${label}[${index}] select requires selector + value or target + option`);
+    } else if (action.type === 'localStorage' && !action.items && !action.key) {
+      errors.push(`${label}[${index}] localStorage requires key/value or items`);
+    } else if (action.type === 'navigate' && !action.url) {
+      errors.push(`${label}[${index}] navigate requires url`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * 依次执行页面操作，任一操作失败即抛出
+ * @param {object} context - { page, agent, baseUrl, timeout }
+ * @param {Array} actions - 操作列表
+ */
+async function runActions({ page, agent, baseUrl, timeout }, actions = []) {
+  for (const action of actions) {
+    logger.debug(`执行操作: ${action.type}${action.target ? ` - ${action.target}` : action.selector ? ` - ${action.selector}` : ''}`);
+
+    switch (action.type) {
+      case 'click':
+        if (action.selector) {
+          await page.locator(action.selector).click();
+        } else {
+          await agent.aiTap(action.target);
+        }
+        break;
+
+      case 'wait':
+        await new Promise(resolve => setTimeout(resolve, action.duration || 1000));
+        break;
+
+      case 'scroll':
+        await agent.aiScroll({
+          direction: action.direction || 'down',
+          scrollType: action.scrollType || 'increment',
+          amount: action.amount || 500
+        });
+        break;
+
+      case 'select':
+        if (action.selector) {
+          await page.selectOption(action.selector, String(action.value));
+        } else {
+          await agent.aiTap(action.target);
+          await agent.aiTap(action.option);
+        }
+        break;
+
+      case 'localStorage': {
+        const items = action.items || { [action.key]: action.value };
+        await page.evaluate((entries) => {
+          Object.entries(entries).forEach(([key, value]) => {
+            localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+          });
+        }, items);
+        break;
+      }
+
+      case 'navigate':
+        await page.goto(new URL(action.url, baseUrl).toString(), { waitUntil: 'load', timeout });
+        break;
+
+      default:
+        throw new Error(`未知的操作类型: ${action.type}`);
+    }
+  }
+}
+
+module.exports = {
+  ACTION_TYPES,
+  validateActions,
+  runActions
+};
@@ -2,13 +2,25 @@ const fs = require('fs-extra');
 const path = require('path');
 const { logger } = require('./logger');
 const { applyEnvFromConfig } = require('./envConfig');
+const { SUPPORTED_BROWSERS, getDevicePreset } = require('./devicePresets');
+const { pluginRegistry } = require('./pluginRegistry');
+const { parseCron } = require('./cron');
+const { isValidShard } = require('./shard');
+const { validateActions } = require('./actions');
+const { DEFAULT_USERNAME_ENV, DEFAULT_PASSWORD_ENV } = require('../core/LoginFlow');
+const { ERROR_TYPES } = require('../core/ExceptionHandler');
+const { PERMISSION_VALUES } = require('./permissionMatrix');
+const { INJECTION_METHODS, SAME_SITE_VALUES } = require('./tokenInjector');
+const { PLACEHOLDER, restorePlaceholders } = require('./routeParameters');
 
 /**
  * Load configuration from file
  * @param {string} configPath - Path to configuration file
+ * @param {object} options - Load options
+ * @param {string} options.profile - Name of the profile to apply (falls back to config.profile)
  * @returns {object} Configuration object
  */
-async function loadConfig(configPath) {
+async function loadConfig(configPath, options = {}) {
   try {
     const fullPath = path.resolve(configPath);
     
@@ -28,6 +40,38 @@ async function loadConfig(configPath) {
     }
 
     logger.debug(`Loaded configuration from: ${fullPath}`);
+
+    // 合并所选环境 profile，并把相对路由 URL 解析为绝对地址
+    config = resolveProfile(config, options.profile);
+
+    // 认证状态文件的相对路径基于配置文件所在目录
+    if (isPlainObject(config.auth) && typeof config.auth.storageState === 'string') {
+      config.auth = { ...config.auth, storageState: path.resolve(path.dirname(fullPath), config.auth.storageState) };
+    }
+
+    // 路由数据集文件的相对路径基于配置文件所在目录
+    const resolveDataset = route => (
+      isPlainObject(route) && typeof route.dataset === 'string'
+        ? { ...route, dataset: path.resolve(path.dirname(fullPath), route.dataset) }
+        : route
+    );
+    if (Array.isArray(config.routes)) {
+      config.routes = config.routes.map(resolveDataset);
+    }
+    if (Array.isArray(config.groups)) {
+      config.groups = config.groups.map(group => (
+        isPlainObject(group) && Array.isArray(group.routes) ? { ...group, routes: group.routes.map(resolveDataset) } : group
+      ));
+    }
+
+    // 加载插件（相对路径基于配置文件所在目录），校验时即可识别插件声明的类型
+    if (Array.isArray(config.plugins)) {
+      const configDir = path.dirname(fullPath);
+      config.plugins = config.plugins.map(pluginPath => (
+        typeof pluginPath === 'string' && pluginPath.startsWith('.') ? path.resolve(configDir, pluginPath) : pluginPath
+      ));
+      pluginRegistry.loadPlugins(config.plugins, config, configDir);
+    }
     
     // 应用配置文件中的环境变量设置
     applyEnvFromConfig(config);
@@ -38,6 +82,276 @@ async function loadConfig(configPath) {
   }
 }
 
+/**
+ * Check whether a value is a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Deep merge override into base; arrays and scalars in override replace base values
+ * @param {object} base - Base object
+ * @param {object} override - Override object
+ * @returns {object} Merged object
+ */
+function deepMerge(base, override) {
+  const merged = { ...base };
+
+  Object.keys(override).forEach(key => {
+    if (isPlainObject(merged[key]) && isPlainObject(override[key])) {
+      merged[key] = deepMerge(merged[key], override[key]);
+    } else {
+      merged[key] = override[key];
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Resolve a route URL relative to the base url
+ * @param {string} routeUrl - Route URL (absolute, or relative such as "/video" or "#/video")
+ * @param {string} baseUrl - Base url of the active profile
+ * @returns {string} Absolute URL (or the original value when it cannot be resolved)
+ */
+function resolveRouteUrl(routeUrl, baseUrl) {
+  if (typeof routeUrl !== 'string' || /^[a-z][a-z0-9+.-]*:/i.test(routeUrl) || !baseUrl) {
+    return routeUrl;
+  }
+
+  try {
+    // 保留 {{name}} 参数占位符，展开路由时再替换
+    return restorePlaceholders(new URL(routeUrl, baseUrl).href);
+  } catch (error) {
+    return routeUrl;
+  }
+}
+
+/**
+ * Apply an environment profile on top of the base configuration
+ * - profile entries override base keys (nested objects are merged, arrays replaced)
+ * - relative route URLs are resolved against the merged url
+ * - the profiles section is removed so other environments' tokens are not carried along
+ * @param {object} config - Raw configuration (may contain profiles)
+ * @param {string} profileName - Profile to apply; defaults to config.profile
+ * @returns {object} Resolved configuration with `profile` set to the applied name
+ */
+function resolveProfile(config, profileName) {
+  const { profiles, ...base } = config;
+  const name = profileName || base.profile;
+  let resolved = base;
+
+  if (name) {
+    if (!isPlainObject(profiles) || !isPlainObject(profiles[name])) {
+      const available = isPlainObject(profiles) ? Object.keys(profiles) : [];
+      throw new Error(`Unknown profile "${name}"${available.length > 0 ? ` (available: ${available.join(', ')})` : ' (no profiles defined)'}`);
+    }
+
+    resolved = deepMerge(base, profiles[name]);
+    resolved.profile = name;
+    logger.debug(`Applied profile: ${name}`);
+  }
+
+  const resolveRoutes = routes => routes.map(route => (
+    route && typeof route === 'object' && route.url
+      ? { ...route, url: resolveRouteUrl(route.url, resolved.url) }
+      : route
+  ));
+
+  if (Array.isArray(resolved.routes)) {
+    resolved.routes = resolveRoutes(resolved.routes);
+  }
+
+  if (Array.isArray(resolved.groups)) {
+    resolved.groups = resolved.groups.map(group => {
+      if (!isPlainObject(group)) {
+        return group;
+      }
+      const resolvedGroup = { ...group };
+      if (group.url) {
+        resolvedGroup.url = resolveRouteUrl(group.url, resolved.url);
+      }
+      if (Array.isArray(group.routes)) {
+        resolvedGroup.routes = resolveRoutes(group.routes);
+      }
+      return resolvedGroup;
+    });
+  }
+
+  return resolved;
+}
+
+/**
+ * Validate a list of inline routes (top-level routes or a group's routes)
+ * @param {Array} routes - Routes to validate
+ * @param {Array<string>} errors - Error list to append to
+ */
+function validateRoutes(routes, errors) {
+  for (const route of routes) {
+    if (!route || typeof route !== 'object' || !route.menuText || !route.url) {
+      errors.push('each route item must include menuText and url');
+      break;
+    }
+
+    try {
+      // 参数占位符在展开时替换，校验时用示例值代替
+      new URL(route.url.replace(PLACEHOLDER, 'placeholder'));
+    } catch (error) {
+      errors.push(`route "${route.menuText}" url must be absolute or relative to the base url: ${route.url}`);
+      break;
+    }
+
+    if (route.dataset !== undefined && !(typeof route.dataset === 'string' && /\.(json|csv)$/i.test(route.dataset))
+      && !(Array.isArray(route.dataset) && route.dataset.every(isPlainObject))) {
+      errors.push(`route "${route.menuText}" dataset must be a .json / .csv file path or an array of objects`);
+      break;
+    }
+    
+    if (route.tags !== undefined && (!Array.isArray(route.tags) || route.tags.some(tag => typeof tag !== 'string'))) {
+      errors.push(`route "${route.menuText}" tags must be an array of strings`);
+      break;
+    }
+
+    if (route.excludeDevices !== undefined && (!Array.isArray(route.excludeDevices) || route.excludeDevices.some(name => typeof name !== 'string'))) {
+      errors.push(`route "${route.menuText}" excludeDevices must be an array of device preset names`);
+      break;
+    }
+    
+    // 验证 screenshotScenarios（如果存在）
+    if (route.screenshotScenarios !== undefined) {
+      if (!Array.isArray(route.screenshotScenarios)) {
+        errors.push(`route "${route.menuText}" screenshotScenarios must be an array`);
+        break;
+      }
+      
+      for (const scenario of route.screenshotScenarios) {
+        if (!scenario || typeof scenario !== 'object' || !scenario.type) {
+          errors.push(`route "${route.menuText}" screenshotScenarios must have type field`);
+          break;
+        }
+        
+        // 内置场景类型 + 已加载插件注册的场景类型
+        const validTypes = pluginRegistry.getScenarioTypes();
+        if (!validTypes.includes(scenario.type)) {
+          errors.push(`route "${route.menuText}" screenshotScenario type must be one of: ${validTypes.join(', ')}`);
+          break;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Validate auth.loginFlow
+ * @param {object} loginFlow - Login flow configuration
+ * @returns {Array<string>} Validation errors
+ */
+function validateLoginFlow(loginFlow) {
+  if (!isPlainObject(loginFlow)) {
+    return ['auth.loginFlow must be an object'];
+  }
+
+  const errors = [];
+
+  ['username', 'password'].forEach(field => {
+    if (!isPlainObject(loginFlow[field]) || !loginFlow[field].selector) {
+      errors.push(`auth.loginFlow.${field}.selector is required`);
+    }
+  });
+
+  const usernameEnv = loginFlow.username?.env || DEFAULT_USERNAME_ENV;
+  const passwordEnv = loginFlow.password?.env || DEFAULT_PASSWORD_ENV;
+  [usernameEnv, passwordEnv].forEach(name => {
+    if (!process.env[name]) {
+      errors.push(`auth.loginFlow requires environment variable ${name}`);
+    }
+  });
+
+  if (!loginFlow.submit) {
+    errors.push('auth.loginFlow.submit is required');
+  } else {
+    const submitActions = Array.isArray(loginFlow.submit) ? loginFlow.submit : [loginFlow.submit];
+    errors.push(...validateActions(submitActions, 'auth.loginFlow.submit'));
+    // 登录在创建 Midscene agent 之前执行，只能使用选择器定位
+    if (submitActions.some(action => action && (action.target || action.type === 'scroll'))) {
+      errors.push('auth.loginFlow.submit actions must use selector instead of AI target');
+    }
+  }
+
+  const success = loginFlow.success;
+  if (!isPlainObject(success) || (!success.urlPattern && !success.selector)) {
+    errors.push('auth.loginFlow.success requires urlPattern or selector');
+  } else if (success.urlPattern) {
+    try {
+      new RegExp(success.urlPattern);
+    } catch (error) {
+      errors.push(`auth.loginFlow.success.urlPattern is not a valid regular expression: ${success.urlPattern}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate token expiry detection and refresh settings (auth.expiry, auth.refreshCommand, auth.refreshEndpoint)
+ * @param {object} auth - Auth configuration
+ * @returns {Array<string>} Validation errors
+ */
+function validateTokenRefresh(auth) {
+  const errors = [];
+
+  if (auth.expiry !== undefined) {
+    if (!isPlainObject(auth.expiry)) {
+      errors.push('auth.expiry must be an object');
+    } else {
+      if (auth.expiry.loginUrlPattern !== undefined) {
+        try {
+          new RegExp(auth.expiry.loginUrlPattern);
+        } catch (error) {
+          errors.push(`auth.expiry.loginUrlPattern is not a valid regular expression: ${auth.expiry.loginUrlPattern}`);
+        }
+      }
+      if (auth.expiry.statusCodes !== undefined &&
+          (!Array.isArray(auth.expiry.statusCodes) || !auth.expiry.statusCodes.every(code => Number.isInteger(code)))) {
+        errors.push('auth.expiry.statusCodes must be an array of HTTP status codes');
+      }
+    }
+  }
+
+  if (auth.refreshCommand !== undefined && (typeof auth.refreshCommand !== 'string' || !auth.refreshCommand.trim())) {
+    errors.push('auth.refreshCommand must be a non-empty string');
+  }
+
+  if (auth.refreshEndpoint !== undefined) {
+    if (!isPlainObject(auth.refreshEndpoint) || !auth.refreshEndpoint.url) {
+      errors.push('auth.refreshEndpoint.url is required');
+    } else {
+      try {
+        new URL(auth.refreshEndpoint.url);
+      } catch (error) {
+        errors.push(`auth.refreshEndpoint.url is invalid: ${auth.refreshEndpoint.url}`);
+      }
+      const { timeout } = auth.refreshEndpoint;
+      if (timeout !== undefined && (typeof timeout !== 'number' || !Number.isFinite(timeout) || timeout <= 0)) {
+        errors.push('auth.refreshEndpoint.timeout must be a positive number of milliseconds');
+      }
+    }
+  }
+
+  if (auth.refreshCommand !== undefined && auth.refreshEndpoint !== undefined) {
+    errors.push('auth.refreshCommand and auth.refreshEndpoint cannot be used together');
+  }
+
+  if (auth.maxRefreshes !== undefined && (!Number.isInteger(auth.maxRefreshes) || auth.maxRefreshes < 1)) {
+    errors.push('auth.maxRefreshes must be a positive integer');
+  }
+
+  return errors;
+}
+
 /**
  * Validate configuration object
  * @param {object} config - Configuration to validate
@@ -46,13 +360,77 @@ async function loadConfig(configPath) {
 function validateConfig(config) {
   const errors = [];
 
+  // Profiles (normally already merged and removed by loadConfig)
+  if (config.profiles !== undefined) {
+    if (!isPlainObject(config.profiles)) {
+      errors.push('profiles must be an object keyed by profile name');
+    } else {
+      Object.keys(config.profiles).forEach(name => {
+        if (!isPlainObject(config.profiles[name])) {
+          errors.push(`profiles.${name} must be an object`);
+        }
+      });
+    }
+  }
+
+  if (config.plugins !== undefined && (!Array.isArray(config.plugins) || config.plugins.some(plugin => typeof plugin !== 'string'))) {
+    errors.push('plugins must be an array of module paths');
+  }
+
+  if (config.shard !== undefined && config.shard !== null && !isValidShard(config.shard)) {
+    errors.push('shard must be { index, total } with 1 <= index <= total');
+  }
+
+  if (config.schedule !== undefined) {
+    if (!isPlainObject(config.schedule)) {
+      errors.push('schedule must be an object');
+    } else {
+      if (config.schedule.cron !== undefined) {
+        try {
+          parseCron(config.schedule.cron);
+        } catch (error) {
+          errors.push(`schedule.cron is invalid: ${config.schedule.cron}`);
+        }
+      }
+      if (config.schedule.keep !== undefined && !/^(\d+|\d+[hdw])$/i.test(String(config.schedule.keep))) {
+        errors.push('schedule.keep must be a retention rule like 30d, 12h, 2w or a session count');
+      }
+      if (config.schedule.historySize !== undefined && (!Number.isInteger(config.schedule.historySize) || config.schedule.historySize < 1)) {
+        errors.push('schedule.historySize must be a positive integer');
+      }
+    }
+  }
+
+  if (config.profile !== undefined && typeof config.profile !== 'string') {
+    errors.push('profile must be a string');
+  }
+
   // Required fields
   if (!config.url) {
     errors.push('URL is required');
   }
 
-  if (!config.token && !process.env.ACCESS_TOKEN) {
-    errors.push('Access token is required (via --token option or ACCESS_TOKEN environment variable)');
+  // 配置了表单登录流程、保存的认证状态或多账号时令牌可选
+  const loginFlow = config.auth?.loginFlow;
+  const storageState = config.auth?.storageState;
+  if (!config.token && !process.env.ACCESS_TOKEN && !loginFlow && !storageState && config.accounts === undefined) {
+    errors.push('Access token is required (via --token option or ACCESS_TOKEN environment variable) unless auth.loginFlow, auth.storageState or accounts is configured');
+  }
+
+  if (config.auth !== undefined && !isPlainObject(config.auth)) {
+    errors.push('auth must be an object');
+  }
+
+  if (storageState !== undefined && (typeof storageState !== 'string' || storageState.length === 0)) {
+    errors.push('auth.storageState must be a file path');
+  }
+
+  if (loginFlow !== undefined) {
+    errors.push(...validateLoginFlow(loginFlow));
+  }
+
+  if (isPlainObject(config.auth)) {
+    errors.push(...validateTokenRefresh(config.auth));
   }
 
   // URL validation
@@ -73,12 +451,86 @@ function validateConfig(config) {
     errors.push('Retry must be a number between 0 and 5');
   }
 
+  if (config.concurrency !== undefined && (isNaN(config.concurrency) || config.concurrency < 1 || config.concurrency > 16)) {
+    errors.push('Concurrency must be a number between 1 and 16');
+  }
+
+  // Browser engines validation
+  if (config.browsers !== undefined) {
+    if (!Array.isArray(config.browsers) || config.browsers.length === 0) {
+      errors.push('browsers must be a non-empty array');
+    } else {
+      config.browsers.filter(name => !SUPPORTED_BROWSERS.includes(name)).forEach(name => {
+        errors.push(`browsers contains unsupported browser "${name}" (valid: ${SUPPORTED_BROWSERS.join(', ')})`);
+      });
+    }
+  }
+
+  // Retry policy validation
+  if (config.retryPolicy !== undefined) {
+    const policy = config.retryPolicy;
+    if (typeof policy !== 'object' || policy === null || Array.isArray(policy)) {
+      errors.push('retryPolicy must be an object');
+    } else {
+      if (policy.retries !== undefined && (isNaN(policy.retries) || policy.retries < 0 || policy.retries > 5)) {
+        errors.push('retryPolicy.retries must be a number between 0 and 5');
+      }
+
+      const validBackoffs = ['fixed', 'linear', 'exponential'];
+      if (policy.backoff !== undefined && !validBackoffs.includes(policy.backoff)) {
+        errors.push(`retryPolicy.backoff must be one of: ${validBackoffs.join(', ')}`);
+      }
+
+      ['delay', 'maxDelay'].forEach(key => {
+        if (policy[key] !== undefined && (isNaN(policy[key]) || policy[key] < 0)) {
+          errors.push(`retryPolicy.${key} must be a non-negative number`);
+        }
+      });
+
+      if (policy.retryOn !== undefined) {
+        if (!Array.isArray(policy.retryOn)) {
+          errors.push('retryPolicy.retryOn must be an array');
+        } else {
+          policy.retryOn.filter(type => !ERROR_TYPES.includes(type)).forEach(type => {
+            errors.push(`retryPolicy.retryOn contains unknown error type "${type}" (valid: ${ERROR_TYPES.join(', ')})`);
+          });
+        }
+      }
+    }
+  }
+
+  // Quality gates validation
+  if (config.gates !== undefined) {
+    const gates = config.gates;
+    if (typeof gates !== 'object' || gates === null || Array.isArray(gates)) {
+      errors.push('gates must be an object');
+    } else {
+      if (gates.maxFailures !== undefined && (!Number.isInteger(gates.maxFailures) || gates.maxFailures < 0)) {
+        errors.push('gates.maxFailures must be a non-negative integer');
+      }
+
+      if (gates.minSuccessRate !== undefined && (typeof gates.minSuccessRate !== 'number' || isNaN(gates.minSuccessRate) || gates.minSuccessRate < 0 || gates.minSuccessRate > 100)) {
+        errors.push('gates.minSuccessRate must be a number between 0 and 100');
+      }
+
+      ['failOnVisualDiff', 'failOnPerformance'].forEach(key => {
+        if (gates[key] !== undefined && typeof gates[key] !== 'boolean') {
+          errors.push(`gates.${key} must be a boolean`);
+        }
+      });
+    }
+  }
+
   // Token method validation
-  const validTokenMethods = ['cookie', 'localStorage', 'header'];
+  const validTokenMethods = INJECTION_METHODS;
   if (config.tokenMethod && !validTokenMethods.includes(config.tokenMethod)) {
     errors.push(`Token method must be one of: ${validTokenMethods.join(', ')}`);
   }
 
+  if (config.tokenInjection !== undefined) {
+    errors.push(...validateTokenInjection(config.tokenInjection));
+  }
+
   // Viewport validation
   if (config.viewport !== undefined) {
     if (typeof config.viewport !== 'object' || config.viewport === null) {
@@ -112,6 +564,33 @@ function validateConfig(config) {
           errors.push('viewport.height must be a number between 1 and 10000');
         }
       }
+
+      // 设备矩阵：每个路由在列出的所有设备上执行
+      if (config.viewport.matrix !== undefined) {
+        if (!Array.isArray(config.viewport.matrix) || config.viewport.matrix.length === 0) {
+          errors.push('viewport.matrix must be a non-empty array of device preset names');
+        } else {
+          config.viewport.matrix.filter(name => !getDevicePreset(name)).forEach(name => {
+            errors.push(`viewport.matrix contains unknown device preset "${name}"`);
+          });
+        }
+      }
+    }
+  }
+
+  // Custom assertion rules validation
+  const customRules = config.pageAssertions?.customRules;
+  if (customRules !== undefined) {
+    if (!Array.isArray(customRules)) {
+      errors.push('pageAssertions.customRules must be an array');
+    } else {
+      // 内置规则类型 + 已加载插件注册的规则类型
+      const validRuleTypes = pluginRegistry.getRuleTypes();
+      customRules.forEach((rule, index) => {
+        if (!rule || typeof rule !== 'object' || !validRuleTypes.includes(rule.type)) {
+          errors.push(`pageAssertions.customRules[${index}] type must be one of: ${validRuleTypes.join(', ')}`);
+        }
+      });
     }
   }
 
@@ -138,47 +617,303 @@ function validateConfig(config) {
     }
   }
 
+  // Route filter validation
+  if (config.filter !== undefined) {
+    if (typeof config.filter !== 'object' || config.filter === null) {
+      errors.push('filter must be an object');
+    } else if (config.filter.grep) {
+      try {
+        new RegExp(config.filter.grep);
+      } catch (error) {
+        errors.push(`filter.grep is not a valid regular expression: ${config.filter.grep}`);
+      }
+    }
+  }
+
+  // Link crawler validation
+  if (config.crawl !== undefined) {
+    errors.push(...validateCrawl(config.crawl));
+  }
+
+  // Route discovery validation
+  if (config.discover !== undefined) {
+    if (!isPlainObject(config.discover)) {
+      errors.push('discover must be an object');
+    } else {
+      if (config.discover.expression !== undefined && (typeof config.discover.expression !== 'string' || !config.discover.expression)) {
+        errors.push('discover.expression must be a non-empty string');
+      }
+      if (config.discover.includeDynamic !== undefined && typeof config.discover.includeDynamic !== 'boolean') {
+        errors.push('discover.includeDynamic must be a boolean');
+      }
+      if (config.discover.menuSelector !== undefined && (typeof config.discover.menuSelector !== 'string' || !config.discover.menuSelector)) {
+        errors.push('discover.menuSelector must be a non-empty string');
+      }
+    }
+  }
+
+  // Route parameter variables validation
+  if (config.variables !== undefined) {
+    if (!isPlainObject(config.variables)) {
+      errors.push('variables must be an object');
+    } else {
+      Object.entries(config.variables)
+        .filter(([, value]) => typeof value !== 'string' && typeof value !== 'number')
+        .forEach(([name]) => errors.push(`variables.${name} must be a string or number`));
+    }
+  }
+
+  // Multi-account (permission matrix) validation
+  if (config.accounts !== undefined) {
+    errors.push(...validateAccounts(config, validTokenMethods));
+  }
+
   // Optional inline routes validation
   if (config.routes !== undefined) {
     if (!Array.isArray(config.routes)) {
       errors.push('routes must be an array when provided');
     } else {
-      for (const route of config.routes) {
-        if (!route || typeof route !== 'object' || !route.menuText || !route.url) {
-          errors.push('each route item must include menuText and url');
-          break;
+      validateRoutes(config.routes, errors);
+    }
+  }
+
+  // Route groups validation
+  if (config.groups !== undefined) {
+    if (!Array.isArray(config.groups)) {
+      errors.push('groups must be an array when provided');
+    } else {
+      const groupNames = new Set();
+      config.groups.forEach((group, index) => {
+        if (!isPlainObject(group) || !group.name || typeof group.name !== 'string') {
+          errors.push(`groups[${index}] must be an object with a name`);
+          return;
         }
-        
-        // 验证 screenshotScenarios（如果存在）
-        if (route.screenshotScenarios !== undefined) {
-          if (!Array.isArray(route.screenshotScenarios)) {
-            errors.push(`route "${route.menuText}" screenshotScenarios must be an array`);
-            break;
+        if (groupNames.has(group.name)) {
+          errors.push(`group name "${group.name}" is duplicated`);
+        }
+        groupNames.add(group.name);
+
+        if (group.url !== undefined) {
+          try {
+            new URL(group.url);
+          } catch (error) {
+            errors.push(`group "${group.name}" url must be absolute or relative to the base url: ${group.url}`);
           }
-          
-          for (const scenario of route.screenshotScenarios) {
-            if (!scenario || typeof scenario !== 'object' || !scenario.type) {
-              errors.push(`route "${route.menuText}" screenshotScenarios must have type field`);
-              break;
-            }
-            
-            const validTypes = ['default', 'tab', 'modal', 'dialog', 'dropdown', 'custom'];
-            if (!validTypes.includes(scenario.type)) {
-              errors.push(`route "${route.menuText}" screenshotScenario type must be one of: ${validTypes.join(', ')}`);
-              break;
-            }
+        }
+        ['setup', 'teardown'].forEach(key => {
+          if (group[key] !== undefined) {
+            errors.push(...validateActions(group[key], `group "${group.name}" ${key}`));
           }
+        });
+        if (!Array.isArray(group.routes)) {
+          errors.push(`group "${group.name}" routes must be an array`);
+        } else {
+          validateRoutes(group.routes, errors);
         }
-      }
+      });
     }
   }
 
+  // 路由的权限预期只能引用已配置的账号
+  const accountNames = Array.isArray(config.accounts) ? config.accounts.map(account => account?.name) : [];
+  const inlineRoutes = [
+    ...(Array.isArray(config.routes) ? config.routes : []),
+    ...(Array.isArray(config.groups) ? config.groups.flatMap(group => (Array.isArray(group?.routes) ? group.routes : [])) : [])
+  ];
+  inlineRoutes.forEach(route => {
+    if (!route || route.expect === undefined) {
+      return;
+    }
+    if (!isPlainObject(route.expect)) {
+      errors.push(`route "${route.menuText}" expect must be an object of account name to ${PERMISSION_VALUES.join(' / ')}`);
+      return;
+    }
+    Object.entries(route.expect).forEach(([name, value]) => {
+      if (!accountNames.includes(name)) {
+        errors.push(`route "${route.menuText}" expect refers to unknown account "${name}"`);
+      }
+      if (!PERMISSION_VALUES.includes(value)) {
+        errors.push(`route "${route.menuText}" expect.${name} must be one of: ${PERMISSION_VALUES.join(', ')}`);
+      }
+    });
+  });
+
   return {
     isValid: errors.length === 0,
     errors
   };
 }
 
+/**
+ * Validate tokenInjection (method / name fallbacks and additional items)
+ * @param {object} tokenInjection - Token injection configuration
+ * @returns {Array<string>} Validation errors
+ */
+function validateTokenInjection(tokenInjection) {
+  if (!isPlainObject(tokenInjection)) {
+    return ['tokenInjection must be an object'];
+  }
+
+  const errors = [];
+
+  if (tokenInjection.method !== undefined && !INJECTION_METHODS.includes(tokenInjection.method)) {
+    errors.push(`tokenInjection.method must be one of: ${INJECTION_METHODS.join(', ')}`);
+  }
+
+  if (tokenInjection.items !== undefined) {
+    if (!Array.isArray(tokenInjection.items)) {
+      errors.push('tokenInjection.items must be an array');
+    } else {
+      tokenInjection.items.forEach((item, index) => {
+        const label = `tokenInjection.items[${index}]`;
+        if (!isPlainObject(item)) {
+          errors.push(`${label} must be an object`);
+          return;
+        }
+        if (!INJECTION_METHODS.includes(item.method)) {
+          errors.push(`${label}.method must be one of: ${INJECTION_METHODS.join(', ')}`);
+        }
+        if (!item.name || typeof item.name !== 'string') {
+          errors.push(`${label}.name is required`);
+        }
+        if (item.value !== undefined && typeof item.value !== 'string') {
+          errors.push(`${label}.value must be a string`);
+        }
+        if (item.headerTemplate !== undefined && (item.method !== 'header' || typeof item.headerTemplate !== 'string')) {
+          errors.push(`${label}.headerTemplate is only supported for header items and must be a string`);
+        }
+        if ((item.domain !== undefined || item.path !== undefined) && item.method !== 'cookie') {
+          errors.push(`${label}.domain and path are only supported for cookie items`);
+        }
+      });
+    }
+  }
+
+  if (tokenInjection.cookie !== undefined) {
+    errors.push(...validateCookieOptions(tokenInjection.cookie));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate tokenInjection.cookie options
+ * @param {object} cookie - Cookie options
+ * @returns {Array<string>} Validation errors
+ */
+function validateCookieOptions(cookie) {
+  if (!isPlainObject(cookie)) {
+    return ['tokenInjection.cookie must be an object'];
+  }
+
+  const errors = [];
+
+  ['domain', 'path'].forEach(key => {
+    if (cookie[key] !== undefined && (typeof cookie[key] !== 'string' || !cookie[key])) {
+      errors.push(`tokenInjection.cookie.${key} must be a non-empty string`);
+    }
+  });
+  ['httpOnly', 'secure'].forEach(key => {
+    if (cookie[key] !== undefined && typeof cookie[key] !== 'boolean') {
+      errors.push(`tokenInjection.cookie.${key} must be a boolean`);
+    }
+  });
+  if (cookie.sameSite !== undefined && !SAME_SITE_VALUES.includes(cookie.sameSite)) {
+    errors.push(`tokenInjection.cookie.sameSite must be one of: ${SAME_SITE_VALUES.join(', ')}`);
+  }
+  // 浏览器会拒绝 SameSite=None 且非 Secure 的 cookie
+  if (cookie.sameSite === 'None' && cookie.secure === false) {
+    errors.push('tokenInjection.cookie.sameSite "None" requires secure to be true');
+  }
+  if (cookie.expires !== undefined && (typeof cookie.expires !== 'number' || cookie.expires <= 0)) {
+    errors.push('tokenInjection.cookie.expires must be a positive number of seconds');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate crawl options used by `routes crawl`
+ * @param {object} crawl - Crawl options
+ * @returns {Array<string>} Validation errors
+ */
+function validateCrawl(crawl) {
+  if (!isPlainObject(crawl)) {
+    return ['crawl must be an object'];
+  }
+
+  const errors = [];
+
+  ['depth', 'maxPages'].forEach(key => {
+    if (crawl[key] !== undefined && (!Number.isInteger(crawl[key]) || crawl[key] < 1)) {
+      errors.push(`crawl.${key} must be a positive integer`);
+    }
+  });
+  if (crawl.sameOrigin !== undefined && typeof crawl.sameOrigin !== 'boolean') {
+    errors.push('crawl.sameOrigin must be a boolean');
+  }
+  ['include', 'exclude'].forEach(key => {
+    if (crawl[key] === undefined) {
+      return;
+    }
+    if (!Array.isArray(crawl[key]) || crawl[key].some(pattern => typeof pattern !== 'string')) {
+      errors.push(`crawl.${key} must be an array of regular expressions`);
+      return;
+    }
+    crawl[key].forEach(pattern => {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        errors.push(`crawl.${key} contains an invalid regular expression: ${pattern}`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Validate accounts used for permission matrix testing
+ * @param {object} config - Configuration object
+ * @param {Array<string>} validTokenMethods - Supported token injection methods
+ * @returns {Array<string>} Validation errors
+ */
+function validateAccounts(config, validTokenMethods) {
+  if (!Array.isArray(config.accounts) || config.accounts.length === 0) {
+    return ['accounts must be a non-empty array'];
+  }
+
+  const errors = [];
+  const names = new Set();
+
+  config.accounts.forEach((account, index) => {
+    if (!isPlainObject(account) || !account.name || typeof account.name !== 'string') {
+      errors.push(`accounts[${index}] must be an object with a name`);
+      return;
+    }
+    if (names.has(account.name)) {
+      errors.push(`account name "${account.name}" is duplicated`);
+    }
+    names.add(account.name);
+
+    if (!account.token) {
+      errors.push(`account "${account.name}" token is required`);
+    }
+    if (account.tokenMethod && !validTokenMethods.includes(account.tokenMethod)) {
+      errors.push(`account "${account.name}" tokenMethod must be one of: ${validTokenMethods.join(', ')}`);
+    }
+  });
+
+  // 每个账号使用自己的令牌，不能与共享的认证状态或全局令牌刷新同时使用
+  ['loginFlow', 'storageState', 'refreshCommand', 'refreshEndpoint'].forEach(key => {
+    if (config.auth?.[key] !== undefined) {
+      errors.push(`accounts cannot be combined with auth.${key}`);
+    }
+  });
+
+  return errors;
+}
+
 /**
  * Get default configuration
  * @returns {object} Default configuration
@@ -189,6 +924,7 @@ function getDefaultConfig() {
     headless: true,
     output: './menu-test-results',
     retry: 2,
+    concurrency: 1,                    // 并发执行的浏览器 context 数量
     tokenMethod: 'cookie',
     tokenName: 'access_token',
     screenshots: false,
@@ -324,6 +1060,7 @@ function mergeWithDefaults(config) {
 
 module.exports = {
   loadConfig,
+  resolveProfile,
   validateConfig,
   getDefaultConfig,
   mergeWithDefaults
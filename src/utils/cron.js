@@ -0,0 +1,132 @@
+/**
+ * 五段式 cron 表达式解析（分 时 日 月 周）
+ * 支持 *、数字、范围 a-b、列表 a,b 与步长（如 0-30/10，或星号加 /15），周日可写作 0 或 7
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+/**
+ * 解析单个字段
+ * @param {string} value - 字段文本
+ * @param {object} field - 字段定义
+ * @returns {Set<number>} 允许的取值
+ */
+function parseField(value, field) {
+  const values = new Set();
+
+  value.split(',').forEach(part => {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`无效的 cron 字段 ${field.name}: ${value}`);
+    }
+
+    let [start, end] = match[1] === '*'
+      ? [field.min, field.max]
+      : match[1].split('-').map(n => parseInt(n, 10));
+    if (end === undefined) {
+      // 单个数字带步长（如 5/15）表示从该值开始到最大值
+      end = match[2] ? field.max : start;
+    }
+    const step = match[2] ? parseInt(match[2], 10) : 1;
+
+    if (start < field.min || end > field.max || start > end || step < 1) {
+      throw new Error(`cron 字段 ${field.name} 超出范围 ${field.min}-${field.max}: ${value}`);
+    }
+
+    for (let n = start; n <= end; n += step) {
+      values.add(n);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * 解析 cron 表达式
+ * @param {string} expression - 如 "0 8 * * *"
+ * @returns {object} 各字段允许的取值集合
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`cron 表达式需要 5 个字段（分 时 日 月 周）: ${expression}`);
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field);
+  });
+
+  // 周日 7 与 0 等价
+  if (schedule.dayOfWeek.has(7)) {
+    schedule.dayOfWeek.add(0);
+  }
+  schedule.dayOfMonthRestricted = parts[2] !== '*';
+  schedule.dayOfWeekRestricted = parts[4] !== '*';
+
+  return schedule;
+}
+
+/**
+ * 判断日期是否命中日 / 周字段（两者都受限时满足任一即可，与标准 cron 一致）
+ */
+function matchesDay(schedule, date) {
+  const domMatch = schedule.dayOfMonth.has(date.getDate());
+  const dowMatch = schedule.dayOfWeek.has(date.getDay());
+
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * 计算下一次触发时间（本地时区）
+ * @param {string} expression - cron 表达式
+ * @param {Date} from - 起始时间（不含）
+ * @returns {Date} 下一次触发时间
+ */
+function getNextRun(expression, from = new Date()) {
+  const schedule = parseCron(expression);
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // 最多向后查找 5 年，避免 2 月 30 日之类永远不会命中的表达式造成死循环
+  const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!schedule.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  throw new Error(`cron 表达式没有可触发的时间: ${expression}`);
+}
+
+module.exports = {
+  parseCron,
+  getNextRun
+};
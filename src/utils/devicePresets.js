@@ -3,6 +3,11 @@
  * 基于 Playwright 内置设备描述符
  */
 
+/**
+ * 支持的浏览器引擎（config.browsers / test --browsers）
+ */
+const SUPPORTED_BROWSERS = ['chromium', 'firefox', 'webkit'];
+
 const devicePresets = {
   // 桌面设备
   'Desktop Chrome': {
@@ -71,6 +76,14 @@ const devicePresets = {
     isMobile: true,
     hasTouch: true
   },
+  'iPhone 12': {
+    name: 'iPhone 12',
+    viewport: { width: 390, height: 844 },
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_0 like Mac OS X) AppleWebKit/605.1.15',
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true
+  },
   'iPhone 12 Pro': {
     name: 'iPhone 12 Pro',
     viewport: { width: 390, height: 844 },
@@ -274,11 +287,31 @@ function parseViewportConfig(viewportConfig) {
   };
 }
 
+/**
+ * 获取设备矩阵
+ * @param {Object} viewportConfig - viewport 配置（matrix 为预设名称数组）
+ * @returns {Array<string>} 设备预设名称列表，未配置矩阵时为空数组
+ */
+function getViewportMatrix(viewportConfig) {
+  if (!viewportConfig || !Array.isArray(viewportConfig.matrix)) {
+    return [];
+  }
+
+  return [...new Set(viewportConfig.matrix)].map(name => {
+    if (!getDevicePreset(name)) {
+      throw new Error(`未知的设备预设: ${name}`);
+    }
+    return name;
+  });
+}
+
 module.exports = {
+  SUPPORTED_BROWSERS,
   devicePresets,
   getDevicePresets,
   getDevicePresetsByType,
   getDevicePreset,
+  getViewportMatrix,
   parseViewportConfig
 };
 
@@ -0,0 +1,244 @@
+const { logger } = require('./logger');
+const { parseViewportConfig } = require('./devicePresets');
+const { pluginRegistry } = require('./pluginRegistry');
+const { formatParameters, getDisplayUrl } = require('./routeParameters');
+
+/**
+ * 执行计划（test --dry-run）
+ * 只根据配置与路由推算将要执行的内容，不启动浏览器、不调用模型
+ */
+
+/**
+ * 每个内置截图场景大致的 AI 调用次数（含场景结束后的页面稳定等待）
+ */
+const SCENARIO_AI_CALLS = {
+  default: () => 1,
+  tab: scenario => (scenario.selector ? 1 : 2),
+  modal: () => 3,
+  dialog: () => 3,
+  dropdown: scenario => (scenario.trigger ? 3 : 2),
+  custom: scenario => (scenario.actions || []).filter(action => action.type === 'click' || action.type === 'scroll').length + 1
+};
+
+/**
+ * 估算单个截图场景的 AI 调用次数
+ * @param {object} scenario - 场景配置
+ * @returns {number|null} 调用次数，插件场景无法估算时为 null
+ */
+function estimateScenarioAiCalls(scenario) {
+  const estimate = SCENARIO_AI_CALLS[scenario.type];
+  return estimate ? estimate(scenario) : null;
+}
+
+/**
+ * 汇总每个路由都会执行的检查项
+ * @param {object} config - 配置对象
+ * @returns {Array<object>} 检查项 { name, detail, aiCalls }
+ */
+function describeChecks(config) {
+  const checks = [
+    { name: '页面加载与稳定等待', detail: 'goto + aiWaitFor / aiBoolean', aiCalls: 2 }
+  ];
+
+  const assertions = config.pageAssertions || {};
+  if (assertions.enabled) {
+    const textCheck = assertions.midsceneTextCheck || {};
+    const aiChecks = textCheck.enabled === false ? [] : (textCheck.checks || []);
+    if (aiChecks.length > 0) {
+      checks.push({
+        name: 'AI 文本检测',
+        detail: aiChecks.map(check => check.name).join('、'),
+        aiCalls: aiChecks.length
+      });
+    }
+    if ((assertions.customRules || []).length > 0) {
+      checks.push({
+        name: '自定义断言规则',
+        detail: assertions.customRules.map(rule => rule.name || rule.type).join('、'),
+        aiCalls: 0
+      });
+    }
+  }
+
+  if (config.performance?.enabled !== false) {
+    checks.push({
+      name: '性能监控',
+      detail: '每个浏览器 / 设备的第一个路由',
+      aiCalls: 0
+    });
+  }
+
+  if (config.screenshots) {
+    checks.push({
+      name: '截图',
+      detail: config.screenshotComparison?.enabled
+        ? `与基线对比（阈值 ${config.screenshotComparison.threshold ?? '默认'}）`
+        : '仅保存截图',
+      aiCalls: 0
+    });
+  }
+
+  return checks;
+}
+
+/**
+ * 生成执行计划
+ * @param {object} config - 已加载并校验的配置
+ * @param {Array} routes - 与菜单项一一对应的路由（MenuTester.buildRouteMenus 的结果）
+ * @param {Array} menus - 会话菜单项
+ * @returns {object} 执行计划
+ */
+function buildExecutionPlan(config, routes, menus) {
+  const checks = describeChecks(config);
+  const perRunAiCalls = checks.reduce((sum, check) => sum + check.aiCalls, 0);
+  const retries = config.retryPolicy?.retries ?? config.retry ?? 2;
+  const autoDiscoverTabs = config.autoDiscoverTabs !== false;
+
+  // 按路由聚合各浏览器 / 设备上的运行
+  const routePlans = new Map();
+  menus.forEach((menu, index) => {
+    const route = routes[index];
+    const key = `${route.menuText}|${getDisplayUrl(route)}`;
+
+    if (!routePlans.has(key)) {
+      const scenarios = config.screenshots
+        ? (route.screenshotScenarios || []).map(scenario => ({
+          type: scenario.type,
+          description: scenario.description || null,
+          plugin: !SCENARIO_AI_CALLS[scenario.type] && Boolean(pluginRegistry.getScenarioHandler(scenario.type)),
+          aiCalls: estimateScenarioAiCalls(scenario)
+        }))
+        : [];
+
+      // 未配置场景时默认截图，开启 autoDiscoverTabs 还会调用一次 AI 识别 tab
+      const scenarioAiCalls = config.screenshots && scenarios.length === 0
+        ? (autoDiscoverTabs ? 1 : 0)
+        : scenarios.reduce((sum, scenario) => sum + (scenario.aiCalls || 0), 0);
+
+      routePlans.set(key, {
+        menuText: route.menuText,
+        url: getDisplayUrl(route),
+        tags: route.tags || [],
+        group: route.group || null,
+        parameters: route.parameters || null,
+        scenarios,
+        targets: [],
+        aiCallsPerRun: perRunAiCalls + scenarioAiCalls
+      });
+    }
+
+    const plan = routePlans.get(key);
+    plan.targets.push([menu.browser, menu.device].filter(Boolean).join('/'));
+  });
+
+  const routeList = [...routePlans.values()].map(plan => ({
+    ...plan,
+    aiCalls: plan.aiCallsPerRun * plan.targets.length
+  }));
+  const estimatedAiCalls = routeList.reduce((sum, plan) => sum + plan.aiCalls, 0);
+
+  let viewport;
+  try {
+    viewport = parseViewportConfig(config.viewport).viewport;
+  } catch (error) {
+    viewport = null;
+  }
+
+  return {
+    profile: config.profile || null,
+    url: config.url,
+    browsers: [...new Set(menus.map(menu => menu.browser))],
+    devices: [...new Set(menus.map(menu => menu.device).filter(Boolean))],
+    accounts: [...new Set(menus.map(menu => menu.account).filter(Boolean))],
+    viewport,
+    viewportPreset: config.viewport?.preset || (config.viewport?.custom ? 'custom' : null),
+    concurrency: config.concurrency || 1,
+    tokenMethod: config.tokenMethod || 'cookie',
+    tokenName: config.tokenName || 'accessToken',
+    storageState: config.auth?.storageState || null,
+    loginUrl: !config.auth?.storageState && config.auth?.loginFlow ? new URL(config.auth.loginFlow.url || '/', config.url).toString() : null,
+    retries,
+    checks,
+    groups: (config.groups || []).map(group => ({
+      name: group.name,
+      routes: routeList.filter(route => route.group === group.name).length,
+      setup: (group.setup || []).length,
+      teardown: (group.teardown || []).length
+    })),
+    routes: routeList,
+    totals: {
+      routes: routeList.length,
+      runs: menus.length,
+      estimatedAiCalls,
+      // 每次重试都会重新导航与校验，截图只在最终结果上执行
+      maxAiCalls: estimatedAiCalls + menus.length * perRunAiCalls * retries,
+      unestimatedScenarios: routeList.reduce((sum, plan) => sum + plan.scenarios.filter(s => s.aiCalls === null).length, 0)
+    }
+  };
+}
+
+/**
+ * 在控制台打印执行计划
+ * @param {object} plan - buildExecutionPlan 的结果
+ */
+function printExecutionPlan(plan) {
+  logger.info('\n=== 执行计划（dry-run，不会启动浏览器）===');
+  logger.info(`目标地址: ${plan.url}${plan.profile ? `（环境: ${plan.profile}）` : ''}`);
+  logger.info(`浏览器: ${plan.browsers.join(', ')}`);
+  if (plan.accounts.length > 0) {
+    logger.info(`账号: ${plan.accounts.join(', ')}（每个账号执行一遍路由列表）`);
+  }
+  if (plan.devices.length > 0) {
+    logger.info(`设备矩阵: ${plan.devices.join(', ')}`);
+  } else {
+    const size = plan.viewport ? `${plan.viewport.width}x${plan.viewport.height}` : '未知';
+    logger.info(`视口: ${plan.viewportPreset ? `${plan.viewportPreset} ` : ''}(${size})`);
+  }
+  if (plan.storageState) {
+    logger.info(`认证状态: ${plan.storageState}（不注入令牌）`);
+  } else {
+    if (plan.loginUrl) {
+      logger.info(`表单登录: ${plan.loginUrl}（运行前登录一次，所有路由复用认证状态）`);
+    }
+    logger.info(`令牌注入: ${plan.tokenMethod}（${plan.tokenName}）`);
+  }
+  logger.info(`并发数: ${plan.concurrency}  失败重试: ${plan.retries} 次`);
+
+  logger.info('\n检查项（每个路由）:');
+  plan.checks.forEach(check => {
+    logger.info(`  - ${check.name}: ${check.detail}${check.aiCalls > 0 ? `（约 ${check.aiCalls} 次 AI 调用）` : ''}`);
+  });
+
+  if (plan.groups.length > 0) {
+    logger.info('\n路由分组:');
+    plan.groups.forEach(group => {
+      logger.info(`  📁 ${group.name}: ${group.routes} 个路由，setup ${group.setup} 个操作，teardown ${group.teardown} 个操作`);
+    });
+  }
+
+  logger.info(`\n路由 (${plan.totals.routes} 个，共 ${plan.totals.runs} 次运行):`);
+  plan.routes.forEach((route, index) => {
+    const tags = route.tags.length > 0 ? ` [${route.tags.join(', ')}]` : '';
+    const group = route.group ? ` 📁 ${route.group}` : '';
+    logger.info(`  ${index + 1}. ${route.menuText}${tags}${group} - ${route.url}`);
+    if (route.parameters) {
+      logger.info(`     参数: ${formatParameters(route.parameters)}`);
+    }
+    logger.info(`     运行于: ${route.targets.join(', ')}  预计 AI 调用: ${route.aiCalls}`);
+    route.scenarios.forEach(scenario => {
+      const calls = scenario.aiCalls === null ? '无法估算' : `${scenario.aiCalls} 次 AI 调用`;
+      logger.info(`     📸 ${scenario.type}${scenario.plugin ? '（插件）' : ''}${scenario.description ? ` - ${scenario.description}` : ''}（${calls}）`);
+    });
+  });
+
+  logger.info(`\n预计 AI 调用: 约 ${plan.totals.estimatedAiCalls} 次（全部重试时最多约 ${plan.totals.maxAiCalls} 次）`);
+  if (plan.totals.unestimatedScenarios > 0) {
+    logger.warning(`${plan.totals.unestimatedScenarios} 个插件场景的 AI 调用次数未计入估算`);
+  }
+}
+
+module.exports = {
+  estimateScenarioAiCalls,
+  buildExecutionPlan,
+  printExecutionPlan
+};
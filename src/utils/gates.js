@@ -0,0 +1,106 @@
+/**
+ * CI 质量门禁
+ * 根据会话结果判断是否达到发布标准，每个门禁对应独立的退出码
+ */
+
+/**
+ * 退出码定义（同时违反多个门禁时取数值最小的一个）
+ * - 0: 全部通过
+ * - 1: 运行错误（配置无效、启动失败等）
+ * - 2: 失败路由数超过 maxFailures
+ * - 3: 成功率低于 minSuccessRate
+ * - 4: 存在截图对比差异（failOnVisualDiff）
+ * - 5: 性能指标超过阈值（failOnPerformance）
+ */
+const EXIT_CODES = {
+  success: 0,
+  error: 1,
+  maxFailures: 2,
+  minSuccessRate: 3,
+  failOnVisualDiff: 4,
+  failOnPerformance: 5
+};
+
+/**
+ * 判断门禁配置是否启用了任一门禁
+ * @param {object} gates - 门禁配置
+ * @returns {boolean} 是否启用
+ */
+function hasGates(gates = {}) {
+  return gates.maxFailures !== undefined ||
+    gates.minSuccessRate !== undefined ||
+    Boolean(gates.failOnVisualDiff) ||
+    Boolean(gates.failOnPerformance);
+}
+
+/**
+ * 评估会话结果是否违反门禁
+ * @param {object} progress - ProgressTracker 的会话进度
+ * @param {object} gates - 门禁配置 { maxFailures, minSuccessRate, failOnVisualDiff, failOnPerformance }
+ * @returns {object} { passed, exitCode, violations: [{ gate, exitCode, message }] }
+ */
+function evaluateGates(progress, gates = {}) {
+  const menus = Object.values(progress.menus || {});
+  const total = menus.length;
+  const failed = menus.filter(menu => menu.status === 'failed').length;
+  const completed = menus.filter(menu => menu.status === 'completed').length;
+  // 没有路由的会话（空分片）不违反成功率门禁
+  const successRate = total > 0 ? (completed / total) * 100 : 100;
+  const violations = [];
+
+  if (gates.maxFailures !== undefined && failed > gates.maxFailures) {
+    violations.push({
+      gate: 'maxFailures',
+      exitCode: EXIT_CODES.maxFailures,
+      message: `失败路由 ${failed} 个，超过允许的 ${gates.maxFailures} 个`
+    });
+  }
+
+  if (gates.minSuccessRate !== undefined && successRate < gates.minSuccessRate) {
+    violations.push({
+      gate: 'minSuccessRate',
+      exitCode: EXIT_CODES.minSuccessRate,
+      message: `成功率 ${successRate.toFixed(1)}%，低于要求的 ${gates.minSuccessRate}%`
+    });
+  }
+
+  if (gates.failOnVisualDiff) {
+    const diffs = menus.flatMap(menu => (menu.screenshotComparisons || [])
+      .filter(comparison => comparison.match === false)
+      .map(comparison => `${menu.text}${comparison.scenario ? ` / ${comparison.scenario}` : ''}`));
+
+    if (diffs.length > 0) {
+      violations.push({
+        gate: 'failOnVisualDiff',
+        exitCode: EXIT_CODES.failOnVisualDiff,
+        message: `${diffs.length} 处截图与基线存在差异: ${diffs.join(', ')}`
+      });
+    }
+  }
+
+  if (gates.failOnPerformance) {
+    const breaches = menus
+      .filter(menu => menu.performance?.thresholds && menu.performance.thresholds.allPassed === false)
+      .map(menu => `${menu.text} (${(menu.performance.thresholds.warnings || []).join('; ')})`);
+
+    if (breaches.length > 0) {
+      violations.push({
+        gate: 'failOnPerformance',
+        exitCode: EXIT_CODES.failOnPerformance,
+        message: `性能指标超过阈值: ${breaches.join(', ')}`
+      });
+    }
+  }
+
+  return {
+    passed: violations.length === 0,
+    exitCode: violations.length > 0 ? Math.min(...violations.map(v => v.exitCode)) : EXIT_CODES.success,
+    violations
+  };
+}
+
+module.exports = {
+  EXIT_CODES,
+  hasGates,
+  evaluateGates
+};
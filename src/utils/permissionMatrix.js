@@ -0,0 +1,114 @@
+/**
+ * 作为"无权限"信号的 AI 文本检测名称（pageAssertions.midsceneTextCheck.checks）
+ */
+const FORBIDDEN_CHECK_NAME = '无权限错误检查';
+
+const PERMISSION_VALUES = ['allow', 'deny'];
+
+/**
+ * 读取路由对某个账号的权限预期
+ * @param {object} route - 路由配置（expect: { 账号名: 'allow' | 'deny' }）
+ * @param {string} account - 账号名
+ * @returns {string|null} allow / deny，未声明时为 null
+ */
+function getExpectation(route, account) {
+  if (!account || !route.expect) {
+    return null;
+  }
+  return route.expect[account] || null;
+}
+
+/**
+ * 页面校验结果中"无权限错误检查"是否未通过
+ * @param {object} validationResult - RouteRunner.validateRoutePage 的结果
+ * @returns {boolean} 是否检测到权限错误
+ */
+function isForbidden(validationResult) {
+  const check = validationResult?.layers?.midscene?.details?.[FORBIDDEN_CHECK_NAME];
+  return Boolean(check) && check.passed === false;
+}
+
+/**
+ * 对比权限预期与实际结果
+ * @param {string|null} expected - allow / deny，未声明预期时为 null（只记录实际结果）
+ * @param {object|null} validationResult - 页面校验结果（路由执行异常时为 null）
+ * @returns {object} { expected, actual, match, error }
+ */
+function evaluatePermission(expected, validationResult) {
+  let actual = 'error';
+  if (validationResult && isForbidden(validationResult)) {
+    actual = 'deny';
+  } else if (validationResult?.success) {
+    actual = 'allow';
+  }
+
+  if (!expected) {
+    return { expected: null, actual, match: null, error: null };
+  }
+
+  const match = actual === expected;
+  let error = null;
+  if (!match) {
+    if (actual === 'allow') {
+      error = '权限不符: 预期无权限，实际可以访问（越权）';
+    } else if (actual === 'deny') {
+      error = '权限不符: 预期可以访问，实际无权限（误拦截）';
+    } else {
+      error = `权限不符: 预期 ${expected}，页面校验失败: ${validationResult?.error || '未知错误'}`;
+    }
+  }
+
+  return { expected, actual, match, error };
+}
+
+/**
+ * 根据会话菜单生成权限矩阵（路由 × 账号）
+ * @param {Array} menus - 会话菜单项
+ * @returns {object|null} { accounts, rows, leaked, blocked, mismatched }，会话未使用多账号时为 null
+ */
+function buildPermissionMatrix(menus) {
+  const accountMenus = menus.filter(menu => menu.account);
+  if (accountMenus.length === 0) {
+    return null;
+  }
+
+  const accounts = [...new Set(accountMenus.map(menu => menu.account))];
+  const rows = new Map();
+
+  accountMenus.forEach(menu => {
+    // 多浏览器 / 设备时同一路由同一账号可能有多个结果，任一不符即记为不符
+    const key = `${menu.text}|${menu.url || ''}`;
+    if (!rows.has(key)) {
+      rows.set(key, { text: menu.text, url: menu.url, cells: {} });
+    }
+
+    const cells = rows.get(key).cells;
+    // 未执行的路由（跳过 / 中断）没有权限结果
+    const cell = menu.permission || { expected: null, actual: 'skipped', match: null };
+
+    const previous = cells[menu.account];
+    if (!previous || (previous.match !== false && cell.match === false)) {
+      cells[menu.account] = cell;
+    }
+  });
+
+  const cellsOf = row => Object.values(row.cells);
+  const allCells = [...rows.values()].flatMap(cellsOf);
+
+  return {
+    accounts,
+    rows: [...rows.values()],
+    leaked: allCells.filter(cell => cell.expected === 'deny' && cell.actual === 'allow').length,
+    blocked: allCells.filter(cell => cell.expected === 'allow' && cell.actual === 'deny').length,
+    mismatched: allCells.filter(cell => cell.match === false).length
+  };
+}
+
+module.exports = {
+  FORBIDDEN_CHECK_NAME,
+  PERMISSION_VALUES,
+  getExpectation,
+  isForbidden,
+  evaluatePermission,
+  buildPermissionMatrix
+};
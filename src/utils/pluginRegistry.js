@@ -0,0 +1,244 @@
+const path = require('path');
+const { logger } = require('./logger');
+
+/**
+ * 内置截图场景类型（RouteRunner.executeScreenshotScenario）
+ */
+const BUILTIN_SCENARIO_TYPES = ['default', 'tab', 'modal', 'dialog', 'dropdown', 'custom'];
+
+/**
+ * 内置自定义断言规则类型（EnhancedPageValidator.executeCustomRule）
+ */
+const BUILTIN_RULE_TYPES = ['element_exists', 'element_not_exists', 'text_contains', 'text_not_contains', 'custom_function'];
+
+/**
+ * 插件可注册的生命周期钩子（按注册顺序依次 await）
+ * - beforeRun({ config, sessionId, routes })
+ * - beforeRoute({ page, agent, route, menuItem, browser, device })
+ * - afterRoute({ page, agent, route, menuItem, result, browser, device })
+ * - afterRun({ config, summary, progress })
+ */
+const HOOK_NAMES = ['beforeRun', 'beforeRoute', 'afterRoute', 'afterRun'];
+
+/**
+ * 插件注册表
+ * 保存插件声明的场景类型、断言规则、报告器、钩子与事件监听器，
+ * 配置校验与执行流程都从这里查询扩展点
+ */
+class PluginRegistry {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * 清空所有已注册的扩展（主要用于在同一进程中切换配置）
+   */
+  reset() {
+    this.plugins = [];
+    this.loadedPaths = new Set();
+    this.scenarioTypes = new Map();
+    this.ruleTypes = new Map();
+    this.reporters = [];
+    this.hooks = Object.fromEntries(HOOK_NAMES.map(name => [name, []]));
+    this.listeners = [];
+  }
+
+  /**
+   * 创建传给插件 register 函数的注册 API
+   * @param {string} pluginName - 插件名称
+   * @param {object} config - 当前配置
+   * @returns {object} 注册 API
+   */
+  createApi(pluginName, config) {
+    return {
+      config,
+      logger,
+
+      /**
+       * 注册截图场景类型
+       * @param {string} type - 场景 type 值
+       * @param {Function} handler - async ({ page, agent, route, menuItem, scenario, success, takeScreenshot, waitForPageStable }) => screenshot
+       */
+      registerScenarioType: (type, handler) => {
+        this.assertAvailable(type, BUILTIN_SCENARIO_TYPES, this.scenarioTypes, '场景类型', pluginName);
+        this.scenarioTypes.set(type, { plugin: pluginName, handler });
+      },
+
+      /**
+       * 注册自定义断言规则类型
+       * @param {string} type - 规则 type 值
+       * @param {Function} handler - async ({ page, agent, rule, config }) => { success, message }
+       */
+      registerRuleType: (type, handler) => {
+        this.assertAvailable(type, BUILTIN_RULE_TYPES, this.ruleTypes, '断言规则类型', pluginName);
+        this.ruleTypes.set(type, { plugin: pluginName, handler });
+      },
+
+      /**
+       * 注册报告器，在会话完成、内置报告生成后调用
+       * @param {object} reporter - { name, generate: async ({ progress, summary, config, outputDir }) => void }
+       */
+      registerReporter: (reporter) => {
+        if (!reporter || typeof reporter.generate !== 'function') {
+          throw new Error(`插件 ${pluginName} 注册的报告器缺少 generate 方法`);
+        }
+        this.reporters.push({ plugin: pluginName, name: reporter.name || pluginName, ...reporter });
+      },
+
+      /**
+       * 注册生命周期钩子
+       * @param {string} name - 钩子名称（见 HOOK_NAMES）
+       * @param {Function} fn - async (context) => void
+       */
+      addHook: (name, fn) => {
+        if (!HOOK_NAMES.includes(name)) {
+          throw new Error(`插件 ${pluginName} 注册了未知的钩子: ${name}（可用: ${HOOK_NAMES.join(', ')}）`);
+        }
+        this.hooks[name].push({ plugin: pluginName, fn });
+      },
+
+      /**
+       * 监听 MenuTester 生命周期事件（run:start、route:complete 等）
+       * @param {string} event - 事件名称
+       * @param {Function} listener - 监听函数
+       */
+      on: (event, listener) => {
+        this.listeners.push({ plugin: pluginName, event, listener });
+      }
+    };
+  }
+
+  /**
+   * 检查类型名称未被内置类型或其他插件占用
+   */
+  assertAvailable(type, builtins, registered, label, pluginName) {
+    if (typeof type !== 'string' || type === '') {
+      throw new Error(`插件 ${pluginName} 注册的${label}名称无效`);
+    }
+    if (builtins.includes(type)) {
+      throw new Error(`插件 ${pluginName} 不能覆盖内置${label}: ${type}`);
+    }
+    if (registered.has(type)) {
+      throw new Error(`${label} ${type} 已由插件 ${registered.get(type).plugin} 注册`);
+    }
+  }
+
+  /**
+   * 加载配置中的插件
+   * @param {Array<string>} pluginPaths - 插件模块路径（相对路径基于 baseDir）
+   * @param {object} config - 当前配置，传给插件
+   * @param {string} baseDir - 相对路径的基准目录
+   */
+  loadPlugins(pluginPaths = [], config = {}, baseDir = process.cwd()) {
+    for (const pluginPath of pluginPaths) {
+      const resolvedPath = pluginPath.startsWith('.') || path.isAbsolute(pluginPath)
+        ? path.resolve(baseDir, pluginPath)
+        : require.resolve(pluginPath, { paths: [baseDir] });
+
+      if (this.loadedPaths.has(resolvedPath)) {
+        continue;
+      }
+
+      let plugin;
+      try {
+        plugin = require(resolvedPath);
+      } catch (error) {
+        throw new Error(`加载插件失败 ${pluginPath}: ${error.message}`);
+      }
+
+      const register = typeof plugin === 'function' ? plugin : plugin && plugin.register;
+      if (typeof register !== 'function') {
+        throw new Error(`插件 ${pluginPath} 必须导出 register(api) 函数`);
+      }
+
+      const pluginName = (typeof plugin === 'object' && plugin.name) || path.basename(resolvedPath, path.extname(resolvedPath));
+      register(this.createApi(pluginName, config));
+
+      this.loadedPaths.add(resolvedPath);
+      this.plugins.push({ name: pluginName, path: resolvedPath });
+      logger.debug(`已加载插件: ${pluginName}`);
+    }
+  }
+
+  /**
+   * 获取全部可用的场景类型（内置 + 插件）
+   * @returns {Array<string>} 场景类型
+   */
+  getScenarioTypes() {
+    return [...BUILTIN_SCENARIO_TYPES, ...this.scenarioTypes.keys()];
+  }
+
+  /**
+   * 获取全部可用的断言规则类型（内置 + 插件）
+   * @returns {Array<string>} 规则类型
+   */
+  getRuleTypes() {
+    return [...BUILTIN_RULE_TYPES, ...this.ruleTypes.keys()];
+  }
+
+  /**
+   * 获取插件注册的场景处理函数
+   * @param {string} type - 场景类型
+   * @returns {Function|null} 处理函数
+   */
+  getScenarioHandler(type) {
+    return this.scenarioTypes.get(type)?.handler || null;
+  }
+
+  /**
+   * 获取插件注册的断言规则处理函数
+   * @param {string} type - 规则类型
+   * @returns {Function|null} 处理函数
+   */
+  getRuleHandler(type) {
+    return this.ruleTypes.get(type)?.handler || null;
+  }
+
+  /**
+   * 依次执行某个钩子的全部回调
+   * @param {string} name - 钩子名称
+   * @param {object} context - 钩子上下文
+   */
+  async runHook(name, context) {
+    for (const { plugin, fn } of this.hooks[name] || []) {
+      try {
+        await fn(context);
+      } catch (error) {
+        throw new Error(`插件 ${plugin} 的 ${name} 钩子执行失败: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * 运行插件报告器（单个报告器失败只记录警告）
+   * @param {object} context - { progress, summary, config, outputDir }
+   */
+  async runReporters(context) {
+    for (const reporter of this.reporters) {
+      try {
+        await reporter.generate(context);
+        logger.debug(`插件报告器已完成: ${reporter.name}`);
+      } catch (error) {
+        logger.warning(`插件报告器 ${reporter.name} 执行失败: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * 将插件的事件监听器挂到 MenuTester 实例上
+   * @param {EventEmitter} emitter - MenuTester 实例
+   */
+  attachListeners(emitter) {
+    this.listeners.forEach(({ event, listener }) => emitter.on(event, listener));
+  }
+}
+
+const pluginRegistry = new PluginRegistry();
+
+module.exports = {
+  pluginRegistry,
+  PluginRegistry,
+  BUILTIN_SCENARIO_TYPES,
+  BUILTIN_RULE_TYPES,
+  HOOK_NAMES
+};
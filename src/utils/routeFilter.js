@@ -0,0 +1,120 @@
+const { logger } = require('./logger');
+
+/**
+ * 将逗号分隔的字符串或数组统一为去重后的字符串数组
+ * @param {string|Array} value - 原始值
+ * @returns {Array<string>} 标准化后的数组
+ */
+function normalizeList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+}
+
+/**
+ * 标准化路由筛选条件
+ * @param {object} filter - 筛选配置 { tags, excludeTags, grep, onlyLevel }
+ * @returns {object} 标准化后的筛选条件
+ */
+function normalizeFilter(filter = {}) {
+  return {
+    tags: normalizeList(filter.tags),
+    excludeTags: normalizeList(filter.excludeTags),
+    grep: filter.grep ? String(filter.grep) : null,
+    onlyLevel: normalizeList(filter.onlyLevel).map(level => parseInt(level, 10)).filter(level => !isNaN(level))
+  };
+}
+
+/**
+ * 判断筛选条件是否为空
+ * @param {object} filter - 筛选配置
+ * @returns {boolean} 是否没有任何筛选条件
+ */
+function isEmptyFilter(filter) {
+  const normalized = normalizeFilter(filter);
+  return normalized.tags.length === 0 &&
+    normalized.excludeTags.length === 0 &&
+    !normalized.grep &&
+    normalized.onlyLevel.length === 0;
+}
+
+/**
+ * 按标签、关键字与层级筛选路由
+ * - tags: 命中任一标签即保留
+ * - excludeTags: 命中任一标签即排除
+ * - grep: 正则（不区分大小写）匹配菜单名称或 URL
+ * - onlyLevel: 只保留指定层级
+ * @param {Array} routes - 路由列表
+ * @param {object} filter - 筛选配置
+ * @returns {Array} 筛选后的路由
+ */
+function filterRoutes(routes, filter = {}) {
+  const { tags, excludeTags, grep, onlyLevel } = normalizeFilter(filter);
+
+  let pattern = null;
+  if (grep) {
+    try {
+      pattern = new RegExp(grep, 'i');
+    } catch (error) {
+      throw new Error(`无效的 grep 表达式: ${grep}`);
+    }
+  }
+
+  const filtered = routes.filter(route => {
+    const routeTags = normalizeList(route.tags);
+
+    if (tags.length > 0 && !tags.some(tag => routeTags.includes(tag))) {
+      return false;
+    }
+
+    if (excludeTags.length > 0 && excludeTags.some(tag => routeTags.includes(tag))) {
+      return false;
+    }
+
+    if (pattern && !pattern.test(route.menuText || '') && !pattern.test(route.url || '')) {
+      return false;
+    }
+
+    if (onlyLevel.length > 0 && !onlyLevel.includes(route.level || 1)) {
+      return false;
+    }
+
+    return true;
+  });
+
+  logger.debug(`路由筛选: ${routes.length} -> ${filtered.length}`);
+  return filtered;
+}
+
+/**
+ * 统计路由标签分布
+ * @param {Array} routes - 路由列表
+ * @returns {object} 标签 → 路由数量（无标签的路由计入 '(无标签)'）
+ */
+function countTags(routes) {
+  const counts = {};
+
+  routes.forEach(route => {
+    const routeTags = normalizeList(route.tags);
+    if (routeTags.length === 0) {
+      counts['(无标签)'] = (counts['(无标签)'] || 0) + 1;
+      return;
+    }
+    routeTags.forEach(tag => {
+      counts[tag] = (counts[tag] || 0) + 1;
+    });
+  });
+
+  return counts;
+}
+
+module.exports = {
+  normalizeList,
+  normalizeFilter,
+  isEmptyFilter,
+  filterRoutes,
+  countTags
+};
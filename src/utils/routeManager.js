@@ -1,5 +1,6 @@
 const MenuCache = require('../core/MenuCache');
 const { logger } = require('./logger');
+const { countTags } = require('./routeFilter');
 const fs = require('fs-extra');
 const path = require('path');
 
@@ -58,12 +59,16 @@ class RouteManager {
         routesByLevel[level].forEach((route, index) => {
           logger.info(`  ${index + 1}. ${route.menuText}`);
           logger.info(`     URL: ${route.url}`);
+          if (route.tags && route.tags.length > 0) {
+            logger.info(`     标签: ${route.tags.join(', ')}`);
+          }
           logger.info(`     记录时间: ${new Date(route.recordedAt).toLocaleString()}`);
         });
       });
 
       const stats = this.menuCache.getStats();
       logger.info(`\n📊 统计: 总计 ${stats.totalRoutes} 个路由，${stats.routeDiscoveryMode} 模式`);
+      this.printTagStats(routes);
       
     } catch (error) {
       logger.error(`显示路由列表失败: ${error.message}`);
@@ -174,7 +179,8 @@ class RouteManager {
           menuText: values[0],
           url: values[1],
           level: parseInt(values[2]) || 1,
-          recordedAt: values[3] || new Date().toISOString()
+          recordedAt: values[3] || new Date().toISOString(),
+          tags: values[4] ? values[4].split(';').map(tag => tag.trim()).filter(Boolean) : []
         });
       }
     }
@@ -247,6 +253,7 @@ class RouteManager {
             menuText: "示例菜单1",
             url: "https://example.com/page1",
             level: 1,
+            tags: ["smoke"],
             recordedAt: new Date().toISOString(),
             validation: {
               pageTitle: "页面1标题",
@@ -277,6 +284,20 @@ class RouteManager {
     }
   }
 
+  /**
+   * 打印标签分布
+   * @param {Array} routes - 路由列表
+   */
+  printTagStats(routes) {
+    const tagStats = countTags(routes);
+    const tags = Object.keys(tagStats).sort((a, b) => tagStats[b] - tagStats[a]);
+
+    logger.info('\n按标签分布:');
+    tags.forEach(tag => {
+      logger.info(`  ${tag}: ${tagStats[tag]} 个路由`);
+    });
+  }
+
   /**
    * 显示路由统计信息
    */
@@ -289,6 +310,9 @@ class RouteManager {
       
       logger.info('=== 路由统计 ===');
       logger.info(`总路由数: ${stats.totalRoutes}`);
+      if (stats.parameterizedRoutes > 0) {
+        logger.info(`参数化路由: ${stats.parameterizedRoutes}`);
+      }
       logger.info(`发现模式: ${stats.routeDiscoveryMode}`);
       logger.info(`最后更新: ${stats.lastUpdated ? new Date(stats.lastUpdated).toLocaleString() : '未知'}`);
       
@@ -304,6 +328,8 @@ class RouteManager {
         Object.keys(levelStats).sort().forEach(level => {
           logger.info(`  L${level}: ${levelStats[level]} 个路由`);
         });
+
+        this.printTagStats(routes);
         
         // 最近记录的路由
         const recentRoutes = routes
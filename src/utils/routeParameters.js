@@ -0,0 +1,257 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+// new URL() 会把花括号编码为 %7B / %7D
+const ENCODED_PLACEHOLDER = /%7B%7B\s*([\w.-]+)\s*%7D%7D/gi;
+// 来自环境变量的参数值（通常是密钥）在会话、报告与日志中的显示值
+const MASKED_VALUE = '***';
+
+/**
+ * 读取文本中的参数占位符名称（去重，按出现顺序）
+ * @param {...string} texts - 文本（menuText、url）
+ * @returns {Array<string>} 参数名
+ */
+function getPlaceholders(...texts) {
+  const names = [];
+  texts.filter(text => typeof text === 'string').forEach(text => {
+    for (const match of text.matchAll(PLACEHOLDER)) {
+      if (!names.includes(match[1])) {
+        names.push(match[1]);
+      }
+    }
+  });
+  return names;
+}
+
+/**
+ * 还原被 URL 编码的占位符（/store/%7B%7BstoreId%7D%7D -> /store/{{storeId}}）
+ * @param {string} url - URL
+ * @returns {string} URL
+ */
+function restorePlaceholders(url) {
+  return typeof url === 'string' ? url.replace(ENCODED_PLACEHOLDER, '{{$1}}') : url;
+}
+
+/**
+ * 解析 CSV 数据集（首行为列名，支持双引号包裹的字段与 "" 转义）
+ * @param {string} content - CSV 内容
+ * @returns {Array<object>} 数据行
+ */
+function parseCsv(content) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  record.push(field);
+  records.push(record);
+
+  const [headers = [], ...rows] = records.filter(row => row.some(value => value.trim()));
+  const columns = headers.map(header => header.trim());
+  return rows.map(row => Object.fromEntries(columns.map((column, index) => [column, (row[index] || '').trim()])));
+}
+
+/**
+ * 读取路由数据集：内联数组，或 JSON（数组 / { rows }）、CSV 文件
+ * @param {Array|string} dataset - 数据行或文件路径
+ * @param {string} baseDir - 相对路径的基准目录
+ * @returns {Promise<Array<object>>} 数据行
+ */
+async function loadDataset(dataset, baseDir = process.cwd()) {
+  if (Array.isArray(dataset)) {
+    return dataset;
+  }
+
+  const fullPath = path.resolve(baseDir, dataset);
+  if (!await fs.pathExists(fullPath)) {
+    throw new Error(`数据集文件不存在: ${fullPath}`);
+  }
+
+  const ext = path.extname(fullPath).toLowerCase();
+  if (ext === '.csv') {
+    return parseCsv(await fs.readFile(fullPath, 'utf8'));
+  }
+  if (ext === '.json') {
+    const data = await fs.readJson(fullPath);
+    const rows = Array.isArray(data) ? data : data.rows;
+    if (!Array.isArray(rows)) {
+      throw new Error(`数据集格式错误，期望数组或 { rows: [] }: ${fullPath}`);
+    }
+    return rows;
+  }
+
+  throw new Error(`不支持的数据集格式: ${ext}`);
+}
+
+/**
+ * 替换文本中的占位符
+ * @param {string} text - 模板文本
+ * @param {object} values - 参数值
+ * @returns {string} 替换后的文本
+ */
+function renderTemplate(text, values) {
+  return typeof text === 'string'
+    ? text.replace(PLACEHOLDER, (match, name) => values[name])
+    : text;
+}
+
+/**
+ * 展开参数化路由：menuText / url 中的 {{name}} 依次从数据集行、variables、环境变量取值，
+ * 配置了 dataset 的路由按数据行展开为多条具体路由
+ * 来自环境变量的取值只出现在实际访问的 url 中，parameters、menuText 与 displayUrl 里显示为 ***
+ * @param {Array} routes - 路由列表
+ * @param {object} options - { variables, env, baseDir }
+ * @returns {Promise<Array>} 展开后的路由，参数化路由带有 parameters（取值）与 template（原始模板），
+ *   使用了环境变量的路由另带 displayUrl（会话与报告中记录的 URL）
+ */
+async function expandRoutes(routes, options = {}) {
+  const { variables = {}, env = process.env, baseDir = process.cwd() } = options;
+  const expanded = [];
+
+  for (const route of routes) {
+    const names = getPlaceholders(route.menuText, route.url);
+    if (names.length === 0 && !route.dataset) {
+      expanded.push(route);
+      continue;
+    }
+
+    const { dataset, ...template } = route;
+    const rows = dataset ? await loadDataset(dataset, baseDir) : [{}];
+
+    rows.forEach((row, index) => {
+      // 数据集的所有列都记入参数值，即使模板中没有引用，报告中也能区分各行
+      const values = Object.fromEntries(Object.entries(row).map(([name, value]) => [name, String(value)]));
+      const envNames = [];
+      names.forEach(name => {
+        const value = row[name] ?? variables[name] ?? env[name];
+        if (value === undefined || value === null || value === '') {
+          const source = dataset ? `数据集第 ${index + 1} 行、variables 或环境变量` : 'variables 或环境变量';
+          throw new Error(`路由 "${route.menuText}" 的参数 ${name} 未在 ${source} 中定义`);
+        }
+        values[name] = String(value);
+        if ((row[name] ?? variables[name]) == null) {
+          envNames.push(name);
+        }
+      });
+
+      const displayValues = { ...values };
+      envNames.forEach(name => {
+        displayValues[name] = MASKED_VALUE;
+      });
+
+      const expandedRoute = {
+        ...template,
+        menuText: renderTemplate(route.menuText, displayValues),
+        url: renderTemplate(route.url, values),
+        parameters: displayValues,
+        template: { menuText: route.menuText, url: route.url }
+      };
+      if (envNames.length > 0) {
+        expandedRoute.displayUrl = renderTemplate(route.url, displayValues);
+        // 不可枚举：实际取值不会随路由对象展开或序列化
+        Object.defineProperty(expandedRoute, 'secretValues', {
+          value: envNames.map(name => values[name])
+        });
+      }
+      expanded.push(expandedRoute);
+    });
+  }
+
+  return expanded;
+}
+
+/**
+ * 生成路由的参数定义（写入 MenuCache.routes.parameters）
+ * @param {object} route - 路由模板
+ * @returns {object|null} { url, placeholders, dataset }，非参数化路由为 null
+ */
+function getParameterDefinition(route) {
+  const placeholders = getPlaceholders(route.menuText, route.url);
+  if (placeholders.length === 0 && !route.dataset) {
+    return null;
+  }
+
+  return {
+    url: route.url,
+    placeholders,
+    dataset: route.dataset || null
+  };
+}
+
+/**
+ * 会话、报告与日志中记录的路由 URL（环境变量取值已替换为 ***）
+ * @param {object} route - expandRoutes 展开后的路由
+ * @returns {string} URL
+ */
+function getDisplayUrl(route) {
+  return route.displayUrl || route.url;
+}
+
+/**
+ * 把文本（实际访问的 URL、错误信息）中来自环境变量的参数值替换为 ***
+ * @param {object} route - expandRoutes 展开后的路由
+ * @param {string} text - 文本
+ * @returns {string} 文本
+ */
+function maskSecrets(route, text) {
+  if (typeof text !== 'string' || !route?.secretValues) {
+    return text;
+  }
+
+  return route.secretValues
+    .flatMap(value => [value, encodeURIComponent(value)])
+    .reduce((masked, value) => masked.split(value).join(MASKED_VALUE), text);
+}
+
+/**
+ * 格式化参数取值（storeId=1001, taskId=7）
+ * @param {object|null} parameters - 参数值
+ * @returns {string} 文本，无参数时为空字符串
+ */
+function formatParameters(parameters) {
+  return Object.entries(parameters || {}).map(([name, value]) => `${name}=${value}`).join(', ');
+}
+
+module.exports = {
+  PLACEHOLDER,
+  MASKED_VALUE,
+  getPlaceholders,
+  restorePlaceholders,
+  parseCsv,
+  loadDataset,
+  renderTemplate,
+  expandRoutes,
+  getParameterDefinition,
+  getDisplayUrl,
+  maskSecrets,
+  formatParameters
+};
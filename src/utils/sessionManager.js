@@ -0,0 +1,337 @@
+const fs = require('fs-extra');
+const path = require('path');
+const ProgressTracker = require('../core/ProgressTracker');
+const { logger } = require('./logger');
+const { hasGates, evaluateGates } = require('./gates');
+
+const DURATION_UNITS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * 解析保留规则
+ * - "30d" / "12h" / "2w": 保留该时长内开始的会话
+ * - "10": 只保留最新的 10 个会话
+ * @param {string} keep - 保留规则
+ * @returns {object} { maxAge } 或 { keepCount }
+ */
+function parseRetention(keep) {
+  const value = String(keep || '').trim();
+
+  if (/^\d+$/.test(value)) {
+    return { keepCount: parseInt(value, 10) };
+  }
+
+  const match = value.match(/^(\d+)([hdw])$/i);
+  if (!match) {
+    throw new Error(`无效的保留规则: ${keep}（示例: 30d、12h、2w 或 10）`);
+  }
+
+  return { maxAge: parseInt(match[1], 10) * DURATION_UNITS[match[2].toLowerCase()] };
+}
+
+/**
+ * 会话管理器工具类
+ * 基于 ProgressTracker 读取会话文件，基于 ReportGenerator 重新生成报告
+ */
+class SessionManager {
+  constructor(config) {
+    this.config = config;
+    this.progressTracker = new ProgressTracker(config);
+  }
+
+  /**
+   * 解析会话ID，支持 latest 表示最近一次会话
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<string>} 实际的会话ID
+   */
+  async resolveSessionId(sessionId) {
+    if (sessionId !== 'latest') {
+      return sessionId;
+    }
+
+    const sessions = await this.progressTracker.listSessions();
+    if (sessions.length === 0) {
+      throw new Error('没有找到任何会话');
+    }
+    return sessions[0].sessionId;
+  }
+
+  /**
+   * 加载会话供报告使用
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<object>} 会话进度
+   */
+  async loadSession(sessionId) {
+    const targetSessionId = await this.resolveSessionId(sessionId);
+    const progress = await this.progressTracker.loadSessionForReport(targetSessionId);
+    if (!progress) {
+      throw new Error(`无法加载会话: ${targetSessionId}`);
+    }
+
+    // 未完成的会话没有记录总耗时，按最后更新时间估算
+    if (progress.duration == null && progress.timestamps?.updated) {
+      progress.duration = new Date(progress.timestamps.updated).getTime() - progress.startTime;
+    }
+    return progress;
+  }
+
+  /**
+   * 列出所有会话
+   */
+  async listSessions() {
+    const sessions = await this.progressTracker.listSessions();
+
+    if (sessions.length === 0) {
+      logger.info(`${this.progressTracker.outputDir} 中没有会话记录`);
+      return;
+    }
+
+    logger.info(`=== 会话列表 (${sessions.length} 个) ===`);
+    sessions.forEach(session => {
+      const statusIcon = session.status === 'completed' ? '✓' : session.status === 'failed' ? '✗' : '…';
+      const duration = session.duration ? this.progressTracker.formatDuration(session.duration) : '-';
+      const shard = session.shard ? ` (分片 ${session.shard.index}/${session.shard.total})` : '';
+      logger.info(`  ${statusIcon} ${session.sessionId}${session.profile ? ` [${session.profile}]` : ''}${shard}`);
+      logger.info(`     状态: ${session.status}  成功: ${session.completedMenus || 0}  失败: ${session.failedMenus || 0}  跳过: ${session.skippedMenus || 0}  总数: ${session.totalMenus || 0}  耗时: ${duration}`);
+    });
+  }
+
+  /**
+   * 读取会话汇总；中断或仍在运行的会话没有保存 summary，按会话中的菜单重新统计
+   * @param {object} progress - loadSession 加载的会话进度
+   * @returns {object} 汇总结果
+   */
+  getSummary(progress) {
+    return progress.summary || this.progressTracker.buildRouteSummary(progress.duration || 0);
+  }
+
+  /**
+   * 从会话文件重新输出控制台报告
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<object>} 汇总结果
+   */
+  async showSession(sessionId) {
+    const progress = await this.loadSession(sessionId);
+    const summary = this.getSummary(progress);
+    this.progressTracker.reportGenerator.generateConsoleReport(summary);
+    return summary;
+  }
+
+  /**
+   * 从会话文件重新生成 HTML 报告
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<string>} 报告路径
+   */
+  async generateReport(sessionId) {
+    const progress = await this.loadSession(sessionId);
+    return await this.progressTracker.reportGenerator.generateHTMLReport(this.getSummary(progress));
+  }
+
+  /**
+   * 对比两个会话，找出新增失败与已恢复的路由
+   * @param {string} baseId - 基准会话ID
+   * @param {string} targetId - 对比会话ID
+   * @returns {Promise<object>} { newlyFailed, recovered, stillFailing, added, removed }
+   */
+  async diffSessions(baseId, targetId) {
+    const base = await this.loadSession(baseId);
+    const target = await this.loadSession(targetId);
+
+    const result = this.compareProgress(base, target);
+
+    logger.info(`=== 会话对比: ${base.sessionId} → ${target.sessionId} ===`);
+    this.printDiffGroup('❌ 新增失败', result.newlyFailed, menu => menu.error ? ` - ${menu.error}` : '');
+    this.printDiffGroup('✅ 已恢复', result.recovered);
+    this.printDiffGroup('⚠️  持续失败', result.stillFailing);
+    this.printDiffGroup('➕ 仅存在于新会话', result.added);
+    this.printDiffGroup('➖ 仅存在于旧会话', result.removed);
+
+    return result;
+  }
+
+  /**
+   * 按菜单名称、URL、浏览器、设备与账号对比两个会话的路由状态
+   * @param {object} base - 基准会话进度
+   * @param {object} target - 对比会话进度
+   * @returns {object} 对比结果
+   */
+  compareProgress(base, target) {
+    const keyOf = menu => `${menu.text}|${menu.url || ''}|${menu.browser || 'chromium'}|${menu.device || ''}|${menu.account || ''}`;
+    const baseMenus = new Map(Object.values(base.menus).map(menu => [keyOf(menu), menu]));
+    const targetMenus = new Map(Object.values(target.menus).map(menu => [keyOf(menu), menu]));
+
+    const result = { newlyFailed: [], recovered: [], stillFailing: [], added: [], removed: [] };
+
+    targetMenus.forEach((menu, key) => {
+      const previous = baseMenus.get(key);
+      if (!previous) {
+        result.added.push(menu);
+      } else if (menu.status === 'failed' && previous.status === 'completed') {
+        result.newlyFailed.push(menu);
+      } else if (menu.status === 'completed' && previous.status === 'failed') {
+        result.recovered.push(menu);
+      } else if (menu.status === 'failed' && previous.status === 'failed') {
+        result.stillFailing.push(menu);
+      }
+    });
+
+    baseMenus.forEach((menu, key) => {
+      if (!targetMenus.has(key)) {
+        result.removed.push(menu);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * 打印对比分组
+   */
+  printDiffGroup(title, menus, suffix = () => '') {
+    logger.info(`\n${title} (${menus.length})`);
+    menus.forEach(menu => {
+      const target = [menu.account, menu.browser, menu.device].filter(Boolean).join(' / ');
+      logger.info(`  - ${menu.text}${target ? ` [${target}]` : ''}${menu.url ? ` (${menu.url})` : ''}${suffix(menu)}`);
+    });
+  }
+
+  /**
+   * 合并分片会话为一个会话文件与一份 HTML 报告
+   * 只合并同一次运行（shard.runId）的分片；分片重复、缺失或配置不一致时报错，不生成合并结果
+   * @param {string} outputDir - 合并结果的输出目录（默认与分片会话相同）
+   * @param {object} options - { runId } 只合并指定运行的分片
+   * @returns {Promise<object>} { sessionId, file, reportPath, summary }
+   */
+  async mergeShards(outputDir = this.progressTracker.outputDir, options = {}) {
+    let sessions = (await this.progressTracker.listSessions()).filter(session => session.shard);
+    if (sessions.length === 0) {
+      throw new Error(`${this.progressTracker.outputDir} 中没有分片会话`);
+    }
+
+    if (options.runId) {
+      sessions = sessions.filter(session => session.shard.runId === options.runId);
+      if (sessions.length === 0) {
+        throw new Error(`${this.progressTracker.outputDir} 中没有运行标识为 ${options.runId} 的分片会话`);
+      }
+    }
+
+    const runIds = [...new Set(sessions.map(session => session.shard.runId || null))];
+    if (runIds.length > 1) {
+      throw new Error(`目录中有多次运行的分片会话（${runIds.map(runId => runId || '未设置运行标识').join(', ')}），请通过 --run-id 指定`);
+    }
+
+    const totals = [...new Set(sessions.map(session => session.shard.total))];
+    if (totals.length > 1) {
+      throw new Error(`分片总数不一致: ${totals.join(', ')}`);
+    }
+
+    // 各分片应使用同一份配置（目标地址与 profile）
+    const targets = [...new Set(sessions.map(session => `${session.config?.url || ''}|${session.profile || ''}`))];
+    if (targets.length > 1) {
+      throw new Error(`分片会话的目标地址或 profile 不一致: ${targets.map(target => target.replace(/\|$/, '')).join(', ')}`);
+    }
+
+    const total = totals[0];
+    const sessionsByShard = new Map();
+    sessions.forEach(session => {
+      const list = sessionsByShard.get(session.shard.index) || [];
+      sessionsByShard.set(session.shard.index, [...list, session]);
+    });
+
+    const duplicated = [...sessionsByShard.entries()].filter(([, list]) => list.length > 1);
+    if (duplicated.length > 0) {
+      const details = duplicated.map(([index, list]) => `${index}/${total}（${list.map(session => session.sessionId).join(', ')}）`);
+      throw new Error(`分片有多个会话: ${details.join('; ')}，请删除多余的会话或通过 --run-id 区分不同的运行`);
+    }
+
+    const missing = [];
+    for (let index = 1; index <= total; index++) {
+      if (!sessionsByShard.has(index)) {
+        missing.push(`${index}/${total}`);
+      }
+    }
+    if (missing.length > 0) {
+      throw new Error(`缺少分片: ${missing.join(', ')}`);
+    }
+
+    const shards = [...sessionsByShard.values()].map(([session]) => session).sort((a, b) => a.shard.index - b.shard.index);
+    const shardProgress = await Promise.all(shards.map(session => fs.readJson(session.file)));
+
+    const merged = new ProgressTracker({ ...shardProgress[0].config, output: outputDir, shard: undefined });
+    const progress = merged.progress;
+    progress.mergedFrom = shardProgress.map(shard => ({ sessionId: shard.sessionId, shard: shard.shard, status: shard.status }));
+    progress.profile = shardProgress[0].profile || null;
+    progress.startTime = Math.min(...shardProgress.map(shard => shard.startTime));
+    progress.timestamps.started = new Date(progress.startTime).toISOString();
+
+    // 各分片的菜单 ID 都从 route-0 开始，合并时加上分片前缀
+    shardProgress.forEach(shard => {
+      Object.values(shard.menus).forEach(menu => {
+        const id = `shard-${shard.shard.index}:${menu.id}`;
+        progress.menus[id] = { ...menu, id };
+      });
+      progress.errors.push(...(shard.errors || []).map(error => ({ ...error, shard: shard.shard.index })));
+    });
+
+    const menus = Object.values(progress.menus);
+    progress.totalMenus = menus.length;
+    progress.completedMenus = menus.filter(menu => menu.status === 'completed').length;
+    progress.failedMenus = menus.filter(menu => menu.status === 'failed').length;
+    progress.skippedMenus = menus.filter(menu => menu.status === 'skipped').length;
+    progress.status = shardProgress.every(shard => shard.status === 'completed') ? 'completed' : 'failed';
+    if (progress.status === 'failed') {
+      progress.error = '部分分片未完成';
+    }
+
+    const endTime = Math.max(...shardProgress.map(shard => shard.startTime + (shard.duration || 0)));
+    progress.duration = endTime - progress.startTime;
+    progress.timestamps.completed = new Date(endTime).toISOString();
+    progress.timestamps.updated = new Date().toISOString();
+
+    // 墙钟耗时取最早开始到最晚结束
+    const summary = merged.buildRouteSummary(progress.duration);
+    summary.shards = total;
+    if (hasGates(progress.config.gates)) {
+      summary.gates = evaluateGates(progress, progress.config.gates);
+    }
+    progress.summary = summary;
+
+    await fs.ensureDir(outputDir);
+    await merged.saveProgress();
+
+    logger.success(`已合并 ${shardProgress.length}/${total} 个分片会话: ${merged.progressFile}`);
+    merged.reportGenerator.generateConsoleReport(summary);
+    const reportPath = await merged.reportGenerator.generateHTMLReport(summary);
+
+    return { sessionId: merged.sessionId, file: merged.progressFile, reportPath, summary };
+  }
+
+  /**
+   * 按保留规则清理会话
+   * @param {string} keep - 保留规则，如 30d / 12h / 2w / 10
+   * @param {boolean} dryRun - 只列出将被删除的会话
+   * @returns {Promise<Array>} 被清理的会话
+   */
+  async pruneSessions(keep, dryRun = false) {
+    const retention = parseRetention(keep);
+    const removed = await this.progressTracker.pruneSessions({ ...retention, dryRun });
+
+    if (removed.length === 0) {
+      logger.info('没有需要清理的会话');
+      return removed;
+    }
+
+    removed.forEach(session => {
+      logger.info(`  ${dryRun ? '将删除' : '已删除'}: ${session.sessionId} (${session.status})`);
+    });
+    logger.success(`${dryRun ? '共有' : '已清理'} ${removed.length} 个会话${dryRun ? '待清理' : ''}`);
+
+    return removed;
+  }
+}
+
+module.exports = SessionManager;
+module.exports.parseRetention = parseRetention;
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+/**
+ * 解析分片参数
+ * @param {string|object} value - "2/5" 或 { index, total }（index 从 1 开始）
+ * @returns {object} { index, total }
+ */
+function parseShard(value) {
+  if (value && typeof value === 'object') {
+    return { index: Number(value.index), total: Number(value.total) };
+  }
+
+  const match = String(value || '').trim().match(/^(\d+)\/(\d+)$/);
+  if (!match) {
+    throw new Error(`无效的分片参数: ${value}（格式: 序号/总数，如 2/5）`);
+  }
+
+  return { index: parseInt(match[1], 10), total: parseInt(match[2], 10) };
+}
+
+/**
+ * 判断分片配置是否有效
+ * @param {object} shard - { index, total }
+ * @returns {boolean} 是否有效
+ */
+function isValidShard(shard) {
+  return Boolean(shard) &&
+    Number.isInteger(shard.index) &&
+    Number.isInteger(shard.total) &&
+    shard.total >= 1 &&
+    shard.index >= 1 &&
+    shard.index <= shard.total;
+}
+
+/**
+ * 计算路由标识所属的分片（1 开始），同一标识在任何机器上结果一致
+ * @param {string} key - 路由标识（标准化后的 URL）
+ * @param {number} total - 分片总数
+ * @returns {number} 分片序号
+ */
+function getShardIndex(key, total) {
+  const hash = crypto.createHash('sha1').update(key).digest();
+  return (hash.readUInt32BE(0) % total) + 1;
+}
+
+/**
+ * 选出属于当前分片的路由
+ * 按路由 URL 的哈希分配，新增或删除路由不会影响其他路由所在的分片
+ * @param {Array} routes - 路由列表
+ * @param {object} shard - { index, total }
+ * @param {Function} normalize - URL 标准化函数（MenuCache.normalizeRoute）
+ * @returns {Array} 当前分片的路由
+ */
+function selectShard(routes, shard, normalize = url => url) {
+  const selected = routes.filter(route => getShardIndex(normalize(route.url), shard.total) === shard.index);
+  logger.debug(`路由分片 ${shard.index}/${shard.total}: ${routes.length} -> ${selected.length}`);
+  return selected;
+}
+
+module.exports = {
+  parseShard,
+  isValidShard,
+  getShardIndex,
+  selectShard
+};
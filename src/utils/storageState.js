@@ -0,0 +1,63 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('./logger');
+
+/**
+ * 找出已过期的 cookie（expires 为 -1 的会话 cookie 不计入）
+ * @param {object} state - Playwright storageState
+ * @param {number} now - 当前时间戳（毫秒）
+ * @returns {Array} 已过期的 cookie
+ */
+function getExpiredCookies(state, now = Date.now()) {
+  return (state.cookies || []).filter(cookie => (
+    typeof cookie.expires === 'number' && cookie.expires > 0 && cookie.expires * 1000 <= now
+  ));
+}
+
+/**
+ * 读取保存的认证状态，cookie 已过期时给出警告
+ * @param {string} filePath - storageState 文件路径
+ * @returns {Promise<object>} storageState
+ */
+async function loadStorageState(filePath) {
+  const fullPath = path.resolve(filePath);
+  if (!await fs.pathExists(fullPath)) {
+    throw new Error(`认证状态文件不存在: ${fullPath}（可通过 menu-tester auth save 生成）`);
+  }
+
+  const state = await fs.readJson(fullPath);
+  const expired = getExpiredCookies(state);
+  if (expired.length > 0) {
+    const names = expired.map(cookie => `${cookie.name}@${cookie.domain}`).join(', ');
+    logger.warning(`认证状态中有 ${expired.length} 个 cookie 已过期: ${names}，请重新运行 menu-tester auth save`);
+  }
+
+  logger.info(`🔑 使用保存的认证状态: ${fullPath}`);
+  return state;
+}
+
+/**
+ * 将 context 的认证状态（cookie 与 localStorage）写入文件
+ * @param {object} context - Playwright browser context
+ * @param {string} filePath - 输出路径
+ * @returns {Promise<object>} { path, cookies, origins }
+ */
+async function saveStorageState(context, filePath) {
+  const fullPath = path.resolve(filePath);
+  await fs.ensureDir(path.dirname(fullPath));
+
+  const state = await context.storageState();
+  await fs.writeJson(fullPath, state, { spaces: 2 });
+
+  return {
+    path: fullPath,
+    cookies: state.cookies.length,
+    origins: state.origins.length
+  };
+}
+
+module.exports = {
+  getExpiredCookies,
+  loadStorageState,
+  saveStorageState
+};
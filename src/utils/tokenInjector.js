@@ -1,22 +1,138 @@
 const { logger } = require('./logger');
 
+/**
+ * Supported injection methods
+ */
+const INJECTION_METHODS = ['cookie', 'localStorage', 'sessionStorage', 'header'];
+
+/**
+ * Injection methods restored by Playwright storageState (header and sessionStorage are not saved)
+ */
+const STORAGE_STATE_METHODS = ['cookie', 'localStorage'];
+
+/**
+ * Cookie SameSite values
+ */
+const SAME_SITE_VALUES = ['Strict', 'Lax', 'None'];
+
+// 支持识别的公共后缀：国家二级域名（如 example.com.cn）与常见托管平台（各子域名属于不同站点），
+// 不在列表中的后缀按单级顶级域名处理，其他托管平台请直接配置 cookie domain
+const PUBLIC_SUFFIXES = [
+  'com.cn', 'net.cn', 'org.cn', 'gov.cn', 'edu.cn', 'co.uk', 'org.uk', 'com.au', 'co.jp', 'com.hk', 'com.tw',
+  'github.io', 'gitlab.io', 'herokuapp.com', 'vercel.app', 'netlify.app', 'pages.dev', 'workers.dev',
+  'web.app', 'firebaseapp.com', 'appspot.com', 'azurewebsites.net', 'cloudfront.net', 'onrender.com', 'fly.dev'
+];
+
+const TOKEN_PLACEHOLDER = /\{\{\s*token\s*\}\}/g;
+const VALUE_PLACEHOLDER = /\{\{\s*value\s*\}\}/g;
+
+/**
+ * Detect the parent domain shared by sibling subdomains (app.example.com -> .example.com)
+ * Only single-label TLDs and the suffixes in PUBLIC_SUFFIXES are recognized
+ * @param {string} hostname - Hostname of the target url
+ * @returns {string|null} Parent domain with a leading dot, or null for IPs, localhost and registrable domains
+ */
+function getParentDomain(hostname) {
+  if (hostname === 'localhost' || /^[\d.]+$/.test(hostname) || hostname.includes(':')) {
+    return null;
+  }
+
+  const labels = hostname.split('.');
+  const suffix = PUBLIC_SUFFIXES
+    .filter(candidate => hostname.endsWith(`.${candidate}`))
+    .sort((a, b) => b.length - a.length)[0];
+  const domainLength = (suffix ? suffix.split('.').length : 1) + 1;
+  if (labels.length <= domainLength) {
+    return null;
+  }
+
+  return `.${labels.slice(-domainLength).join('.')}`;
+}
+
 class TokenInjector {
   constructor(config) {
     this.token = config.token || process.env.ACCESS_TOKEN;
-    this.method = config.tokenMethod || 'cookie';
-    this.tokenName = config.tokenName || 'accessToken';
+    this.method = config.tokenMethod || config.tokenInjection?.method || 'cookie';
+    this.tokenName = config.tokenName || config.tokenInjection?.name || 'accessToken';
     this.url = config.url;
+    // 配置了表单登录时，认证状态来自登录流程，令牌可以省略
+    this.hasLoginFlow = Boolean(config.auth?.loginFlow);
+    // 使用保存的认证状态时，令牌已包含在 storageState 中，不再重复注入
+    this.useStorageState = Boolean(config.auth?.storageState);
+    // 附加注入项（租户 header、CSRF cookie、sessionStorage 等），value 中的 {{token}} 替换为当前令牌
+    this.extraItems = config.tokenInjection?.items || [];
+    // cookie 选项：domain（域名或 "parent" 自动使用父域名）、path、sameSite、httpOnly、secure、expires（有效秒数）
+    this.cookieOptions = config.tokenInjection?.cookie || {};
+    // 每个 context 中实际写入的 cookie（name / domain / path），清理时精确移除
+    this.injectedCookies = new WeakMap();
     // 自定义 localStorage 配置
     this.localStorageItems = config.localStorageItems || {};
   }
 
+  /**
+   * Build the list of items to inject: the primary token (tokenMethod / tokenName) followed by tokenInjection.items
+   * Items whose value refers to {{token}} are skipped when no token is configured
+   * @returns {Array<object>} Normalized items { method, name, value, domain, path, header }
+   */
+  getItems() {
+    const items = [];
+
+    if (this.token) {
+      items.push({
+        method: this.method,
+        name: this.method === 'header' ? 'Authorization' : this.tokenName,
+        value: '{{token}}',
+        headerTemplate: 'Bearer {{value}}'
+      });
+    }
+    items.push(...this.extraItems);
+
+    return items
+      .filter(item => this.token || !String(item.value ?? '{{token}}').match(TOKEN_PLACEHOLDER))
+      .map(item => {
+        const value = this.render(String(item.value ?? '{{token}}'));
+        return {
+          method: item.method,
+          name: item.name,
+          value,
+          domain: item.domain,
+          path: item.path,
+          // header 的最终值：headerTemplate 中的 {{value}} 替换为 value
+          header: item.method === 'header'
+            ? this.render(item.headerTemplate || '{{value}}').replace(VALUE_PLACEHOLDER, value)
+            : undefined
+        };
+      });
+  }
+
+  /**
+   * Items this injector sets on each page: with a saved storage state, cookie and localStorage items
+   * are already restored from it, so only header and sessionStorage items remain
+   * @returns {Array<object>} Normalized items
+   */
+  getInjectedItems() {
+    const items = this.getItems();
+    return this.useStorageState
+      ? items.filter(item => !STORAGE_STATE_METHODS.includes(item.method))
+      : items;
+  }
+
+  /**
+   * Replace {{token}} with the current token
+   * @param {string} template - Template text
+   * @returns {string} Rendered text
+   */
+  render(template) {
+    return template.replace(TOKEN_PLACEHOLDER, this.token || '');
+  }
+
   /**
    * Inject token into page/browser context
    * @param {object} page - Playwright page object
    * @param {object} context - Playwright browser context
    */
   async inject(page, context) {
-    if (!this.token) {
+    if (!this.token && !this.hasLoginFlow && !this.useStorageState) {
       throw new Error('No access token provided');
     }
 
@@ -30,25 +146,45 @@ class TokenInjector {
             localStorage.setItem(key, value);
           });
         }, this.localStorageItems);
-        
+
         logger.debug(`LocalStorage items configured: ${Object.keys(this.localStorageItems).length} items`);
       }
 
-      switch (this.method) {
-        case 'cookie':
-          await this.injectCookie(context);
-          break;
-        case 'localStorage':
-          await this.injectLocalStorage(page);
-          break;
-        case 'header':
-          await this.injectHeader(page);
-          break;
-        default:
-          throw new Error(`Unknown token injection method: ${this.method}`);
+      const items = this.getInjectedItems();
+      if (items.length === 0) {
+        logger.debug(this.useStorageState
+          ? 'Using saved storage state, token injection skipped'
+          : 'No token configured, using authenticated state from login flow');
+        return;
       }
 
-      logger.success(`Token injected successfully via ${this.method}`);
+      const cookieItems = items.filter(item => item.method === 'cookie');
+      const headerItems = items.filter(item => item.method === 'header');
+
+      if (cookieItems.length > 0) {
+        await this.injectCookies(context, cookieItems);
+      }
+
+      for (const item of items) {
+        switch (item.method) {
+          case 'localStorage':
+          case 'sessionStorage':
+            await this.injectStorage(page, item);
+            break;
+          case 'cookie':
+          case 'header':
+            break;
+          default:
+            throw new Error(`Unknown token injection method: ${item.method}`);
+        }
+      }
+
+      // setExtraHTTPHeaders 会整体替换，所有 header 一次设置
+      if (headerItems.length > 0) {
+        await this.injectHeaders(page, headerItems);
+      }
+
+      logger.success(`Token injected successfully via ${[...new Set(items.map(item => item.method))].join(', ')}`);
     } catch (error) {
       logger.error(`Failed to inject token: ${error.message}`);
       throw error;
@@ -56,82 +192,155 @@ class TokenInjector {
   }
 
   /**
-   * Inject token as cookie
-   * @param {object} context - Playwright browser context
+   * 更新令牌（令牌刷新后调用），之后的注入使用新令牌并覆盖保存的认证状态
+   * @param {string} token - 新令牌
+   */
+  setToken(token) {
+    this.token = token;
+    this.useStorageState = false;
+  }
+
+  /**
+   * Resolve the cookie domain: item domain, then tokenInjection.cookie.domain, then the exact hostname
+   * "parent" uses the parent domain so the cookie is shared across subdomains
+   * @param {string} itemDomain - Domain configured on the item
+   * @returns {string} Cookie domain
+   */
+  getCookieDomain(itemDomain) {
+    const hostname = new URL(this.url).hostname;
+    const domain = itemDomain || this.cookieOptions.domain;
+
+    if (domain === 'parent') {
+      const parentDomain = getParentDomain(hostname);
+      if (!parentDomain) {
+        logger.debug(`No parent domain for ${hostname}, using exact hostname`);
+      }
+      return parentDomain || hostname;
+    }
+
+    return domain || hostname;
+  }
+
+  /**
+   * Build a Playwright cookie from an item and tokenInjection.cookie options
+   * @param {object} item - Cookie item
+   * @returns {object} Cookie
    */
-  async injectCookie(context) {
+  buildCookie(item) {
     const url = new URL(this.url);
-    
-    // 确定要使用的域名
-    let domain = url.hostname;
-    
-    // 特殊处理：如果是 hik-cloud.com 的子域名，使用父域名
-    if (url.hostname.includes('hik-cloud.com')) {
-      domain = '.hik-cloud.com';
+    const options = this.cookieOptions;
+    const cookie = {
+      name: item.name,
+      value: item.value,
+      domain: this.getCookieDomain(item.domain),
+      path: item.path || options.path || '/',
+      httpOnly: options.httpOnly ?? false,
+      secure: options.secure ?? url.protocol === 'https:',
+      sameSite: options.sameSite || 'Lax'
+    };
+
+    // 未配置 expires 时为会话 cookie
+    if (options.expires !== undefined) {
+      cookie.expires = Math.floor(Date.now() / 1000) + options.expires;
     }
-    
-    await context.addCookies([{
-      name: this.tokenName,
-      value: this.token,
-      domain: domain,
-      path: '/',
-      httpOnly: false,
-      secure: url.protocol === 'https:',
-      sameSite: 'Lax'
-    }]);
 
-    logger.debug(`Cookie set: ${this.tokenName} on domain ${domain}`);
+    return cookie;
+  }
+
+  /**
+   * Inject cookie items
+   * @param {object} context - Playwright browser context
+   * @param {Array<object>} items - Cookie items
+   */
+  async injectCookies(context, items) {
+    const cookies = items.map(item => this.buildCookie(item));
+    await context.addCookies(cookies);
+
+    // 记录写入的 cookie，重复注入（如令牌刷新）时按 name / domain / path 去重
+    const injected = new Map((this.injectedCookies.get(context) || []).map(cookie => [`${cookie.name}|${cookie.domain}|${cookie.path}`, cookie]));
+    cookies.forEach(cookie => {
+      injected.set(`${cookie.name}|${cookie.domain}|${cookie.path}`, { name: cookie.name, domain: cookie.domain, path: cookie.path });
+      logger.debug(`Cookie set: ${cookie.name} on domain ${cookie.domain} (path ${cookie.path})`);
+    });
+    this.injectedCookies.set(context, [...injected.values()]);
   }
 
   /**
-   * Inject token into localStorage
+   * Inject an item into localStorage or sessionStorage
    * @param {object} page - Playwright page object
+   * @param {object} item - Storage item
    */
-  async injectLocalStorage(page) {
-    await page.addInitScript((tokenData) => {
-      localStorage.setItem(tokenData.name, tokenData.value);
-    }, { name: this.tokenName, value: this.token });
+  async injectStorage(page, item) {
+    const data = { storage: item.method, name: item.name, value: item.value };
+
+    await page.addInitScript((entry) => {
+      window[entry.storage].setItem(entry.name, entry.value);
+    }, data);
 
     // Also set after navigation for existing pages
-    await page.evaluate((tokenData) => {
-      if (typeof localStorage !== 'undefined') {
-        localStorage.setItem(tokenData.name, tokenData.value);
+    await page.evaluate((entry) => {
+      try {
+        window[entry.storage].setItem(entry.name, entry.value);
+      } catch (error) {
+        // about:blank 等页面无法访问存储，导航后由 init script 写入
       }
-    }, { name: this.tokenName, value: this.token });
+    }, data);
 
-    logger.debug(`LocalStorage set: ${this.tokenName}`);
+    logger.debug(`${item.method} set: ${item.name}`);
   }
 
   /**
-   * Inject token as HTTP header
+   * Inject header items
    * @param {object} page - Playwright page object
+   * @param {Array<object>} items - Header items
    */
-  async injectHeader(page) {
-    await page.setExtraHTTPHeaders({
-      'Authorization': `Bearer ${this.token}`
+  async injectHeaders(page, items) {
+    const headers = {};
+    items.forEach(item => {
+      headers[item.name] = item.header;
     });
+    await page.setExtraHTTPHeaders(headers);
 
-    logger.debug('Authorization header set');
+    logger.debug(`Headers set: ${Object.keys(headers).join(', ')}`);
   }
 
   /**
-   * Verify token is properly injected and working
+   * Verify every injected item is in place
    * @param {object} page - Playwright page object
+   * @returns {Promise<boolean>} True when all items are verified
    */
   async verify(page) {
     try {
       logger.debug('Verifying token injection...');
 
-      switch (this.method) {
-        case 'cookie':
-          return await this.verifyCookie(page);
-        case 'localStorage':
-          return await this.verifyLocalStorage(page);
-        case 'header':
-          return await this.verifyHeader(page);
-        default:
-          return false;
+      const items = this.getInjectedItems();
+      const failed = [];
+
+      for (const item of items) {
+        let verified = false;
+        switch (item.method) {
+          case 'cookie':
+            verified = await this.verifyCookie(page, item);
+            break;
+          case 'localStorage':
+          case 'sessionStorage':
+            verified = await this.verifyStorage(page, item);
+            break;
+          case 'header':
+            verified = this.verifyHeader(item);
+            break;
+        }
+        if (!verified) {
+          failed.push(`${item.method}:${item.name}`);
+        }
+      }
+
+      if (failed.length > 0) {
+        logger.debug(`Token verification failed for: ${failed.join(', ')}`);
+        return false;
       }
+
+      return true;
     } catch (error) {
       logger.debug(`Token verification failed: ${error.message}`);
       return false;
@@ -139,32 +348,35 @@ class TokenInjector {
   }
 
   /**
-   * Verify cookie token
+   * Verify a cookie item
    * @param {object} page - Playwright page object
+   * @param {object} item - Cookie item
    */
-  async verifyCookie(page) {
-    const cookies = await page.context().cookies(this.url);
-    const tokenCookie = cookies.find(cookie => cookie.name === this.tokenName);
-    
-    if (tokenCookie && tokenCookie.value === this.token) {
-      logger.debug('Cookie token verified successfully');
+  async verifyCookie(page, item) {
+    // 不按 URL 过滤：path 不是 / 的 cookie 不会出现在目标 URL 的 cookie 列表中
+    const cookies = await page.context().cookies();
+    const cookie = cookies.find(entry => entry.name === item.name && entry.value === item.value);
+
+    if (cookie) {
+      logger.debug(`Cookie ${item.name} verified successfully`);
       return true;
     }
-    
+
     return false;
   }
 
   /**
-   * Verify localStorage token
+   * Verify a localStorage / sessionStorage item
    * @param {object} page - Playwright page object
+   * @param {object} item - Storage item
    */
-  async verifyLocalStorage(page) {
-    const storedToken = await page.evaluate((tokenName) => {
-      return localStorage.getItem(tokenName);
-    }, this.tokenName);
+  async verifyStorage(page, item) {
+    const storedValue = await page.evaluate((entry) => {
+      return window[entry.storage].getItem(entry.name);
+    }, { storage: item.method, name: item.name });
 
-    if (storedToken === this.token) {
-      logger.debug('LocalStorage token verified successfully');
+    if (storedValue === item.value) {
+      logger.debug(`${item.method} ${item.name} verified successfully`);
       return true;
     }
 
@@ -172,35 +384,35 @@ class TokenInjector {
   }
 
   /**
-   * Verify header token
-   * @param {object} page - Playwright page object
+   * Verify a header item
+   * @param {object} item - Header item
    */
-  async verifyHeader(page) {
+  verifyHeader(item) {
     // For headers, we can't directly verify, so we assume success
     // The actual verification will happen when making requests
-    logger.debug('Header token assumed to be set correctly');
+    logger.debug(`Header ${item.name} assumed to be set correctly`);
     return true;
   }
 
   /**
-   * Clean up injected token (for security)
+   * Clean up injected items (for security)
    * @param {object} page - Playwright page object
    * @param {object} context - Playwright browser context
    */
   async cleanup(page, context) {
     try {
-      switch (this.method) {
-        case 'cookie':
-          await this.cleanupCookie(context);
-          break;
-        case 'localStorage':
-          await this.cleanupLocalStorage(page);
-          break;
-        case 'header':
-          // Headers are automatically cleared when page is closed
-          break;
+      const items = this.getInjectedItems();
+
+      await this.cleanupCookies(context);
+
+      for (const item of items.filter(entry => entry.method === 'localStorage' || entry.method === 'sessionStorage')) {
+        await this.cleanupStorage(page, item);
+      }
+
+      if (items.some(item => item.method === 'header')) {
+        await page.setExtraHTTPHeaders({});
       }
-      
+
       logger.debug('Token cleanup completed');
     } catch (error) {
       logger.debug(`Token cleanup failed: ${error.message}`);
@@ -208,32 +420,36 @@ class TokenInjector {
   }
 
   /**
-   * Remove token cookie
+   * Remove exactly the cookies injected into this context
    * @param {object} context - Playwright browser context
    */
-  async cleanupCookie(context) {
-    const url = new URL(this.url);
-    
-    await context.addCookies([{
-      name: this.tokenName,
-      value: '',
-      domain: url.hostname,
-      path: '/',
-      expires: 0 // Expire immediately
-    }]);
+  async cleanupCookies(context) {
+    const cookies = this.injectedCookies.get(context) || [];
+
+    for (const cookie of cookies) {
+      await context.clearCookies({ name: cookie.name, domain: cookie.domain, path: cookie.path });
+    }
+    this.injectedCookies.delete(context);
   }
 
   /**
-   * Remove token from localStorage
+   * Remove an item from localStorage / sessionStorage
    * @param {object} page - Playwright page object
+   * @param {object} item - Storage item
    */
-  async cleanupLocalStorage(page) {
-    await page.evaluate((tokenName) => {
-      if (typeof localStorage !== 'undefined') {
-        localStorage.removeItem(tokenName);
+  async cleanupStorage(page, item) {
+    await page.evaluate((entry) => {
+      try {
+        window[entry.storage].removeItem(entry.name);
+      } catch (error) {
+        // 页面无法访问存储时无需清理
       }
-    }, this.tokenName);
+    }, { storage: item.method, name: item.name });
   }
 }
 
-module.exports = TokenInjector; 
\ No newline at end of file
+module.exports = TokenInjector;
+module.exports.INJECTION_METHODS = INJECTION_METHODS;
+module.exports.STORAGE_STATE_METHODS = STORAGE_STATE_METHODS;
+module.exports.SAME_SITE_VALUES = SAME_SITE_VALUES;
+module.exports.getParentDomain = getParentDomain;
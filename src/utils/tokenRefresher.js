@@ -0,0 +1,161 @@
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const { logger } = require('./logger');
+
+const execAsync = promisify(exec);
+
+const DEFAULT_STATUS_CODES = [401];
+const DEFAULT_MAX_REFRESHES = 5;
+const DEFAULT_ENDPOINT_TIMEOUT = 10000;
+
+/**
+ * 按点分路径读取对象中的值（如 "data.accessToken"）
+ * @param {object} data - 对象
+ * @param {string} pathText - 点分路径
+ * @returns {*} 值
+ */
+function getByPath(data, pathText) {
+  return pathText.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * 令牌过期检测与刷新
+ * - 检测信号：跳转到登录页（auth.expiry.loginUrlPattern）、接口返回 401（auth.expiry.statusCodes）、
+ *   页面校验失败后的 AI 登录提示检查（auth.expiry.aiCheck）
+ * - 刷新方式：执行 auth.refreshCommand（标准输出最后一行为新令牌）或请求 auth.refreshEndpoint
+ * 多个执行器共享同一个实例，并发的刷新请求合并为一次
+ */
+class TokenRefresher {
+  /**
+   * @param {object} config - 配置对象
+   * @param {object} tokenInjector - 令牌注入器（刷新后更新其中的令牌）
+   */
+  constructor(config, tokenInjector) {
+    const auth = config.auth || {};
+    const expiry = auth.expiry || {};
+
+    this.tokenInjector = tokenInjector;
+    this.refreshCommand = auth.refreshCommand || null;
+    this.refreshEndpoint = auth.refreshEndpoint || null;
+    this.maxRefreshes = auth.maxRefreshes ?? DEFAULT_MAX_REFRESHES;
+    this.timeout = config.timeout || 30000;
+    // 刷新接口应当很快返回，使用单独的较短超时，避免卡住所有等待刷新的执行器
+    this.endpointTimeout = this.refreshEndpoint?.timeout ?? DEFAULT_ENDPOINT_TIMEOUT;
+
+    // 配置了检测规则或刷新方式时启用过期检测
+    this.enabled = Boolean(auth.expiry || this.refreshCommand || this.refreshEndpoint);
+    this.loginUrlPattern = expiry.loginUrlPattern ? new RegExp(expiry.loginUrlPattern) : null;
+    this.statusCodes = expiry.statusCodes || DEFAULT_STATUS_CODES;
+    this.aiCheck = expiry.aiCheck !== false;
+
+    this.refreshCount = 0;
+    this.pending = null;
+  }
+
+  /**
+   * 是否配置了刷新方式
+   * @returns {boolean} 是否可以刷新
+   */
+  canRefresh() {
+    return Boolean(this.refreshCommand || this.refreshEndpoint);
+  }
+
+  /**
+   * 判断接口响应是否表示未认证（只统计 xhr / fetch 请求）
+   * @param {object} response - Playwright response
+   * @returns {boolean} 是否未认证
+   */
+  isUnauthorizedResponse(response) {
+    const resourceType = response.request().resourceType();
+    return (resourceType === 'xhr' || resourceType === 'fetch') && this.statusCodes.includes(response.status());
+  }
+
+  /**
+   * 判断 URL 是否为登录页
+   * @param {string} url - 当前 URL
+   * @returns {boolean} 是否匹配登录页规则
+   */
+  isLoginUrl(url) {
+    return Boolean(this.loginUrlPattern && this.loginUrlPattern.test(url));
+  }
+
+  /**
+   * 刷新令牌并更新令牌注入器
+   * 并发调用共用同一次刷新；staleToken 已被其他执行器替换时直接返回当前令牌
+   * @param {string} staleToken - 检测到过期时使用的令牌
+   * @returns {Promise<string>} 新令牌
+   */
+  async refresh(staleToken) {
+    if (this.pending) {
+      return this.pending;
+    }
+    if (staleToken !== undefined && this.tokenInjector.token && staleToken !== this.tokenInjector.token) {
+      return this.tokenInjector.token;
+    }
+    if (this.refreshCount >= this.maxRefreshes) {
+      throw new Error(`令牌刷新次数已达上限 ${this.maxRefreshes}`);
+    }
+
+    this.pending = this.fetchToken()
+      .catch(error => {
+        throw new Error(`令牌刷新失败: ${error.message}`);
+      })
+      .finally(() => {
+        this.pending = null;
+      });
+    return this.pending;
+  }
+
+  /**
+   * 通过刷新命令或刷新接口取得新令牌并写入令牌注入器
+   * @returns {Promise<string>} 新令牌
+   */
+  async fetchToken() {
+    this.refreshCount++;
+    logger.info(`🔄 登录状态已失效，正在刷新令牌（第 ${this.refreshCount} 次）...`);
+
+    const token = this.refreshCommand
+      ? await this.refreshFromCommand()
+      : await this.refreshFromEndpoint();
+    if (!token) {
+      throw new Error('刷新结果中没有令牌');
+    }
+
+    this.tokenInjector.setToken(String(token));
+    logger.success('令牌已刷新');
+    return String(token);
+  }
+
+  /**
+   * 执行刷新命令，取标准输出的最后一个非空行作为新令牌
+   * @returns {Promise<string>} 新令牌
+   */
+  async refreshFromCommand() {
+    const { stdout } = await execAsync(this.refreshCommand, { timeout: this.timeout });
+    const lines = stdout.split('\n').map(line => line.trim()).filter(Boolean);
+    return lines[lines.length - 1];
+  }
+
+  /**
+   * 请求刷新接口，按 tokenPath 从 JSON 响应中读取新令牌
+   * @returns {Promise<string>} 新令牌
+   */
+  async refreshFromEndpoint() {
+    const { url, method = 'POST', headers = {}, body, tokenPath = 'access_token' } = this.refreshEndpoint;
+    const response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: AbortSignal.timeout(this.endpointTimeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`刷新接口返回 ${response.status}`);
+    }
+
+    return getByPath(await response.json(), tokenPath);
+  }
+}
+
+module.exports = TokenRefresher;
+module.exports.DEFAULT_ENDPOINT_TIMEOUT = DEFAULT_ENDPOINT_TIMEOUT;
@@ -4,7 +4,12 @@ const open = require('open');
 const chalk = require('chalk');
 
 class StaticWebServer {
-  constructor() {
+  /**
+   * @param {object} options - 服务选项
+   * @param {Function} options.statusProvider - 返回定时运行状态的函数（daemon 模式），结果附加到 /health
+   */
+  constructor(options = {}) {
+    this.statusProvider = options.statusProvider || null;
     this.app = express();
     this.setupStaticFiles();
   }
@@ -16,11 +21,27 @@ class StaticWebServer {
     
     // 健康检查端点
     this.app.get('/health', (req, res) => {
-      res.json({ 
+      const health = {
         status: 'ok', 
         service: 'menu-tester-web',
         timestamp: new Date().toISOString()
-      });
+      };
+
+      // daemon 模式下附带最近一次运行的状态与时间
+      if (this.statusProvider) {
+        const schedule = this.statusProvider();
+        const lastRun = schedule.lastRun;
+        health.lastRun = lastRun ? {
+          status: lastRun.status,
+          timestamp: lastRun.completedTime,
+          sessionId: lastRun.sessionId,
+          summary: lastRun.summary,
+          error: lastRun.error
+        } : null;
+        health.schedule = schedule;
+      }
+
+      res.json(health);
     });
     
     // 所有其他路由都返回 index.html (支持 SPA 路由)
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BIN = path.resolve(__dirname, '../bin/menu-tester.js');
+
+/**
+ * 以不存在的配置文件运行命令，返回输出（加载配置失败时会打印实际解析的路径）
+ */
+function run(args, cwd) {
+  const result = spawnSync(process.execPath, [BIN, ...args], { cwd, encoding: 'utf8', timeout: 30000 });
+  return `${result.stdout}${result.stderr}`;
+}
+
+test('子命令的 --config / -C 不会被根命令的旧版 --config 抢走', () => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'menu-tester-cli-'));
+  const requested = path.join(cwd, 'requested-config.json');
+
+  const commands = [
+    ['routes', 'crawl', '--config', requested],
+    ['routes', '-C', requested, 'crawl'],
+    ['routes', 'discover', '--from', 'router', '--config', requested],
+    ['routes', '--config', requested, '--stats'],
+    ['auth', 'save', '--config', requested],
+    ['daemon', '--config', requested, '--cron', '0 * * * *'],
+    ['sessions', 'list', '--config', requested],
+    ['sessions', '--config', requested, 'list'],
+    ['test', '--config', requested]
+  ];
+
+  for (const args of commands) {
+    const output = run(args, cwd);
+    assert.ok(output.includes(requested), `${args.join(' ')} 未使用指定的配置文件:\n${output}`);
+    assert.ok(!output.includes('hik-config.json'), `${args.join(' ')} 使用了默认配置文件:\n${output}`);
+  }
+});
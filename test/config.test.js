@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateConfig } = require('../src/utils/config');
+const { ERROR_TYPES } = require('../src/core/ExceptionHandler');
+const { SUPPORTED_BROWSERS } = require('../src/utils/devicePresets');
+const { silenceLogger } = require('./helpers/logger');
+
+silenceLogger();
+
+const BASE_CONFIG = { url: 'https://app.example.com', token: 'test-token' };
+
+test('retryPolicy.retryOn 使用 ExceptionHandler 的错误类型', () => {
+  assert.ok(validateConfig({ ...BASE_CONFIG, retryPolicy: { retryOn: ERROR_TYPES } }).isValid);
+
+  const { isValid, errors } = validateConfig({ ...BASE_CONFIG, retryPolicy: { retryOn: ['timeout', 'unknown'] } });
+  assert.ok(!isValid);
+  assert.ok(errors.some(error => error.includes('"unknown"') && error.includes(ERROR_TYPES.join(', '))));
+});
+
+test('browsers 只能使用支持的浏览器引擎', () => {
+  assert.ok(validateConfig({ ...BASE_CONFIG, browsers: SUPPORTED_BROWSERS }).isValid);
+
+  const { isValid, errors } = validateConfig({ ...BASE_CONFIG, browsers: ['chromium', 'edge'] });
+  assert.ok(!isValid);
+  assert.ok(errors.some(error => error.includes('"edge"')));
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCron, getNextRun } = require('../src/utils/cron');
+
+test('parseCron 解析范围、列表与步长', () => {
+  const schedule = parseCron('*/15 8-10 1,15 * 7');
+
+  assert.deepStrictEqual([...schedule.minute], [0, 15, 30, 45]);
+  assert.deepStrictEqual([...schedule.hour], [8, 9, 10]);
+  assert.deepStrictEqual([...schedule.dayOfMonth], [1, 15]);
+  assert.ok(schedule.dayOfWeek.has(0));
+  assert.throws(() => parseCron('0 8 * *'), /5 个字段/);
+  assert.throws(() => parseCron('0 24 * * *'), /超出范围/);
+});
+
+test('getNextRun 返回严格晚于起始时间的下一次触发时间', () => {
+  const from = new Date(2025, 0, 1, 8, 0, 0);
+
+  assert.deepStrictEqual(getNextRun('0 8 * * *', from), new Date(2025, 0, 2, 8, 0));
+  assert.deepStrictEqual(getNextRun('*/15 * * * *', new Date(2025, 0, 1, 8, 7, 30)), new Date(2025, 0, 1, 8, 15));
+});
+
+test('getNextRun 在日与周都受限时满足任一即可', () => {
+  // 2025-01-01 为周三：下一个 15 日或周一
+  assert.deepStrictEqual(getNextRun('0 9 15 * 1', new Date(2025, 0, 1, 12, 0)), new Date(2025, 0, 6, 9, 0));
+});
+
+test('getNextRun 对永远不会触发的表达式报错', () => {
+  assert.throws(() => getNextRun('0 0 30 2 *', new Date(2025, 0, 1)), /没有可触发的时间/);
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EXIT_CODES, hasGates, evaluateGates } = require('../src/utils/gates');
+
+const progress = menus => ({ menus: Object.fromEntries(menus.map((menu, i) => [`route-${i}`, { text: `菜单 ${i}`, ...menu }])) });
+
+test('hasGates 判断是否配置了门禁', () => {
+  assert.ok(!hasGates({}));
+  assert.ok(!hasGates({ failOnVisualDiff: false }));
+  assert.ok(hasGates({ maxFailures: 0 }));
+  assert.ok(hasGates({ failOnPerformance: true }));
+});
+
+test('未违反门禁时通过', () => {
+  const result = evaluateGates(progress([{ status: 'completed' }, { status: 'failed' }]), { maxFailures: 1, minSuccessRate: 50 });
+  assert.deepStrictEqual(result, { passed: true, exitCode: EXIT_CODES.success, violations: [] });
+});
+
+test('同时违反多个门禁时取最小的退出码', () => {
+  const result = evaluateGates(progress([
+    { status: 'failed' },
+    { status: 'completed', screenshotComparisons: [{ match: false, scenario: '弹窗' }] }
+  ]), { maxFailures: 0, minSuccessRate: 90, failOnVisualDiff: true });
+
+  assert.ok(!result.passed);
+  assert.deepStrictEqual(result.violations.map(violation => violation.gate), ['maxFailures', 'minSuccessRate', 'failOnVisualDiff']);
+  assert.strictEqual(result.exitCode, EXIT_CODES.maxFailures);
+});
+
+test('failOnPerformance 只统计未通过阈值的路由', () => {
+  const result = evaluateGates(progress([
+    { status: 'completed', performance: { thresholds: { allPassed: false, warnings: ['LCP 5000ms'] } } },
+    { status: 'completed', performance: { thresholds: { allPassed: true } } }
+  ]), { failOnPerformance: true });
+
+  assert.strictEqual(result.exitCode, EXIT_CODES.failOnPerformance);
+  assert.match(result.violations[0].message, /菜单 0 \(LCP 5000ms\)/);
+});
+
+test('没有路由的会话（空分片）不违反成功率门禁', () => {
+  assert.ok(evaluateGates(progress([]), { minSuccessRate: 90, maxFailures: 0 }).passed);
+});
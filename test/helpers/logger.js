@@ -0,0 +1,14 @@
+const { mock } = require('node:test');
+const { logger } = require('../../src/utils/logger');
+
+/**
+ * 屏蔽 logger 输出
+ * node --test 通过子进程的 stdout 回传测试结果，大量日志输出可能导致结果解析失败
+ */
+function silenceLogger() {
+  ['info', 'success', 'warning', 'error', 'debug', 'progress', 'menu', 'page'].forEach(level => {
+    mock.method(logger, level, () => {});
+  });
+}
+
+module.exports = { silenceLogger };
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const LinkCrawler = require('../src/core/LinkCrawler');
+const MenuCache = require('../src/core/MenuCache');
+const { silenceLogger } = require('./helpers/logger');
+
+silenceLogger();
+
+/**
+ * 按 URL 返回固定链接的 Playwright page 替身
+ */
+function createPage(linksByUrl) {
+  let current = null;
+  return {
+    async goto(url) {
+      current = url;
+    },
+    async waitForLoadState() {},
+    async evaluate() {
+      return (linksByUrl[current] || []).map(([href, text]) => ({ href, text }));
+    }
+  };
+}
+
+test('默认去重保留查询参数之后的 hash 路由', async () => {
+  const crawler = new LinkCrawler({ url: 'https://app.example.com/?tenant=1#/home' }, { depth: 1 });
+  const page = createPage({
+    'https://app.example.com/?tenant=1#/home': [
+      ['https://app.example.com/?tenant=1#/users', '用户管理'],
+      ['https://app.example.com/?tenant=2#/users', '用户管理'],
+      ['https://app.example.com/?tenant=1#/roles', '角色管理']
+    ]
+  });
+
+  const routes = await crawler.crawl(page);
+
+  assert.deepStrictEqual(routes.map(route => route.menuText), ['用户管理', '角色管理']);
+});
+
+test('MenuCache.normalizeRoute 在查询参数位于 hash 之前时保留 hash 路由', () => {
+  const menuCache = new MenuCache({ url: 'https://app.example.com' });
+  assert.strictEqual(
+    menuCache.normalizeRoute('https://app.example.com/?tenant=1#/users?tab=2'),
+    'https://app.example.com/#/users'
+  );
+});
+
+test('isAllowed 默认收集同一父域名下的链接并过滤静态资源', () => {
+  const crawler = new LinkCrawler({ url: 'https://app.example.com/' }, { exclude: ['/logout'] });
+
+  assert.ok(crawler.isAllowed('https://report.example.com/daily'));
+  assert.ok(!crawler.isAllowed('https://example.org/'));
+  assert.ok(!crawler.isAllowed('https://app.example.com/files/manual.pdf'));
+  assert.ok(!crawler.isAllowed('https://app.example.com/logout'));
+  assert.ok(!new LinkCrawler({ url: 'https://app.example.com/' }, { sameOrigin: true }).isAllowed('https://report.example.com/'));
+});
+
+test('isAllowed 不会把公共托管平台上的其他站点当作同一父域名', () => {
+  const crawler = new LinkCrawler({ url: 'https://shop.github.io/' }, {});
+
+  assert.ok(crawler.isAllowed('https://shop.github.io/orders'));
+  assert.ok(!crawler.isAllowed('https://other.github.io/'));
+});
@@ -0,0 +1,107 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const MenuTester = require('../src/MenuTester');
+const RouteRunner = require('../src/core/RouteRunner');
+const ProgressTracker = require('../src/core/ProgressTracker');
+const SessionManager = require('../src/utils/sessionManager');
+const { parseRetention } = SessionManager;
+const { getShardIndex } = require('../src/utils/shard');
+const { expandRoutes } = require('../src/utils/routeParameters');
+const { buildExecutionPlan } = require('../src/utils/executionPlan');
+const { silenceLogger } = require('./helpers/logger');
+
+silenceLogger();
+
+test('start() 不会删除 --keep 30d 保留期内的旧会话', async () => {
+  const output = await fs.mkdtemp(path.join(os.tmpdir(), 'menu-tester-retention-'));
+  const startedAt = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+  const sessionFile = path.join(output, 'session-old.json');
+  await fs.writeJson(sessionFile, {
+    sessionId: 'old',
+    status: 'completed',
+    menus: {},
+    timestamps: { started: startedAt.toISOString(), completed: startedAt.toISOString() }
+  });
+
+  const tester = new MenuTester({ url: 'https://app.example.com', token: 'test-token', output });
+  mock.method(tester, 'executeRouteModeTesting', async () => ({}));
+  await tester.start();
+
+  assert.ok(await fs.pathExists(sessionFile));
+  const removed = await new ProgressTracker({ output }).pruneSessions(parseRetention('30d'));
+  assert.strictEqual(removed.length, 0);
+  assert.ok(await fs.pathExists(sessionFile));
+  await fs.remove(output);
+});
+
+test('分片数多于路由数时空分片记为成功的会话，并能参与合并', async () => {
+  const output = await fs.mkdtemp(path.join(os.tmpdir(), 'menu-tester-empty-shard-'));
+  const routes = ['users', 'roles', 'report'].map(name => ({ menuText: name, url: `https://app.example.com/${name}` }));
+  const total = 4;
+  const used = new Set(routes.map(route => getShardIndex(route.url, total)));
+  const indexes = Array.from({ length: total }, (_, i) => i + 1);
+  const emptyIndexes = indexes.filter(index => !used.has(index));
+  assert.ok(emptyIndexes.length > 0);
+
+  for (const index of emptyIndexes) {
+    const tester = new MenuTester({
+      url: 'https://app.example.com',
+      token: 'test-token',
+      output,
+      routes,
+      gates: { minSuccessRate: 90 },
+      shard: { index, total, runId: 'run-1' }
+    });
+    const summary = await tester.start();
+
+    assert.strictEqual(summary.totalRoutes, 0);
+    assert.ok(summary.gates.passed);
+    assert.strictEqual(tester.progressTracker.progress.status, 'completed');
+  }
+
+  // 其余分片的会话（有路由，需要浏览器执行）以完成的会话文件代替
+  for (const index of indexes.filter(index => used.has(index))) {
+    const startTime = Date.now();
+    await fs.writeJson(path.join(output, `session-shard-${index}.json`), {
+      sessionId: `shard-${index}`,
+      startTime,
+      duration: 1000,
+      status: 'completed',
+      shard: { index, total, runId: 'run-1' },
+      config: { url: 'https://app.example.com', output },
+      menus: {},
+      errors: [],
+      timestamps: { started: new Date(startTime).toISOString(), completed: new Date(startTime + 1000).toISOString() }
+    });
+  }
+
+  const { summary } = await new SessionManager({ output }).mergeShards(output, { runId: 'run-1' });
+  assert.strictEqual(summary.shards, total);
+  await fs.remove(output);
+});
+
+test('环境变量参数不会写入会话菜单、执行计划与路由结果', async () => {
+  const routes = await expandRoutes([
+    { menuText: '报表', url: 'https://app.example.com/report?token={{REPORT_KEY}}' }
+  ], { env: { REPORT_KEY: 'live-secret' } });
+
+  const tester = new MenuTester({ url: 'https://app.example.com', token: 'test-token' });
+  const { routes: pairedRoutes, menus } = tester.buildRouteMenus(routes, ['chromium']);
+  const plan = buildExecutionPlan(tester.config, pairedRoutes, menus);
+  assert.strictEqual(menus[0].url, 'https://app.example.com/report?token=***');
+  assert.ok(!JSON.stringify(menus).includes('live-secret'));
+  assert.ok(!JSON.stringify(plan).includes('live-secret'));
+
+  const result = RouteRunner.prototype.maskResult(routes[0], {
+    success: false,
+    error: 'page.goto: net::ERR_CONNECTION_REFUSED at https://app.example.com/report?token=live-secret',
+    url: routes[0].url,
+    details: { currentUrl: routes[0].url, expectedUrl: routes[0].url },
+    attempts: [{ attempt: 1, error: 'timeout at https://app.example.com/report?token=live-secret' }]
+  });
+  assert.strictEqual(result.url, 'https://app.example.com/report?token=***');
+  assert.ok(!JSON.stringify(result).includes('live-secret'));
+});
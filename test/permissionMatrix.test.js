@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { FORBIDDEN_CHECK_NAME, getExpectation, evaluatePermission, buildPermissionMatrix } = require('../src/utils/permissionMatrix');
+
+const forbidden = { success: false, layers: { midscene: { details: { [FORBIDDEN_CHECK_NAME]: { passed: false } } } } };
+
+test('getExpectation 读取路由对账号的权限预期', () => {
+  const route = { expect: { admin: 'allow', guest: 'deny' } };
+  assert.strictEqual(getExpectation(route, 'guest'), 'deny');
+  assert.strictEqual(getExpectation(route, 'manager'), null);
+  assert.strictEqual(getExpectation({}, 'admin'), null);
+});
+
+test('evaluatePermission 区分越权与误拦截', () => {
+  assert.deepStrictEqual(evaluatePermission('allow', { success: true }), { expected: 'allow', actual: 'allow', match: true, error: null });
+  assert.match(evaluatePermission('deny', { success: true }).error, /越权/);
+  assert.match(evaluatePermission('allow', forbidden).error, /误拦截/);
+  assert.match(evaluatePermission('deny', null).error, /页面校验失败/);
+  assert.strictEqual(evaluatePermission(null, forbidden).actual, 'deny');
+});
+
+test('buildPermissionMatrix 按路由 × 账号汇总，任一结果不符即记为不符', () => {
+  const cell = (expected, actual) => ({ expected, actual, match: actual === expected });
+  const menus = [
+    { text: '用户管理', url: '/users', account: 'admin', browser: 'chromium', permission: cell('allow', 'allow') },
+    { text: '用户管理', url: '/users', account: 'guest', browser: 'chromium', permission: cell('deny', 'deny') },
+    { text: '用户管理', url: '/users', account: 'guest', browser: 'firefox', permission: cell('deny', 'allow') },
+    { text: '报表', url: '/report', account: 'admin', permission: cell('allow', 'deny') },
+    { text: '报表', url: '/report', account: 'guest', status: 'skipped' }
+  ];
+
+  const matrix = buildPermissionMatrix(menus);
+
+  assert.deepStrictEqual(matrix.accounts, ['admin', 'guest']);
+  assert.strictEqual(matrix.rows.length, 2);
+  assert.strictEqual(matrix.rows[0].cells.guest.actual, 'allow');
+  assert.strictEqual(matrix.rows[1].cells.guest.actual, 'skipped');
+  assert.deepStrictEqual({ leaked: matrix.leaked, blocked: matrix.blocked, mismatched: matrix.mismatched }, { leaked: 1, blocked: 1, mismatched: 2 });
+  assert.strictEqual(buildPermissionMatrix([{ text: '首页' }]), null);
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const ProgressTracker = require('../src/core/ProgressTracker');
+const { silenceLogger } = require('./helpers/logger');
+
+silenceLogger();
+
+const SECRET = 'secret-token-abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * 用给定配置初始化会话并读取写入磁盘的会话文件
+ */
+async function saveSession(config) {
+  const output = await fs.mkdtemp(path.join(os.tmpdir(), 'menu-tester-session-'));
+  const tracker = new ProgressTracker({ url: 'https://app.example.com', output, ...config });
+  await tracker.initialize([]);
+  const content = await fs.readFile(tracker.progressFile, 'utf8');
+  await fs.remove(output);
+  return content;
+}
+
+test('会话文件中不保存原始令牌', async () => {
+  const content = await saveSession({ token: SECRET });
+  assert.ok(!content.includes(SECRET));
+});
+
+test('会话文件中不保存 accounts 的令牌与密码', async () => {
+  const config = {
+    accounts: [
+      { name: 'admin', token: SECRET },
+      { name: 'manager', token: `${SECRET}-manager`, password: 'manager-password' }
+    ]
+  };
+  const content = await saveSession(config);
+
+  assert.ok(!content.includes(SECRET));
+  assert.ok(!content.includes('manager-password'));
+  assert.deepStrictEqual(JSON.parse(content).config.accounts.map(account => account.name), ['admin', 'manager']);
+  // 不修改运行中使用的配置
+  assert.strictEqual(config.accounts[0].token, SECRET);
+});
+
+test('会话文件中不保存 tokenInjection.items 的取值', async () => {
+  const content = await saveSession({
+    token: SECRET,
+    tokenInjection: {
+      items: [
+        { method: 'localStorage', name: 'access_token' },
+        { method: 'header', name: 'X-Tenant-Key', value: 'tenant-key-0123456789abcdef' }
+      ]
+    }
+  });
+
+  assert.ok(!content.includes('tenant-key-0123456789abcdef'));
+  assert.strictEqual(JSON.parse(content).config.tokenInjection.items[1].name, 'X-Tenant-Key');
+});
+
+test('会话文件中不保存刷新接口的请求头与请求体', async () => {
+  const content = await saveSession({
+    token: SECRET,
+    auth: {
+      refreshEndpoint: {
+        url: 'https://sso.example.com/token',
+        headers: { Authorization: 'Basic client-secret-value' },
+        body: { grant_type: 'refresh_token', refresh_token: 'refresh-token-value' }
+      }
+    }
+  });
+
+  assert.ok(!content.includes('client-secret-value'));
+  assert.ok(!content.includes('refresh-token-value'));
+  const { refreshEndpoint } = JSON.parse(content).config.auth;
+  assert.strictEqual(refreshEndpoint.url, 'https://sso.example.com/token');
+  assert.deepStrictEqual(Object.keys(refreshEndpoint.headers), ['Authorization']);
+});
+
+test('会话文件中的登录流程只保留选择器与环境变量名', async () => {
+  const content = await saveSession({
+    auth: {
+      loginFlow: {
+        username: { selector: '#username', env: 'LOGIN_USERNAME', value: 'admin-user' },
+        password: { selector: '#password', value: 'admin-password' },
+        submit: { type: 'click', selector: 'button[type=submit]' },
+        success: { selector: '.layout' }
+      }
+    }
+  });
+
+  assert.ok(!content.includes('admin-user'));
+  assert.ok(!content.includes('admin-password'));
+  const { loginFlow } = JSON.parse(content).config.auth;
+  assert.deepStrictEqual(loginFlow.username, { selector: '#username', env: 'LOGIN_USERNAME' });
+  assert.strictEqual(loginFlow.password.selector, '#password');
+});
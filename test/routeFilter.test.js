@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeList, isEmptyFilter, filterRoutes, countTags } = require('../src/utils/routeFilter');
+
+const routes = [
+  { menuText: '用户管理', url: 'https://a.com/users', level: 1, tags: ['smoke', 'admin'] },
+  { menuText: '角色管理', url: 'https://a.com/roles', level: 2, tags: 'admin' },
+  { menuText: '数据报表', url: 'https://a.com/report', level: 2 }
+];
+
+test('normalizeList 统一逗号分隔字符串与数组', () => {
+  assert.deepStrictEqual(normalizeList(' a, b ,a,, '), ['a', 'b']);
+  assert.deepStrictEqual(normalizeList(['x', 'x', 1]), ['x', '1']);
+  assert.deepStrictEqual(normalizeList(undefined), []);
+  assert.ok(isEmptyFilter({ tags: '', onlyLevel: 'abc' }));
+});
+
+test('filterRoutes 组合标签、关键字与层级', () => {
+  const names = filter => filterRoutes(routes, filter).map(route => route.menuText);
+
+  assert.deepStrictEqual(names({ tags: 'admin' }), ['用户管理', '角色管理']);
+  assert.deepStrictEqual(names({ tags: 'admin', excludeTags: 'smoke' }), ['角色管理']);
+  assert.deepStrictEqual(names({ grep: 'REPORT' }), ['数据报表']);
+  assert.deepStrictEqual(names({ onlyLevel: '2', grep: '管理' }), ['角色管理']);
+  assert.throws(() => filterRoutes(routes, { grep: '(' }), /无效的 grep 表达式/);
+});
+
+test('countTags 统计标签分布', () => {
+  assert.deepStrictEqual(countTags(routes), { smoke: 1, admin: 2, '(无标签)': 1 });
+});
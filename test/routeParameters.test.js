@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { getPlaceholders, restorePlaceholders, parseCsv, expandRoutes, maskSecrets, formatParameters } = require('../src/utils/routeParameters');
+
+test('getPlaceholders 按出现顺序去重', () => {
+  assert.deepStrictEqual(getPlaceholders('门店 {{storeId}}', '/store/{{storeId}}/task/{{ taskId }}'), ['storeId', 'taskId']);
+  assert.strictEqual(restorePlaceholders('https://a.com/store/%7B%7BstoreId%7D%7D'), 'https://a.com/store/{{storeId}}');
+});
+
+test('parseCsv 支持引号字段、转义与 CRLF', () => {
+  const rows = parseCsv('storeId,name\r\n1001,"总店, 一号"\r\n1002,"He said ""hi"""\r\n\r\n');
+  assert.deepStrictEqual(rows, [
+    { storeId: '1001', name: '总店, 一号' },
+    { storeId: '1002', name: 'He said "hi"' }
+  ]);
+});
+
+test('expandRoutes 依次从数据集、variables 与环境变量取值', async () => {
+  const routes = await expandRoutes([
+    { menuText: '首页', url: 'https://a.com/' },
+    { menuText: '门店 {{storeId}}', url: 'https://a.com/{{tenant}}/store/{{storeId}}', dataset: [{ storeId: 1 }, { storeId: 2, tenant: 'beta' }] },
+    { menuText: '报表', url: 'https://a.com/{{tenant}}/report?token={{REPORT_KEY}}' }
+  ], { variables: { tenant: 'alpha' }, env: { REPORT_KEY: 'k1' } });
+
+  assert.deepStrictEqual(routes.map(route => route.url), [
+    'https://a.com/',
+    'https://a.com/alpha/store/1',
+    'https://a.com/beta/store/2',
+    'https://a.com/alpha/report?token=k1'
+  ]);
+  assert.deepStrictEqual(routes[1].parameters, { storeId: '1', tenant: 'alpha' });
+  assert.deepStrictEqual(routes[1].template, { menuText: '门店 {{storeId}}', url: 'https://a.com/{{tenant}}/store/{{storeId}}' });
+  assert.strictEqual(routes[1].dataset, undefined);
+  assert.strictEqual(formatParameters(routes[2].parameters), 'storeId=2, tenant=beta');
+});
+
+test('expandRoutes 记录的参数与 URL 中不包含环境变量的取值', async () => {
+  const [route] = await expandRoutes([
+    { menuText: '报表 {{REPORT_KEY}}', url: 'https://a.com/{{tenant}}/report?token={{REPORT_KEY}}' }
+  ], { variables: { tenant: 'alpha' }, env: { REPORT_KEY: 's3cr/et' } });
+
+  assert.strictEqual(route.url, 'https://a.com/alpha/report?token=s3cr/et');
+  assert.strictEqual(route.displayUrl, 'https://a.com/alpha/report?token=***');
+  assert.strictEqual(route.menuText, '报表 ***');
+  assert.deepStrictEqual(route.parameters, { tenant: 'alpha', REPORT_KEY: '***' });
+  assert.strictEqual(formatParameters(route.parameters), 'REPORT_KEY=***, tenant=alpha');
+  assert.ok(!JSON.stringify({ ...route, url: undefined }).includes('s3cr'));
+  assert.strictEqual(
+    maskSecrets(route, 'net::ERR_FAILED at https://a.com/alpha/report?token=s3cr%2Fet'),
+    'net::ERR_FAILED at https://a.com/alpha/report?token=***'
+  );
+});
+
+test('expandRoutes 读取相对于 baseDir 的 CSV 数据集', async () => {
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'menu-tester-dataset-'));
+  await fs.writeFile(path.join(baseDir, 'stores.csv'), 'storeId\n1\n2\n');
+
+  const routes = await expandRoutes([{ menuText: '门店', url: 'https://a.com/store/{{storeId}}', dataset: 'stores.csv' }], { baseDir, env: {} });
+
+  // 模板未引用的列同样记入参数，报告中可以区分各行
+  assert.deepStrictEqual(routes.map(route => route.menuText), ['门店', '门店']);
+  assert.deepStrictEqual(routes.map(route => route.parameters.storeId), ['1', '2']);
+  await fs.remove(baseDir);
+});
+
+test('expandRoutes 在参数缺失时报错', async () => {
+  await assert.rejects(
+    expandRoutes([{ menuText: '门店', url: 'https://a.com/store/{{storeId}}' }], { env: {} }),
+    /路由 "门店" 的参数 storeId 未在 variables 或环境变量 中定义/
+  );
+});
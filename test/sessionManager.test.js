@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const SessionManager = require('../src/utils/sessionManager');
+const { parseRetention } = SessionManager;
+const { silenceLogger } = require('./helpers/logger');
+
+silenceLogger();
+
+test('parseRetention 解析保留时长与保留数量', () => {
+  assert.deepStrictEqual(parseRetention('10'), { keepCount: 10 });
+  assert.deepStrictEqual(parseRetention('12h'), { maxAge: 12 * 60 * 60 * 1000 });
+  assert.deepStrictEqual(parseRetention('30D'), { maxAge: 30 * 24 * 60 * 60 * 1000 });
+  assert.deepStrictEqual(parseRetention('2w'), { maxAge: 14 * 24 * 60 * 60 * 1000 });
+  assert.throws(() => parseRetention('1m'), /无效的保留规则/);
+});
+
+test('compareProgress 区分不同账号下的同一路由', () => {
+  const sessionManager = new SessionManager({ output: os.tmpdir() });
+  const menu = (id, account, status) => ({ id, text: '用户管理', url: 'https://app.example.com/users', account, status });
+  const base = { menus: { a: menu('a', 'admin', 'completed'), b: menu('b', 'manager', 'failed') } };
+  const target = { menus: { a: menu('a', 'admin', 'failed'), b: menu('b', 'manager', 'completed') } };
+
+  const result = sessionManager.compareProgress(base, target);
+
+  assert.deepStrictEqual(result.newlyFailed.map(item => item.account), ['admin']);
+  assert.deepStrictEqual(result.recovered.map(item => item.account), ['manager']);
+  assert.strictEqual(result.added.length, 0);
+  assert.strictEqual(result.removed.length, 0);
+});
+
+/**
+ * 在临时目录中写入分片会话文件
+ * @param {Array<object>} shards - [{ index, total, runId, status }]
+ */
+async function writeShardSessions(shards) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'menu-tester-shards-'));
+  for (const [position, shard] of shards.entries()) {
+    const sessionId = `shard-${position}`;
+    const startTime = Date.now() - 60000 + position * 1000;
+    await fs.writeJson(path.join(dir, `session-${sessionId}.json`), {
+      sessionId,
+      startTime,
+      duration: 1000,
+      status: shard.status || 'completed',
+      shard: { index: shard.index, total: shard.total, runId: shard.runId || null },
+      config: { url: shard.url || 'https://app.example.com', output: dir },
+      menus: {
+        'route-0': { id: 'route-0', text: `菜单 ${shard.index}`, url: `https://app.example.com/${shard.index}`, status: 'completed', attempts: [] }
+      },
+      errors: [],
+      timestamps: { started: new Date(startTime).toISOString(), completed: new Date(startTime + 1000).toISOString() }
+    });
+  }
+  return dir;
+}
+
+test('mergeShards 只合并指定运行的分片', async () => {
+  const dir = await writeShardSessions([
+    { index: 1, total: 2, runId: 'run-1' },
+    { index: 2, total: 2, runId: 'run-1' },
+    { index: 1, total: 3, runId: 'run-2' }
+  ]);
+  const sessionManager = new SessionManager({ output: dir });
+
+  await assert.rejects(sessionManager.mergeShards(dir), /--run-id/);
+
+  const { summary } = await sessionManager.mergeShards(dir, { runId: 'run-1' });
+  assert.strictEqual(summary.shards, 2);
+  assert.strictEqual(summary.totalRoutes, 2);
+  await fs.remove(dir);
+});
+
+test('mergeShards 在分片重复或缺失时失败', async () => {
+  const duplicatedDir = await writeShardSessions([
+    { index: 1, total: 2 },
+    { index: 1, total: 2 },
+    { index: 2, total: 2 }
+  ]);
+  await assert.rejects(new SessionManager({ output: duplicatedDir }).mergeShards(duplicatedDir), /分片有多个会话: 1\/2/);
+  await fs.remove(duplicatedDir);
+
+  const missingDir = await writeShardSessions([{ index: 1, total: 3 }, { index: 3, total: 3 }]);
+  await assert.rejects(new SessionManager({ output: missingDir }).mergeShards(missingDir), /缺少分片: 2\/3/);
+  await fs.remove(missingDir);
+});
+
+test('mergeShards 在分片的目标地址不一致时失败', async () => {
+  const dir = await writeShardSessions([
+    { index: 1, total: 2 },
+    { index: 2, total: 2, url: 'https://staging.example.com' }
+  ]);
+  await assert.rejects(new SessionManager({ output: dir }).mergeShards(dir), /目标地址或 profile 不一致/);
+  await fs.remove(dir);
+});
+
+test('showSession 为没有 summary 的中断会话重新统计', async () => {
+  const output = await fs.mkdtemp(path.join(os.tmpdir(), 'menu-tester-show-'));
+  const startTime = Date.now() - 60000;
+  const menu = (id, status) => ({ id, text: id, url: `https://app.example.com/${id}`, status, attempts: [] });
+  await fs.writeJson(path.join(output, 'session-interrupted.json'), {
+    sessionId: 'interrupted',
+    startTime,
+    status: 'running',
+    totalMenus: 3,
+    completedMenus: 1,
+    failedMenus: 1,
+    skippedMenus: 0,
+    menus: { a: menu('a', 'completed'), b: menu('b', 'failed'), c: menu('c', 'pending') },
+    errors: [],
+    timestamps: { started: new Date(startTime).toISOString(), updated: new Date(startTime + 30000).toISOString() }
+  });
+  const sessionManager = new SessionManager({ output });
+
+  const summary = await sessionManager.showSession('interrupted');
+
+  assert.strictEqual(summary.sessionId, 'interrupted');
+  assert.strictEqual(summary.totalRoutes, 3);
+  assert.strictEqual(summary.successful, 1);
+  assert.strictEqual(summary.testDuration, 30000);
+  await fs.remove(output);
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseShard, isValidShard, getShardIndex, selectShard } = require('../src/utils/shard');
+
+test('parseShard 解析 k/n 与对象形式', () => {
+  assert.deepStrictEqual(parseShard('2/5'), { index: 2, total: 5 });
+  assert.deepStrictEqual(parseShard({ index: '1', total: '3' }), { index: 1, total: 3 });
+  assert.throws(() => parseShard('2-5'), /无效的分片参数/);
+});
+
+test('isValidShard 要求 1 <= index <= total', () => {
+  assert.ok(isValidShard({ index: 1, total: 1 }));
+  assert.ok(!isValidShard({ index: 0, total: 2 }));
+  assert.ok(!isValidShard({ index: 3, total: 2 }));
+  assert.ok(!isValidShard(null));
+});
+
+test('selectShard 把每条路由分配到唯一且稳定的分片', () => {
+  const routes = Array.from({ length: 50 }, (_, i) => ({ url: `https://app.example.com/page-${i}` }));
+  const total = 4;
+  const shards = Array.from({ length: total }, (_, i) => selectShard(routes, { index: i + 1, total }));
+
+  assert.strictEqual(shards.reduce((sum, shard) => sum + shard.length, 0), routes.length);
+  assert.strictEqual(new Set(shards.flat()).size, routes.length);
+  routes.forEach(route => {
+    assert.strictEqual(getShardIndex(route.url, total), getShardIndex(route.url, total));
+  });
+});
+
+test('selectShard 使用标准化后的 URL 计算分片', () => {
+  const routes = [{ url: 'https://app.example.com/users/' }];
+  const normalize = url => url.replace(/\/$/, '');
+  const index = getShardIndex('https://app.example.com/users', 3);
+
+  assert.deepStrictEqual(selectShard(routes, { index, total: 3 }, normalize), routes);
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TokenInjector = require('../src/utils/tokenInjector');
+const { getParentDomain } = TokenInjector;
+const { silenceLogger } = require('./helpers/logger');
+
+silenceLogger();
+
+test('getParentDomain 返回可跨子域名共享的父域名', () => {
+  assert.strictEqual(getParentDomain('app.example.com'), '.example.com');
+  assert.strictEqual(getParentDomain('a.b.example.com'), '.example.com');
+  assert.strictEqual(getParentDomain('app.hik-cloud.com.cn'), '.hik-cloud.com.cn');
+  assert.strictEqual(getParentDomain('api.shop.github.io'), '.shop.github.io');
+});
+
+test('getParentDomain 对无法共享的主机返回 null', () => {
+  assert.strictEqual(getParentDomain('localhost'), null);
+  assert.strictEqual(getParentDomain('192.168.1.10'), null);
+  assert.strictEqual(getParentDomain('[::1]'), null);
+  assert.strictEqual(getParentDomain('example.com'), null);
+  assert.strictEqual(getParentDomain('example.com.cn'), null);
+  assert.strictEqual(getParentDomain('shop.github.io'), null);
+  assert.strictEqual(getParentDomain('my-app.herokuapp.com'), null);
+});
+
+test('domain 为 parent 时公共托管平台上的站点使用完整主机名', () => {
+  const injector = new TokenInjector({ url: 'https://shop.github.io/admin', token: 't', tokenInjection: { cookie: { domain: 'parent' } } });
+  assert.strictEqual(injector.getCookieDomain(), 'shop.github.io');
+});
+
+/**
+ * 记录注入调用的 Playwright page / context 替身
+ */
+function createBrowserStub() {
+  const calls = { cookies: [], headers: null, initScripts: [] };
+  const sessionStorage = {};
+  const context = {
+    async addCookies(cookies) { calls.cookies.push(...cookies); },
+    async cookies() { return calls.cookies; }
+  };
+  const page = {
+    context: () => context,
+    async addInitScript(script, arg) { calls.initScripts.push(arg); },
+    async setExtraHTTPHeaders(headers) { calls.headers = headers; },
+    async evaluate(fn, entry) {
+      if (entry.value !== undefined) {
+        sessionStorage[entry.name] = entry.value;
+        return undefined;
+      }
+      return entry.storage === 'sessionStorage' ? sessionStorage[entry.name] ?? null : null;
+    }
+  };
+  return { page, context, calls, sessionStorage };
+}
+
+test('复用 storageState 时仍注入并校验 header 与 sessionStorage 项', async () => {
+  const tokenInjector = new TokenInjector({
+    url: 'https://app.example.com',
+    token: 'test-token',
+    tokenMethod: 'cookie',
+    auth: { storageState: './state.json' },
+    tokenInjection: {
+      items: [
+        { method: 'localStorage', name: 'access_token' },
+        { method: 'sessionStorage', name: 'session_token' },
+        { method: 'header', name: 'X-Tenant-Id', value: 'tenant-1' }
+      ]
+    }
+  });
+  const { page, context, calls, sessionStorage } = createBrowserStub();
+
+  assert.deepStrictEqual(tokenInjector.getInjectedItems().map(item => item.method), ['sessionStorage', 'header']);
+
+  await tokenInjector.inject(page, context);
+
+  // cookie 与 localStorage 由 storageState 恢复，不再注入
+  assert.strictEqual(calls.cookies.length, 0);
+  assert.deepStrictEqual(calls.headers, { 'X-Tenant-Id': 'tenant-1' });
+  assert.strictEqual(sessionStorage.session_token, 'test-token');
+  assert.ok(await tokenInjector.verify(page));
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const TokenRefresher = require('../src/utils/tokenRefresher');
+const { validateConfig } = require('../src/utils/config');
+const { silenceLogger } = require('./helpers/logger');
+
+silenceLogger();
+
+/**
+ * 启动一个延迟响应的刷新接口
+ */
+async function startEndpoint(delay) {
+  const server = http.createServer((request, response) => {
+    const timer = setTimeout(() => {
+      response.setHeader('Content-Type', 'application/json');
+      response.end(JSON.stringify({ data: { accessToken: 'new-token' } }));
+    }, delay);
+    response.on('close', () => clearTimeout(timer));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}/token` };
+}
+
+/**
+ * 创建使用刷新接口的 TokenRefresher
+ */
+function createRefresher(refreshEndpoint) {
+  const tokenInjector = { token: 'old-token', setToken(token) { this.token = token; } };
+  const refresher = new TokenRefresher({ timeout: 30000, auth: { refreshEndpoint } }, tokenInjector);
+  return { refresher, tokenInjector };
+}
+
+test('刷新接口按 tokenPath 读取新令牌', async () => {
+  const { server, url } = await startEndpoint(0);
+  const { refresher, tokenInjector } = createRefresher({ url, tokenPath: 'data.accessToken' });
+
+  assert.strictEqual(await refresher.refresh(), 'new-token');
+  assert.strictEqual(tokenInjector.token, 'new-token');
+  server.close();
+});
+
+test('刷新接口使用 refreshEndpoint.timeout 而不是页面超时', async () => {
+  const { server, url } = await startEndpoint(5000);
+  const { refresher } = createRefresher({ url, tokenPath: 'data.accessToken', timeout: 200 });
+
+  const startedAt = Date.now();
+  await assert.rejects(refresher.refresh(), /令牌刷新失败/);
+  assert.ok(Date.now() - startedAt < 3000);
+  server.closeAllConnections();
+  server.close();
+});
+
+test('未配置 refreshEndpoint.timeout 时默认 10 秒', () => {
+  const { refresher } = createRefresher({ url: 'https://sso.example.com/token' });
+  assert.strictEqual(refresher.endpointTimeout, TokenRefresher.DEFAULT_ENDPOINT_TIMEOUT);
+  assert.strictEqual(TokenRefresher.DEFAULT_ENDPOINT_TIMEOUT, 10000);
+});
+
+test('auth.refreshEndpoint.timeout 必须为正数', () => {
+  const config = timeout => ({
+    url: 'https://app.example.com',
+    token: 'test-token',
+    auth: { refreshEndpoint: { url: 'https://sso.example.com/token', timeout } }
+  });
+
+  assert.ok(validateConfig(config(5000)).isValid);
+  assert.ok(validateConfig(config(0)).errors.includes('auth.refreshEndpoint.timeout must be a positive number of milliseconds'));
+  assert.ok(!validateConfig(config('5000')).isValid);
+});